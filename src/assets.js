@@ -0,0 +1,133 @@
+import crypto from 'crypto';
+import fs from 'fs-extra';
+import path from 'path';
+import { URL } from 'url';
+import { mapLinks, resolveTarget } from './link-rewriter.js';
+
+export const ASSETS_DIR = '_assets';
+
+export const DEFAULT_ASSET_TYPES = {
+  images: ['image/*'],
+  all: [
+    'image/*',
+    'application/pdf',
+    'application/zip',
+    'application/gzip',
+    'application/x-gzip',
+    'application/x-tar',
+    'application/epub+zip',
+    'text/csv',
+    'application/vnd.ms-excel',
+    'application/msword',
+    'application/vnd.ms-powerpoint',
+    'application/vnd.openxmlformats-officedocument.*'
+  ]
+};
+
+const ATTACHMENT_EXTENSIONS = /\.(pdf|zip|gz|tgz|tar|epub|csv|xlsx?|docx?|pptx?)$/i;
+
+const EXTENSIONS_BY_TYPE = {
+  'image/png': '.png',
+  'image/jpeg': '.jpg',
+  'image/gif': '.gif',
+  'image/webp': '.webp',
+  'image/avif': '.avif',
+  'image/svg+xml': '.svg',
+  'image/x-icon': '.ico',
+  'image/vnd.microsoft.icon': '.ico',
+  'application/pdf': '.pdf',
+  'application/zip': '.zip',
+  'application/epub+zip': '.epub',
+  'text/csv': '.csv'
+};
+
+export function matchesMimeType(contentType, allowedTypes) {
+  const type = (contentType || '').split(';')[0].trim().toLowerCase();
+  if (!type) return false;
+  return allowedTypes.some(pattern => {
+    const wanted = pattern.trim().toLowerCase();
+    return wanted.endsWith('*') ? type.startsWith(wanted.slice(0, -1)) : type === wanted;
+  });
+}
+
+// Asset URLs referenced by a page: images always, attachments only when asked for
+export function collectAssetUrls(markdown, page, includeAttachments) {
+  const urls = new Set();
+  mapLinks(markdown, (target, { image }) => {
+    const absolute = resolveTarget(target, page);
+    if (absolute && (image || (includeAttachments && ATTACHMENT_EXTENSIONS.test(absolute.pathname)))) {
+      urls.add(absolute.href);
+    }
+    return target;
+  });
+  return [...urls];
+}
+
+export class AssetStore {
+  constructor(options = {}) {
+    this.assetsDir = path.join(options.siteDir, ASSETS_DIR);
+    // fetchAsset(url, maxBytes) resolves to { data: Buffer, contentType } or throws
+    this.fetchAsset = options.fetchAsset;
+    this.maxBytes = options.maxBytes || 10 * 1024 * 1024;
+    this.allowedTypes = options.allowedTypes || DEFAULT_ASSET_TYPES.images;
+    // Absolute URL -> local file path, for every asset stored so far
+    this.stored = new Map();
+    this.pending = new Map();
+    this.skipped = new Map();
+  }
+
+  // Download an asset once, resolving to its local path (or null when it was rejected)
+  localize(url) {
+    if (this.stored.has(url)) return Promise.resolve(this.stored.get(url));
+    if (!this.pending.has(url)) {
+      this.pending.set(url, this.store(url).finally(() => this.pending.delete(url)));
+    }
+    return this.pending.get(url);
+  }
+
+  async store(url) {
+    let asset;
+    try {
+      asset = await this.fetchAsset(url, this.maxBytes);
+    } catch (error) {
+      this.skipped.set(url, error.message);
+      return null;
+    }
+
+    const contentType = asset.contentType || guessContentType(url);
+    if (!matchesMimeType(contentType, this.allowedTypes)) {
+      this.skipped.set(url, `type ${contentType || 'unknown'} not allowed`);
+      return null;
+    }
+    if (asset.data.length > this.maxBytes) {
+      this.skipped.set(url, `larger than ${this.maxBytes} bytes`);
+      return null;
+    }
+
+    // Content-addressed names store each distinct file once
+    const hash = crypto.createHash('sha256').update(asset.data).digest('hex').slice(0, 16);
+    const filePath = path.join(this.assetsDir, hash + extensionFor(url, contentType));
+
+    if (!await fs.pathExists(filePath)) {
+      await fs.ensureDir(this.assetsDir);
+      await fs.writeFile(filePath, asset.data);
+    }
+
+    this.stored.set(url, filePath);
+    return filePath;
+  }
+}
+
+function guessContentType(url) {
+  const ext = path.extname(new URL(url).pathname).toLowerCase();
+  const match = Object.entries(EXTENSIONS_BY_TYPE).find(([, extension]) => extension === ext);
+  if (match) return match[0];
+  return ext === '.jpeg' ? 'image/jpeg' : '';
+}
+
+function extensionFor(url, contentType) {
+  const type = (contentType || '').split(';')[0].trim().toLowerCase();
+  if (EXTENSIONS_BY_TYPE[type]) return EXTENSIONS_BY_TYPE[type];
+  const ext = path.extname(new URL(url).pathname).toLowerCase();
+  return /^\.[a-z0-9]{1,5}$/.test(ext) ? ext : '';
+}
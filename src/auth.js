@@ -0,0 +1,286 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { URL } from 'url';
+import { getHostConfig } from './site-config.js';
+
+// Cookies from a Netscape/Mozilla cookies.txt export (curl -c, browser extensions)
+export function parseCookieJar(text) {
+  const cookies = [];
+  for (const rawLine of text.split(/\r?\n/)) {
+    let line = rawLine.trim();
+    if (line.startsWith('#HttpOnly_')) {
+      line = line.slice('#HttpOnly_'.length);
+    } else if (!line || line.startsWith('#')) {
+      continue;
+    }
+
+    const fields = line.split('\t');
+    if (fields.length < 7) continue;
+    const [domain, includeSubdomains, cookiePath, secure, expires, name, ...value] = fields;
+    cookies.push({
+      domain: domain.replace(/^\./, '').toLowerCase(),
+      includeSubdomains: includeSubdomains.toUpperCase() === 'TRUE' || domain.startsWith('.'),
+      path: cookiePath || '/',
+      secure: secure.toUpperCase() === 'TRUE',
+      expires: parseInt(expires, 10) || 0,
+      name,
+      value: value.join('\t')
+    });
+  }
+  return cookies;
+}
+
+// Just enough of Set-Cookie to keep a login session
+function parseSetCookie(header, url) {
+  const [pair, ...attributes] = header.split(';');
+  const eq = pair.indexOf('=');
+  if (eq <= 0) return null;
+
+  const cookie = {
+    domain: url.hostname,
+    includeSubdomains: false,
+    path: '/',
+    secure: false,
+    expires: 0,
+    name: pair.slice(0, eq).trim(),
+    value: pair.slice(eq + 1).trim()
+  };
+
+  for (const attribute of attributes) {
+    const [key, ...rest] = attribute.split('=');
+    const value = rest.join('=').trim();
+    switch (key.trim().toLowerCase()) {
+      case 'domain':
+        cookie.domain = value.replace(/^\./, '').toLowerCase();
+        cookie.includeSubdomains = true;
+        break;
+      case 'path':
+        cookie.path = value || '/';
+        break;
+      case 'secure':
+        cookie.secure = true;
+        break;
+      case 'max-age':
+        cookie.expires = Math.floor(Date.now() / 1000) + (parseInt(value, 10) || 0);
+        break;
+      case 'expires':
+        if (!cookie.expires) cookie.expires = Math.floor(new Date(value).getTime() / 1000) || 0;
+        break;
+    }
+  }
+  return cookie;
+}
+
+export class CookieJar {
+  constructor(cookies = []) {
+    this.cookies = cookies;
+  }
+
+  add(cookie) {
+    this.cookies = this.cookies.filter(existing =>
+      !(existing.name === cookie.name && existing.domain === cookie.domain && existing.path === cookie.path)
+    );
+    this.cookies.push(cookie);
+  }
+
+  addFromResponse(url, setCookieHeaders = []) {
+    const urlObj = new URL(url);
+    for (const header of [].concat(setCookieHeaders)) {
+      const cookie = parseSetCookie(header, urlObj);
+      if (cookie) this.add(cookie);
+    }
+  }
+
+  // Cookie header for a request, following the domain, path, secure and expiry rules
+  header(url) {
+    const urlObj = new URL(url);
+    const host = urlObj.hostname.toLowerCase();
+    const now = Date.now() / 1000;
+
+    return this.cookies
+      .filter(cookie =>
+        (host === cookie.domain || (cookie.includeSubdomains && host.endsWith(`.${cookie.domain}`))) &&
+        urlObj.pathname.startsWith(cookie.path) &&
+        (!cookie.secure || urlObj.protocol === 'https:') &&
+        (!cookie.expires || cookie.expires > now)
+      )
+      .map(cookie => `${cookie.name}=${cookie.value}`)
+      .join('; ');
+  }
+
+  values() {
+    return this.cookies.map(cookie => cookie.value);
+  }
+}
+
+// Per-host credentials from the "auth" config option. Only hosts covered by an
+// auth entry ever get its headers or cookies, and every secret resolved here is
+// remembered so it can be scrubbed from logs.
+export class AuthManager {
+  constructor(siteConfig = {}, { baseDir = process.cwd(), env = process.env, http } = {}) {
+    this.siteConfig = siteConfig;
+    // HttpClient used for the login request
+    this.http = http;
+    this.baseDir = baseDir;
+    this.env = env;
+    this.sessions = new Map();
+    this.secrets = new Set();
+  }
+
+  authFor(hostname) {
+    return getHostConfig(this.siteConfig, hostname).auth || null;
+  }
+
+  hasAuth(url) {
+    return Boolean(this.authFor(new URL(url).hostname));
+  }
+
+  // "${NAME}" in config values is read from the environment, so secrets stay out of the file
+  resolve(value, hostname) {
+    return value.replace(/\$\{([A-Za-z_][A-Za-z0-9_]*)\}/g, (_, name) => this.readEnv(name, hostname));
+  }
+
+  readEnv(name, hostname) {
+    const value = this.env[name];
+    if (value === undefined || value === '') {
+      throw new Error(`Environment variable ${name} is not set (needed for auth on ${hostname})`);
+    }
+    this.remember(value);
+    return value;
+  }
+
+  remember(secret) {
+    if (secret && String(secret).length >= 4) this.secrets.add(String(secret));
+  }
+
+  // One session per auth entry, so subdomains covered by the same entry share a login
+  async session(hostname) {
+    const auth = this.authFor(hostname);
+    if (!auth) return null;
+    if (!this.sessions.has(auth)) {
+      const pending = this.createSession(auth, hostname);
+      this.sessions.set(auth, pending);
+      pending.catch(() => this.sessions.delete(auth));
+    }
+    return this.sessions.get(auth);
+  }
+
+  async createSession(auth, hostname) {
+    const headers = {};
+    for (const [name, value] of Object.entries(auth.headers || {})) {
+      headers[name] = this.resolve(value, hostname);
+      this.remember(headers[name]);
+    }
+
+    if (auth.bearerTokenEnv) {
+      headers.Authorization = `Bearer ${this.readEnv(auth.bearerTokenEnv, hostname)}`;
+    } else if (auth.basic) {
+      const username = this.readEnv(auth.basic.usernameEnv, hostname);
+      const password = this.readEnv(auth.basic.passwordEnv, hostname);
+      const encoded = Buffer.from(`${username}:${password}`).toString('base64');
+      this.remember(encoded);
+      headers.Authorization = `Basic ${encoded}`;
+    }
+
+    const jar = new CookieJar();
+    if (auth.cookieFile) {
+      const cookieFile = path.resolve(this.baseDir, auth.cookieFile);
+      let text;
+      try {
+        text = await fs.readFile(cookieFile, 'utf-8');
+      } catch (error) {
+        throw new Error(`Could not read cookie file ${cookieFile} for ${hostname}: ${error.message}`);
+      }
+      for (const cookie of parseCookieJar(text)) {
+        jar.add(cookie);
+      }
+    }
+
+    if (auth.login) {
+      await this.login(auth.login, hostname, headers, jar);
+    }
+
+    for (const value of jar.values()) {
+      this.remember(value);
+    }
+    return { headers, jar };
+  }
+
+  // POST the login form once and keep the session cookies it sets
+  async login(login, hostname, headers, jar) {
+    const fields = {};
+    for (const [name, value] of Object.entries(login.fields || {})) {
+      fields[name] = this.resolve(value, hostname);
+      this.remember(fields[name]);
+    }
+
+    const cookie = jar.header(login.url);
+    let response;
+    try {
+      response = await this.http.post(login.url, new URLSearchParams(fields).toString(), {
+        auth: false,
+        retry: false,
+        headers: {
+          ...headers,
+          'Content-Type': 'application/x-www-form-urlencoded',
+          ...(cookie ? { Cookie: cookie } : {})
+        },
+        maxRedirects: 0,
+        validateStatus: status => status >= 200 && status < 400
+      });
+    } catch (error) {
+      // Never echo the response, it may contain the submitted form
+      throw new Error(`Login for ${hostname} failed${error.response ? ` with status ${error.response.status}` : `: ${error.code || 'request error'}`}`);
+    }
+
+    jar.addFromResponse(login.url, response.headers['set-cookie']);
+  }
+
+  async headersFor(url) {
+    const session = await this.session(new URL(url).hostname);
+    if (!session) return {};
+
+    const cookie = session.jar.header(url);
+    return cookie ? { ...session.headers, Cookie: cookie } : { ...session.headers };
+  }
+
+  // The HTTP client follows redirects on its own; drop the credentials when one leaves the
+  // hosts this auth entry covers
+  redirectGuard(url) {
+    const auth = this.authFor(new URL(url).hostname);
+    if (!auth) return undefined;
+
+    return options => {
+      if (this.authFor(options.hostname) === auth) return;
+      const names = new Set(['authorization', 'cookie', ...Object.keys(auth.headers || {}).map(name => name.toLowerCase())]);
+      for (const name of Object.keys(options.headers || {})) {
+        if (names.has(name.toLowerCase())) delete options.headers[name];
+      }
+    };
+  }
+
+  redact(text) {
+    let result = String(text);
+    for (const secret of this.secrets) {
+      result = result.split(secret).join('***');
+    }
+    return result;
+  }
+}
+
+// Userinfo and token-like query parameters never belong in saved files
+const SENSITIVE_PARAMS = /^(access_token|token|auth|api_?key|key|sig|signature|password|secret|session|jwt)$/i;
+
+export function redactUrl(url) {
+  try {
+    const urlObj = new URL(url);
+    urlObj.username = '';
+    urlObj.password = '';
+    for (const name of [...urlObj.searchParams.keys()]) {
+      if (SENSITIVE_PARAMS.test(name)) urlObj.searchParams.delete(name);
+    }
+    return urlObj.href;
+  } catch (error) {
+    return url;
+  }
+}
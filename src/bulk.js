@@ -0,0 +1,205 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { URL } from 'url';
+import yaml from 'js-yaml';
+import { parseFormats } from './bundles.js';
+import { ConfigError } from './site-config.js';
+import { urlKey } from './url-normalizer.js';
+
+// What a bulk manifest entry can set for its site
+export const BULK_ENTRY_KEYS = ['url', 'name', 'depth', 'format', 'config'];
+
+const ENV_MD_LINE = /^\s*-\s*Docs:\s*\[[^\]]*\]\((https?:\/\/[^)\s]+)\)/;
+
+// The folder a site downloads into, as DocDownloader names it
+export function siteFolder(entry) {
+  return entry.name || new URL(entry.url).hostname.replace(/^www\./, '').replace(/\./g, '_');
+}
+
+function manifestFormat(filePath, content) {
+  const extension = path.extname(filePath).toLowerCase();
+  if (extension === '.yaml' || extension === '.yml') return 'yaml';
+  if (extension === '.json') return 'json';
+  if (extension === '.md' || content.split('\n').some(line => ENV_MD_LINE.test(line))) return 'env-md';
+  return /^\s*[[{]/.test(content) ? 'json' : 'list';
+}
+
+function parseManifest(filePath, content) {
+  switch (manifestFormat(filePath, content)) {
+    case 'yaml':
+    case 'json': {
+      let data;
+      try {
+        // JSON is valid YAML, so one parser covers both
+        data = yaml.load(content);
+      } catch (error) {
+        throw new ConfigError(`Bulk manifest ${filePath} could not be parsed: ${error.message}`);
+      }
+      const sites = Array.isArray(data) ? data : data?.sites;
+      if (!Array.isArray(sites)) {
+        throw new ConfigError(`Bulk manifest ${filePath} must be a list of sites, or an object with a "sites" list`);
+      }
+      return sites;
+    }
+    case 'env-md':
+      // The original format: "- Docs: [Name](https://...)" lines among other notes
+      return content.split('\n').map(line => line.match(ENV_MD_LINE)).filter(Boolean).map(match => match[1]);
+    default:
+      return content.split('\n').map(line => line.trim()).filter(line => line && !line.startsWith('#'));
+  }
+}
+
+function validateEntry(entry, baseDir) {
+  if (typeof entry === 'string') entry = { url: entry };
+  if (entry === null || typeof entry !== 'object' || Array.isArray(entry)) {
+    return { error: 'must be a URL or an object with a url' };
+  }
+
+  const unknown = Object.keys(entry).filter(key => !BULK_ENTRY_KEYS.includes(key));
+  if (unknown.length > 0) return { error: `has unknown keys: ${unknown.join(', ')} (expected ${BULK_ENTRY_KEYS.join(', ')})` };
+
+  try {
+    if (!/^https?:$/.test(new URL(entry.url).protocol)) throw new Error();
+  } catch (error) {
+    return { error: `url "${entry.url ?? ''}" is not an http(s) URL` };
+  }
+  if (entry.name !== undefined && (typeof entry.name !== 'string' || !/^[\w.-]+$/.test(entry.name))) {
+    return { error: 'name must be a folder name (letters, digits, ".", "_" and "-")' };
+  }
+  if (entry.depth !== undefined && !(Number.isInteger(entry.depth) && entry.depth >= 0)) {
+    return { error: 'depth must be a non-negative integer' };
+  }
+  if (entry.format !== undefined) {
+    try {
+      parseFormats(Array.isArray(entry.format) ? entry.format.join(',') : entry.format);
+    } catch (error) {
+      return { error: error.message };
+    }
+  }
+  if (entry.config !== undefined && (typeof entry.config !== 'string' || !entry.config.trim())) {
+    return { error: 'config must be a path to a config file' };
+  }
+
+  return {
+    entry: {
+      ...entry,
+      format: Array.isArray(entry.format) ? entry.format.join(',') : entry.format,
+      // Config files named in the manifest are relative to the manifest
+      config: entry.config !== undefined ? path.resolve(baseDir, entry.config) : undefined
+    }
+  };
+}
+
+// Sites to download from a YAML or JSON manifest, a plain list of URLs, or an
+// env.md file. Throws a ConfigError listing every invalid entry.
+export async function loadBulkManifest(filePath) {
+  let content;
+  try {
+    content = await fs.readFile(filePath, 'utf-8');
+  } catch (error) {
+    throw new ConfigError(`Could not read bulk manifest ${filePath}: ${error.message}`);
+  }
+
+  const entries = [];
+  const issues = [];
+  const folders = new Map();
+  parseManifest(filePath, content).forEach((raw, index) => {
+    const { entry, error } = validateEntry(raw, path.dirname(filePath));
+    if (error) {
+      issues.push(`sites[${index}] ${error}`);
+      return;
+    }
+    // Two downloads into one site folder at the same time would overwrite each other
+    const folder = siteFolder(entry);
+    if (folders.has(folder)) {
+      issues.push(`sites[${index}] would download into the same folder as sites[${folders.get(folder)}]; give one of them a name`);
+      return;
+    }
+    folders.set(folder, index);
+    entries.push(entry);
+  });
+
+  if (issues.length > 0) throw new ConfigError(`Invalid bulk manifest ${filePath}:`, issues);
+  return entries;
+}
+
+// A few broken pages are normal; a site whose start page failed got nothing.
+// Returns the start page's { url, status, reason } failure, if any
+export function startPageFailure(result) {
+  return result.failed.find(failure => urlKey(failure.url) === urlKey(result.startUrl));
+}
+
+function siteStatus(result) {
+  if (result.interrupted) return 'interrupted';
+  return startPageFailure(result) ? 'failed' : 'ok';
+}
+
+// Run download(entry) for every entry, up to `parallel` at a time. Sites on the
+// same host run one after another, so they don't add up to more than its rate limit.
+// Resolves to one { entry, status, result, error, durationMs } per entry, in
+// manifest order. After an interrupted site, the sites not started yet are left out.
+export async function runBulk(entries, { parallel = 1, download }) {
+  const results = entries.map(entry => ({ entry, status: 'not-started' }));
+  const busyHosts = new Set();
+  // Workers waiting for a host to free up
+  const waiting = [];
+  const stopped = () => results.some(result => result.status === 'interrupted');
+  const hostOf = entry => new URL(entry.url).hostname;
+
+  const worker = async () => {
+    while (!stopped()) {
+      const current = results.find(result => result.status === 'not-started' && !busyHosts.has(hostOf(result.entry)));
+      if (!current) {
+        if (!results.some(result => result.status === 'not-started')) return;
+        await new Promise(resolve => waiting.push(resolve));
+        continue;
+      }
+
+      const host = hostOf(current.entry);
+      const startedAt = Date.now();
+      busyHosts.add(host);
+      current.status = 'running';
+      try {
+        current.result = await download(current.entry);
+        current.status = siteStatus(current.result);
+      } catch (error) {
+        current.error = error;
+        current.status = 'failed';
+      }
+      current.durationMs = Date.now() - startedAt;
+      busyHosts.delete(host);
+      waiting.splice(0).forEach(resolve => resolve());
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(Math.max(1, parallel), entries.length) }, worker));
+  return results;
+}
+
+const STATUS_LABELS = {
+  ok: '✅ ok',
+  failed: '❌ failed',
+  interrupted: '⚠️ interrupted',
+  'not-started': '⏭️ not started'
+};
+
+function formatDuration(ms) {
+  if (ms === undefined) return '-';
+  const seconds = Math.round(ms / 1000);
+  return seconds >= 60 ? `${Math.floor(seconds / 60)}m ${seconds % 60}s` : `${seconds}s`;
+}
+
+// Summary table lines for the results of runBulk
+export function formatSummary(results) {
+  const rows = results.map(({ entry, status, result, durationMs }) => [
+    siteFolder(entry),
+    STATUS_LABELS[status] || status,
+    result ? String(result.saved.length) : '-',
+    result ? String(result.failed.length) : '-',
+    formatDuration(durationMs)
+  ]);
+  const header = ['Site', 'Status', 'Saved', 'Failed', 'Time'];
+  const widths = header.map((title, column) => Math.max(title.length, ...rows.map(row => row[column].length)));
+  const line = row => row.map((cell, column) => column >= 2 ? cell.padStart(widths[column]) : cell.padEnd(widths[column])).join('  ');
+  return [line(header), widths.map(width => '-'.repeat(width)).join('  '), ...rows.map(line)];
+}
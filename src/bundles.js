@@ -0,0 +1,190 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { URL } from 'url';
+import { mapLinks, pageKey } from './link-rewriter.js';
+
+export const OUTPUT_FORMATS = ['tree', 'single', 'jsonl', 'llms-txt'];
+
+export function parseFormats(value) {
+  const formats = String(value || 'tree').split(',').map(format => format.trim()).filter(Boolean);
+  const unknown = formats.filter(format => !OUTPUT_FORMATS.includes(format));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown output format "${unknown.join(', ')}" (expected ${OUTPUT_FORMATS.join(', ')})`);
+  }
+  return formats;
+}
+
+export function splitFrontMatter(content) {
+  const match = content.match(/^---\n[\s\S]*?\n---\n\n?/);
+  return match
+    ? { frontMatter: match[0], body: content.slice(match[0].length) }
+    : { frontMatter: '', body: content };
+}
+
+export function titleFor(markdown, url) {
+  const heading = markdown.match(/^#\s+(.+?)\s*#*\s*$/m);
+  if (heading) return heading[1].replace(/\[([^\]]*)\]\([^)]*\)/g, '$1').trim();
+
+  const segments = new URL(url).pathname.split('/').filter(Boolean);
+  const last = segments.pop();
+  return last ? safeDecode(decodeURIComponent, last).replace(/\.(md|html?)$/i, '').replace(/[-_]+/g, ' ') : 'Home';
+}
+
+// A stray "%" that isn't an escape is kept as written
+function safeDecode(decode, value) {
+  try {
+    return decode(value);
+  } catch (error) {
+    return value;
+  }
+}
+
+export function slugify(text) {
+  return text.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, '-').replace(/^-+|-+$/g, '') || 'page';
+}
+
+// Load the saved pages in crawl order, with front matter stripped
+async function loadPages(pages, siteDir) {
+  const loaded = [];
+  const slugs = new Set();
+
+  for (const page of pages) {
+    let content;
+    try {
+      content = await fs.readFile(page.filePath, 'utf-8');
+    } catch (error) {
+      continue;
+    }
+
+    const { body } = splitFrontMatter(content);
+    const title = titleFor(body, page.url);
+
+    // Unique anchor per page for the single-file TOC
+    let anchor = slugify(path.relative(siteDir, page.filePath).replace(/\.md$/, ''));
+    for (let i = 2; slugs.has(anchor); i++) {
+      anchor = `${anchor}-${i}`;
+    }
+    slugs.add(anchor);
+
+    loaded.push({
+      ...page,
+      title,
+      anchor,
+      relativePath: path.relative(siteDir, page.filePath).split(path.sep).join('/'),
+      markdown: body.trim()
+    });
+  }
+
+  return loaded;
+}
+
+// Links in the per-page files point at sibling .md files; inside one combined
+// file they have to become anchors, and other local files relative to the bundle
+function relinkForBundle(page, byFile, byKey, bundleDir) {
+  return mapLinks(page.markdown, target => {
+    if (/^[a-z][a-z0-9+.-]*:/i.test(target) || target.startsWith('//')) {
+      try {
+        const linked = byKey.get(pageKey(target));
+        return linked ? `#${linked.anchor}` : target;
+      } catch (error) {
+        return target;
+      }
+    }
+    if (!target || target.startsWith('#')) return target;
+
+    const [localPart] = target.split('#');
+    const resolved = path.resolve(path.dirname(page.filePath), safeDecode(decodeURI, localPart));
+    const linked = byFile.get(resolved);
+    if (linked) return `#${linked.anchor}`;
+    return encodeURI(path.relative(bundleDir, resolved).split(path.sep).join('/'));
+  });
+}
+
+function buildSingle(pages, { startUrl, siteName, bundleDir }) {
+  const byFile = new Map(pages.map(page => [path.resolve(page.filePath), page]));
+  const byKey = new Map(pages.map(page => [pageKey(page.url), page]));
+
+  const toc = pages.map(page => `- [${page.title}](#${page.anchor})`);
+
+  const sections = pages.map(page => [
+    `<a id="${page.anchor}"></a>`,
+    `<!-- source: ${page.url} -->`,
+    '',
+    relinkForBundle(page, byFile, byKey, bundleDir)
+  ].join('\n'));
+
+  return [
+    `# ${siteName} documentation`,
+    '',
+    `Downloaded from ${startUrl}`,
+    '',
+    '## Table of Contents',
+    '',
+    ...toc,
+    '',
+    ...sections.flatMap(section => ['---', '', section, ''])
+  ].join('\n');
+}
+
+function buildJsonl(pages) {
+  return pages.map(page => JSON.stringify({
+    url: page.url,
+    sourceUrl: page.sourceUrl,
+    title: page.title,
+    path: page.relativePath,
+    markdown: page.markdown
+  })).join('\n') + '\n';
+}
+
+// https://llmstxt.org: an index of links plus a file with everything inlined
+function buildLlmsTxt(pages, { startUrl, siteName }) {
+  const sections = new Map();
+  for (const page of pages) {
+    const section = page.relativePath.includes('/') ? page.relativePath.split('/')[0] : 'Docs';
+    if (!sections.has(section)) sections.set(section, []);
+    sections.get(section).push(`- [${page.title}](${page.url})`);
+  }
+
+  const index = [
+    `# ${siteName}`,
+    '',
+    `> Documentation downloaded from ${startUrl}`,
+    ''
+  ];
+  for (const [section, links] of sections) {
+    index.push(`## ${section}`, '', ...links, '');
+  }
+
+  const full = pages.map(page => `# ${page.title}\n\nSource: ${page.url}\n\n${page.markdown}\n`).join('\n');
+
+  return { index: index.join('\n'), full };
+}
+
+// Write the combined outputs for a crawl. Returns the paths written.
+export async function writeBundles(formats, { pages, siteDir, outputDir, siteName, startUrl }) {
+  const loaded = await loadPages(pages, siteDir);
+  const written = [];
+
+  if (formats.includes('single')) {
+    const filePath = path.join(outputDir, `${siteName}.md`);
+    await fs.writeFile(filePath, buildSingle(loaded, { startUrl, siteName, bundleDir: outputDir }), 'utf-8');
+    written.push(filePath);
+  }
+
+  if (formats.includes('jsonl')) {
+    const filePath = path.join(outputDir, `${siteName}.jsonl`);
+    await fs.writeFile(filePath, buildJsonl(loaded), 'utf-8');
+    written.push(filePath);
+  }
+
+  if (formats.includes('llms-txt')) {
+    const { index, full } = buildLlmsTxt(loaded, { startUrl, siteName });
+    const indexPath = path.join(siteDir, 'llms.txt');
+    const fullPath = path.join(siteDir, 'llms-full.txt');
+    await fs.writeFile(indexPath, index, 'utf-8');
+    await fs.writeFile(fullPath, full, 'utf-8');
+    written.push(indexPath, fullPath);
+  }
+
+  return written;
+}
@@ -0,0 +1,121 @@
+// Readability-style main content detection, used when no content selector
+// matches. Text blocks score their ancestors; the candidates are then weighted
+// by class/id hints, link density and text density.
+
+const POSITIVE_HINTS = /article|body|content|entry|main|page|post|text|doc|markdown|prose|reference|guide/i;
+const NEGATIVE_HINTS = /banner|breadcrumb|comment|consent|cookie|feedback|footer|footnote|header|masthead|menu|modal|nav|pagination|popup|promo|related|share|sidebar|social|sponsor|tags|toc|toolbar|widget/i;
+
+const TAG_WEIGHTS = {
+  article: 10,
+  main: 10,
+  section: 5,
+  div: 5,
+  td: 3,
+  blockquote: 3,
+  aside: -10,
+  header: -5,
+  form: -3
+};
+
+const CANDIDATE_TAGS = new Set(['article', 'main', 'section', 'div', 'td', 'blockquote', 'aside', 'header', 'form']);
+
+// Text blocks and what they add to the ancestors containing them
+const BLOCK_SELECTOR = 'p, pre, li, dd, td, blockquote, h1, h2, h3, h4, h5, h6';
+
+// Full score to the parent, half to the grandparent, a sixth to the level above
+const ANCESTOR_DIVIDERS = [1, 2, 6];
+
+export function classWeight(el) {
+  const hints = `${el.attribs?.class || ''} ${el.attribs?.id || ''}`;
+  let weight = 0;
+  if (NEGATIVE_HINTS.test(hints)) weight -= 25;
+  if (POSITIVE_HINTS.test(hints)) weight += 25;
+  return weight;
+}
+
+export function describeNode(el) {
+  const id = el.attribs?.id ? `#${el.attribs.id}` : '';
+  const classes = (el.attribs?.class || '').split(/\s+/).filter(Boolean).slice(0, 3).map(name => `.${name}`).join('');
+  return `${el.tagName}${id}${classes}`;
+}
+
+function scoreBlock(tag, text) {
+  if (tag === 'pre') {
+    return { kind: 'code', score: 3 + Math.min(Math.floor(text.length / 100), 3) };
+  }
+  if (/^h[1-6]$/.test(tag)) {
+    return { kind: 'headings', score: 2 };
+  }
+  // Short list items and cells are menus and layout, not prose
+  if (text.length < 25) return null;
+  const commas = (text.match(/[,，、]/g) || []).length;
+  return { kind: 'paragraphs', score: 1 + commas + Math.min(Math.floor(text.length / 100), 3) };
+}
+
+// Score every block container on the page. Returns candidates best first, each with
+// the numbers that produced its score so the choice can be explained.
+export function scoreContent($, { limit = 5 } = {}) {
+  const candidates = new Map();
+
+  $(BLOCK_SELECTOR).each((_, block) => {
+    const text = $(block).text().replace(/\s+/g, ' ').trim();
+    const scored = scoreBlock(block.tagName, text);
+    if (!scored) return;
+
+    let ancestor = block.parent;
+    for (const divider of ANCESTOR_DIVIDERS) {
+      if (!ancestor || ancestor.type !== 'tag' || ancestor.tagName === 'body') break;
+      if (CANDIDATE_TAGS.has(ancestor.tagName)) {
+        if (!candidates.has(ancestor)) {
+          candidates.set(ancestor, {
+            element: ancestor,
+            base: (TAG_WEIGHTS[ancestor.tagName] || 0) + classWeight(ancestor),
+            content: 0,
+            paragraphs: 0,
+            code: 0,
+            headings: 0
+          });
+        }
+        const candidate = candidates.get(ancestor);
+        candidate.content += scored.score / divider;
+        if (divider === 1) candidate[scored.kind]++;
+      }
+      ancestor = ancestor.parent;
+    }
+  });
+
+  const ranked = [...candidates.values()].map(candidate => {
+    const $node = $(candidate.element);
+    const textLength = $node.text().replace(/\s+/g, ' ').trim().length;
+    const linkLength = $node.find('a').text().replace(/\s+/g, ' ').trim().length;
+    const htmlLength = ($node.html() || '').length || 1;
+
+    const linkDensity = textLength > 0 ? Math.min(linkLength / textLength, 1) : 1;
+    const textDensity = Math.min(textLength / htmlLength, 1);
+    const score = (candidate.base + candidate.content) * (1 - linkDensity) * (0.5 + Math.min(textDensity, 0.5));
+
+    return {
+      ...candidate,
+      description: describeNode(candidate.element),
+      textLength,
+      linkDensity,
+      textDensity,
+      score
+    };
+  });
+
+  ranked.sort((a, b) => b.score - a.score);
+  return limit ? ranked.slice(0, limit) : ranked;
+}
+
+export function explainCandidate(candidate) {
+  const hint = candidate.base - (TAG_WEIGHTS[candidate.element.tagName] || 0);
+  return [
+    `${candidate.paragraphs} paragraphs`,
+    `${candidate.code} code`,
+    `${candidate.headings} headings`,
+    `link density ${candidate.linkDensity.toFixed(2)}`,
+    `text density ${candidate.textDensity.toFixed(2)}`,
+    `class ${hint >= 0 ? '+' : ''}${hint}`
+  ].join(', ');
+}
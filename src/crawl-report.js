@@ -0,0 +1,195 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { splitCode } from './link-rewriter.js';
+import { countWords } from './front-matter.js';
+
+export const REPORT_FILE = '_report.json';
+
+// Human-readable summary written next to the JSON report
+export const REPORT_FORMATS = ['md', 'html'];
+
+// Quality flags:
+//   near-empty      - almost no text, usually a failed extraction or a JS-only page
+//   link-list       - mostly a list of links, usually the sidebar leaking into the content
+//   leftover-html   - HTML tags the converter didn't turn into markdown
+//   prefer-markdown - not saved because preferMarkdown is set and no markdown source was found
+export const QUALITY_FLAGS = ['near-empty', 'link-list', 'leftover-html', 'prefer-markdown'];
+
+const MIN_WORDS = 30;
+const MIN_LINK_LINES = 8;
+const MAX_LINK_LINE_SHARE = 0.6;
+
+// <br> is how the converter keeps line breaks in table cells
+const LEFTOVER_TAG = /<\/?(div|span|p|a|img|table|thead|tbody|tr|td|th|ul|ol|li|dl|dt|dd|section|article|aside|header|footer|nav|main|button|form|input|label|select|svg|path|iframe|script|style|font|center|figure|figcaption|pre|code)\b[^>]*>/gi;
+const LINK_LINE = /^\s*(?:[-*+]|\d+[.)])?\s*\[[^\]]*\]\([^)]*\)\s*$/;
+
+// Quality flags for a saved page's markdown (front matter stripped) as [{ flag, detail }].
+// Tags in markdown sources were put there by the docs' authors, so only
+// converted pages are checked for leftover HTML
+export function checkQuality(markdown, { source } = {}) {
+  const flags = [];
+  const prose = splitCode(markdown).filter(part => !part.code).map(part => part.text).join('\n');
+
+  const words = countWords(markdown);
+  if (words < MIN_WORDS) {
+    flags.push({ flag: 'near-empty', detail: `${words} words` });
+  }
+
+  const lines = prose.split('\n').filter(line => line.trim() && !/^\s*#/.test(line));
+  const linkLines = lines.filter(line => LINK_LINE.test(line)).length;
+  if (linkLines >= MIN_LINK_LINES && linkLines / lines.length >= MAX_LINK_LINE_SHARE) {
+    flags.push({ flag: 'link-list', detail: `${linkLines} of ${lines.length} lines are links` });
+  }
+
+  if (source === 'html') {
+    const tags = [...new Set([...prose.matchAll(LEFTOVER_TAG)].map(match => match[1].toLowerCase()))];
+    if (tags.length > 0) {
+      flags.push({ flag: 'leftover-html', detail: tags.map(tag => `<${tag}>`).join(', ') });
+    }
+  }
+  return flags;
+}
+
+function countBy(items, key) {
+  const counts = {};
+  for (const item of items) {
+    const value = key(item) ?? 'unknown';
+    counts[value] = (counts[value] || 0) + 1;
+  }
+  return counts;
+}
+
+// The report for a finished crawl. pages: [{ url, status, source, file, reason,
+// httpStatus, aliasOf, quality }] with status saved, skipped, failed or alias
+export function buildCrawlReport({ siteName, startUrl, interrupted, timing, pages, brokenLinks, redirects }) {
+  const byStatus = status => pages.filter(page => page.status === status);
+  const saved = byStatus('saved');
+  const quality = pages.flatMap(page => (page.quality || []).map(issue => ({ url: page.url, file: page.file, ...issue })));
+
+  return {
+    site: siteName,
+    startUrl,
+    interrupted,
+    timing,
+    summary: {
+      saved: saved.length,
+      markdownSource: saved.filter(page => page.source === 'markdown').length,
+      htmlConverted: saved.filter(page => page.source === 'html').length,
+      skipped: countBy(byStatus('skipped'), page => page.reason),
+      failed: countBy(byStatus('failed'), page => page.httpStatus),
+      aliases: byStatus('alias').length,
+      brokenLinks: brokenLinks.length,
+      redirects: redirects.length,
+      quality: countBy(quality, issue => issue.flag)
+    },
+    pages,
+    brokenLinks,
+    redirects,
+    quality
+  };
+}
+
+function describeCounts(counts) {
+  const entries = Object.entries(counts);
+  return entries.length > 0 ? entries.map(([key, count]) => `${key}: ${count}`).join(', ') : 'none';
+}
+
+function failureLabel(httpStatus) {
+  return httpStatus === 'unknown' ? 'network error' : `HTTP ${httpStatus}`;
+}
+
+function summaryRows(report) {
+  const { summary } = report;
+  return [
+    ['Saved', `${summary.saved} (${summary.markdownSource} from markdown sources, ${summary.htmlConverted} converted from HTML)`],
+    ['Skipped', `${Object.values(summary.skipped).reduce((sum, count) => sum + count, 0)} (${describeCounts(summary.skipped)})`],
+    ['Failed', `${Object.values(summary.failed).reduce((sum, count) => sum + count, 0)} (${describeCounts(Object.fromEntries(Object.entries(summary.failed).map(([status, count]) => [failureLabel(status), count])))})`],
+    ['Aliases', String(summary.aliases)],
+    ['Broken links', String(summary.brokenLinks)],
+    ['Redirects', String(summary.redirects)],
+    ['Quality issues', describeCounts(summary.quality)]
+  ];
+}
+
+// [title, header, rows] for each detail table, left out when empty
+function detailTables(report) {
+  return [
+    ['Failed pages', ['URL', 'Status', 'Reason'],
+      report.pages.filter(page => page.status === 'failed').map(page => [page.url, page.httpStatus ?? '', page.reason || ''])],
+    ['Broken links', ['Page', 'Link', 'Status'],
+      report.brokenLinks.map(link => [link.from, link.to, link.status ?? link.reason ?? ''])],
+    ['Redirects', ['URL', 'Chain'],
+      report.redirects.map(redirect => [redirect.url, redirect.chain.map(hop => `${hop.status ?? '?'} → ${hop.location}`).join(', ')])],
+    ['Quality issues', ['Page', 'Flag', 'Detail'],
+      report.quality.map(issue => [issue.file || issue.url, issue.flag, issue.detail || ''])]
+  ].filter(([, , rows]) => rows.length > 0);
+}
+
+function markdownCell(value) {
+  return String(value).replace(/\|/g, '\\|').replace(/</g, '&lt;').replace(/\n/g, ' ');
+}
+
+function markdownTable(header, rows) {
+  return [
+    `| ${header.join(' | ')} |`,
+    `| ${header.map(() => '---').join(' | ')} |`,
+    ...rows.map(row => `| ${row.map(markdownCell).join(' | ')} |`)
+  ].join('\n');
+}
+
+export function renderReportMarkdown(report) {
+  const sections = [
+    `# Crawl report: ${report.site}`,
+    `${report.startUrl}, ${report.timing.finishedAt}${report.interrupted ? ' (interrupted)' : ''}`,
+    summaryRows(report).map(([label, value]) => `- **${label}**: ${value}`).join('\n'),
+    ...detailTables(report).map(([title, header, rows]) => `## ${title}\n\n${markdownTable(header, rows)}`)
+  ];
+  return sections.join('\n\n') + '\n';
+}
+
+function escapeHtml(value) {
+  return String(value).replace(/[&<>"]/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[char]);
+}
+
+function htmlTable(header, rows) {
+  const head = header.some(Boolean) ? `<thead><tr>${header.map(cell => `<th>${escapeHtml(cell)}</th>`).join('')}</tr></thead>` : '';
+  const body = rows.map(row => `<tr>${row.map(cell => `<td>${escapeHtml(cell)}</td>`).join('')}</tr>`).join('\n');
+  return `<table>${head}<tbody>\n${body}\n</tbody></table>`;
+}
+
+export function renderReportHtml(report) {
+  const title = `Crawl report: ${report.site}`;
+  return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>
+body { font-family: system-ui, sans-serif; margin: 2rem; color: #222; }
+table { border-collapse: collapse; margin-bottom: 2rem; }
+th, td { border: 1px solid #ddd; padding: 0.3rem 0.6rem; text-align: left; vertical-align: top; word-break: break-all; }
+th { background: #f4f4f4; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+<p>${escapeHtml(report.startUrl)}, ${escapeHtml(report.timing.finishedAt)}${report.interrupted ? ' (interrupted)' : ''}</p>
+${htmlTable(['', ''], summaryRows(report))}
+${detailTables(report).map(([heading, header, rows]) => `<h2>${escapeHtml(heading)}</h2>\n${htmlTable(header, rows)}`).join('\n')}
+</body>
+</html>
+`;
+}
+
+// Write _report.json and the summary in the given format. Returns the paths written.
+export async function writeCrawlReport(report, siteDir, format = 'md') {
+  const jsonPath = path.join(siteDir, REPORT_FILE);
+  const summaryPath = path.join(siteDir, `_report.${format}`);
+  await fs.writeJson(jsonPath, report, { spaces: 2 });
+  // A summary in the other format would be from an older run
+  for (const other of REPORT_FORMATS.filter(name => name !== format)) {
+    await fs.remove(path.join(siteDir, `_report.${other}`));
+  }
+  await fs.writeFile(summaryPath, format === 'html' ? renderReportHtml(report) : renderReportMarkdown(report), 'utf-8');
+  return [jsonPath, summaryPath];
+}
@@ -0,0 +1,49 @@
+import fs from 'fs-extra';
+import path from 'path';
+
+export const STATE_FILE = '_crawl-state.json';
+const STATE_VERSION = 1;
+
+// Checkpoint of an in-progress crawl: the pending queue and the status of
+// every URL taken from it, so an interrupted crawl can pick up where it stopped
+export class CrawlState {
+  constructor(siteDir) {
+    this.siteDir = siteDir;
+    this.filePath = path.join(siteDir, STATE_FILE);
+  }
+
+  async exists() {
+    return fs.pathExists(this.filePath);
+  }
+
+  async load() {
+    const data = await fs.readJson(this.filePath);
+    if (data.version !== STATE_VERSION) {
+      throw new Error(`Unsupported crawl state version ${data.version} in ${this.filePath}`);
+    }
+
+    // Dates don't survive JSON, restore the sitemap lastmod hints
+    const queue = data.queue.map(item => item.lastmod ? { ...item, lastmod: new Date(item.lastmod) } : item);
+    return { ...data, queue, status: new Map(Object.entries(data.status)) };
+  }
+
+  async save({ startUrl, followLinks, queue, status }) {
+    const data = {
+      version: STATE_VERSION,
+      startUrl,
+      followLinks,
+      savedAt: new Date().toISOString(),
+      queue,
+      status: Object.fromEntries(status)
+    };
+
+    const tempPath = this.filePath + '.tmp';
+    await fs.ensureDir(this.siteDir);
+    await fs.writeJson(tempPath, data);
+    await fs.move(tempPath, this.filePath, { overwrite: true });
+  }
+
+  async clear() {
+    await fs.remove(this.filePath);
+  }
+}
@@ -1,247 +1,1168 @@
-import axios from 'axios';
+import { EventEmitter } from 'events';
 import * as cheerio from 'cheerio';
-import TurndownService from 'turndown';
 import fs from 'fs-extra';
 import path from 'path';
 import { URL } from 'url';
-import chalk from 'chalk';
+import { RateLimiter } from './rate-limiter.js';
+import { RobotsTxt } from './robots.js';
+import { SitemapDiscovery, pageUrlForMarkdown } from './sitemap.js';
+import { loadSiteConfig, getHostConfig, compileUrlPattern } from './site-config.js';
+import { LinkRewriter } from './link-rewriter.js';
+import { AssetStore, DEFAULT_ASSET_TYPES, collectAssetUrls } from './assets.js';
+import { CrawlManifest, hashContent } from './manifest.js';
+import { CrawlState } from './crawl-state.js';
+import { createLogger, redactingLogger } from './logger.js';
+import { writeBundles, splitFrontMatter } from './bundles.js';
+import { FrameworkDetector } from './frameworks.js';
+import { scoreContent, explainCandidate } from './content-scorer.js';
+import { MarkdownConverter } from './markdown-converter.js';
+import { PageRenderer } from './renderer.js';
+import { AuthManager, redactUrl } from './auth.js';
+import { HttpClient } from './http-client.js';
+import { MarkdownSourceFinder } from './markdown-sources.js';
+import { RepoSource } from './repo-source.js';
+import { METADATA_FIELDS, buildFrontMatter, extractPageMetadata } from './front-matter.js';
+import { normalizeUrl, urlKey } from './url-normalizer.js';
+import { LAYOUT_FILE, NavTree, parseNav, planNavLayout, relocateLinks } from './nav-layout.js';
+import { VariantSelector } from './variants.js';
+import { cleanMdx } from './mdx.js';
+import { buildCrawlReport, checkQuality, writeCrawlReport } from './crawl-report.js';
 
-export class DocDownloader {
+// Save crawl state after this many finished pages, or this often, whichever comes first
+const CHECKPOINT_PAGES = 10;
+const CHECKPOINT_INTERVAL_MS = 10000;
+
+// Browser-like headers for HTML page requests; the client adds User-Agent and credentials
+const PAGE_HEADERS = {
+  'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/avif,image/webp,image/apng,*/*;q=0.8',
+  'Accept-Language': 'en-US,en;q=0.9',
+  'Cache-Control': 'no-cache',
+  'Pragma': 'no-cache',
+  'Upgrade-Insecure-Requests': '1'
+};
+
+// Events: pageFetched, markdownFound, pageSaved, pageSkipped, pageAliased, error, done.
+// The error event is only emitted when someone listens for it.
+export class DocDownloader extends EventEmitter {
   constructor(options = {}) {
-    this.maxDepth = options.maxDepth || 3;
+    super();
+    // 'pretty', 'json', 'silent' or an object with log(level, message, fields)
+    // Secrets from the auth config are scrubbed from everything logged
+    this.logger = redactingLogger(createLogger(options.logger), text => this.auth ? this.auth.redact(text) : text);
+    // Explicit depth wins over the per-site maxDepth from the config file
+    this.maxDepth = options.maxDepth;
     this.outputDir = options.outputDir || './downloads';
+    // Folder name inside outputDir (default: derived from the hostname)
+    this.siteName = options.siteName;
     this.force = options.force || false;
     this.configFile = options.configFile;
     this.includeMetadata = options.includeMetadata || false;
+    // Which front matter fields --metadata writes
+    this.metadataFields = options.metadataFields || METADATA_FIELDS;
+    // Sync mode sends conditional requests and rewrites only pages whose content changed
+    this.sync = options.sync || false;
+    this.prune = options.prune || false;
+    this.resume = options.resume || false;
+    this.rewriteLinks = options.rewriteLinks !== false;
+    // 'url' mirrors URL paths; 'nav' follows the sidebar, keeping its order with
+    // SUMMARY.md files ('summary') or numbered names ('prefix')
+    this.layout = options.layout || 'url';
+    this.navOrder = options.navOrder || 'summary';
+    // One sidebar per version/language subtree ('' when variants aren't split)
+    this.navTrees = new Map();
+    // pageUrl -> file path from the last nav layout, so re-runs find existing files,
+    // and the SUMMARY.md files it wrote
+    this.layoutPaths = new Map();
+    this.layoutSummaries = [];
+    // Per-page tree is always written; 'single', 'jsonl' and 'llms-txt' are built from it
+    this.formats = options.formats || ['tree'];
+    // _report.json is always written, with a summary as 'md' or 'html'
+    this.reportFormat = options.reportFormat || 'md';
+    // false, 'images' or 'all' (images plus PDFs and other attachments)
+    this.assets = options.assets || false;
+    this.maxAssetSize = options.maxAssetSize || 10 * 1024 * 1024;
+    this.assetTypes = options.assetTypes;
+    this.concurrency = Math.max(1, options.concurrency || 4);
+    this.rateLimit = options.rateLimit || {};
+    this.discovery = options.discovery || 'links';
+    this.ignoreRobots = options.ignoreRobots || false;
+    this.robotsUserAgent = options.robotsUserAgent || 'docs-downloader';
+    // Load pages in headless Chromium; hosts can also opt in (or out) with "render" in the config
+    this.render = options.render || false;
+    this.renderWaitFor = options.renderWaitFor;
+    this.renderWaitUntil = options.renderWaitUntil || 'networkidle';
+    this.renderTimeout = options.renderTimeout || 30000;
+    this.renderer = null;
+    // Log which selector or scored node each page's content came from
+    this.debugExtract = options.debugExtract || false;
+    this.robots = new Map();
+    this.robotsSkipped = new Set();
+    // Which versions (/v2/, /next/) and languages (/ja/) to download; by default
+    // all of them. Selected variants are written into their own subtrees
+    this.variants = new VariantSelector({versions: options.versions, langs: options.langs});
+    this.variantSkipped = new Set();
+    // Per-host detector (built-ins plus detectors from the config) and what it found
+    this.frameworkDetectors = new Map();
+    this.detectedFrameworks = new Map();
     this.visited = new Set();
+    // urlKey of every visited URL, so "/page", "/page/" and "/page?utm_source=x" are one page
+    this.visitedKeys = new Set();
+    // 'keep', 'strip' or 'add' a trailing slash on page URLs
+    this.trailingSlash = options.trailingSlash || 'keep';
+    // URL -> {aliasOf, reason} for redirects, rel=canonical and duplicate content
+    this.aliases = new Map();
+    // Content hash -> the page URL that was saved with it
+    this.contentOwners = new Map();
     this.queue = [];
+    this.pages = new Map();
+    this.pageInfo = new Map();
+    // pageUrl -> 'markdown' (saved from a markdown source) or 'html' (converted)
+    this.contentSources = new Map();
+    // URL -> the {url, status, location} hops its redirects went through
+    this.redirectChains = new Map();
+    this.failures = new Map();
+    this.skipped = [];
+    this.pageStatus = new Map();
+    this.manifest = null;
+    this.crawlState = null;
+    this.syncStats = null;
     this.siteConfig = {};
+    this.scope = null;
+    this.depthLimit = this.maxDepth ?? 3;
+    this.stopping = false;
+    this.interrupted = false;
     
-    // Initialize Turndown service for HTML to Markdown conversion
-    this.turndown = new TurndownService({
-      headingStyle: 'atx',
-      codeBlockStyle: 'fenced'
-    });
-    
-    // Custom rules for better markdown conversion
-    this.turndown.addRule('codeBlock', {
-      filter: ['pre'],
-      replacement: function (content, node) {
-        const codeElement = node.querySelector('code');
-        if (codeElement) {
-          const lang = codeElement.className.match(/language-(\w+)/);
-          const language = lang ? lang[1] : '';
-          return '\n```' + language + '\n' + codeElement.textContent + '\n```\n';
-        }
-        return '\n```\n' + content + '\n```\n';
-      }
-    });
+    // HTML to markdown; add Turndown rules through this.converter.turndown
+    this.converter = new MarkdownConverter();
     
     // Load site-specific configuration if provided
     if (this.configFile) {
       this.loadConfig();
     }
+    
+    // Per-host token buckets shared by page fetches and markdown probes
+    this.rateLimiter = new RateLimiter(this.rateLimit, this.siteConfig);
+    
+    // Every request goes through one client: proxy, TLS, User-Agent, retries, rate limits and auth
+    this.http = new HttpClient({
+      userAgent: options.userAgent,
+      timeout: options.timeout,
+      proxy: options.proxy,
+      caFiles: options.caFiles,
+      insecure: options.insecure,
+      retry: options.retry,
+      siteConfig: this.siteConfig,
+      rateLimiter: this.rateLimiter,
+      logger: this.logger
+    });
+    
+    // Cookie files in the config are relative to the config file
+    this.auth = new AuthManager(this.siteConfig, {
+      baseDir: this.configFile ? path.dirname(path.resolve(this.configFile)) : process.cwd(),
+      http: this.http
+    });
+    this.http.auth = this.auth;
+    
+    this.markdownSources = new MarkdownSourceFinder({
+      http: this.http,
+      getHostConfig: hostname => this.getHostConfig(hostname)
+    });
   }
   
   loadConfig() {
-    try {
-      const configData = fs.readFileSync(this.configFile, 'utf-8');
-      this.siteConfig = JSON.parse(configData);
-    } catch (error) {
-      console.warn(chalk.yellow(`⚠️ Could not load config file: ${error.message}`));
-    }
+    // Throws a ConfigError listing every problem in the file
+    this.siteConfig = loadSiteConfig(this.configFile);
+  }
+  
+  getHostConfig(hostname) {
+    return getHostConfig(this.siteConfig, hostname);
+  }
+  
+  // Crawl scope for a site: which hosts and paths to follow and which URLs to skip
+  buildScope(baseUrl) {
+    const config = this.getHostConfig(baseUrl.hostname);
+    const hosts = new Set([baseUrl.hostname, ...(config.allowedHosts || [])]);
+    const includePaths = (config.includePaths || []).map(prefix => {
+      const slash = prefix.indexOf('/');
+      return slash === 0
+        ? {host: null, prefix}
+        : {host: prefix.slice(0, slash), prefix: prefix.slice(slash)};
+    });
+    const skipMatchers = [...hosts].flatMap(host => {
+      const hostConfig = host === baseUrl.hostname ? config : this.getHostConfig(host);
+      return (hostConfig.skipPatterns || []).map(compileUrlPattern);
+    });
+    
+    return {hosts, includePaths, skipMatchers};
+  }
+  
+  isInScope(url) {
+    const urlObj = typeof url === 'string' ? new URL(url) : url;
+    if (!this.scope) return true;
+    if (!this.scope.hosts.has(urlObj.hostname)) return false;
+    if (this.scope.includePaths.length === 0) return true;
+    
+    return this.scope.includePaths.some(({host, prefix}) =>
+      (!host || host === urlObj.hostname) && urlObj.pathname.startsWith(prefix)
+    );
   }
   
   async download(startUrl) {
+    const startedAt = new Date();
+    // The start URL keeps its trailing slash: it decides the scope of sitemap seeding
+    startUrl = normalizeUrl(startUrl);
     const baseUrl = new URL(startUrl);
-    const siteName = this.getSiteName(baseUrl.hostname);
+    const siteName = this.siteName || this.getSiteName(baseUrl.hostname);
     const siteDir = path.join(this.outputDir, siteName);
     
-    await fs.ensureDir(siteDir);
+    await this.resetState(startUrl, siteDir);
+    this.crawlState = new CrawlState(siteDir);
+    this.queue = [{url: startUrl, depth: 0}];
+    this.robots.clear();
+    this.robotsSkipped.clear();
+    this.variantSkipped.clear();
+    this.markdownSources.reset();
+    this.rateLimiter.reset();
+    this.scope = this.buildScope(baseUrl);
+    this.depthLimit = this.maxDepth ?? this.getHostConfig(baseUrl.hostname).maxDepth ?? 3;
+    
+    this.logger.info(`📁 Output directory: ${siteDir}`);
+    await this.authenticate(this.scope.hosts);
+    if (this.scope.hosts.size > 1) {
+      this.logger.debug(`🌐 Also crawling: ${[...this.scope.hosts].slice(1).join(', ')}`);
+    }
+    
+    const resumed = await this.restoreCrawlState(startUrl, siteDir);
+    
+    if (!this.ignoreRobots) {
+      for (const host of this.scope.hosts) {
+        // The start host keeps its port, so local test servers get their own robots.txt
+        const origin = host === baseUrl.hostname ? baseUrl.origin : `${baseUrl.protocol}//${host}`;
+        await this.loadRobots(new URL(`${origin}/`));
+      }
+      if (!resumed && !this.isAllowedByRobots(startUrl)) {
+        this.skipRobots(startUrl);
+        this.logger.warn(`⚠️ Start URL is disallowed by robots.txt (use --ignore-robots to override)`);
+        this.queue = [];
+      }
+    }
+    
+    if (!resumed) {
+      this.followLinks = this.discovery !== 'sitemap';
+    }
+    if (!resumed && this.discovery !== 'links' && this.queue.length > 0) {
+      const seeded = await this.seedFromSitemaps(startUrl, baseUrl);
+      if (seeded === 0 && !this.followLinks) {
+        this.logger.warn('⚠️ No URLs found in sitemap.xml or llms.txt, falling back to link discovery');
+        this.followLinks = true;
+      }
+    }
+    
+    // Fail fast when rendering is on but no browser is available
+    if (this.renderSettings(baseUrl.hostname)) {
+      await this.startRenderer();
+    }
+    
+    // Stop taking new pages on Ctrl-C but let in-flight pages finish saving
+    const onSigint = () => {
+      if (this.stopping) {
+        this.logger.error('\n❌ Forced exit, in-flight pages were not saved');
+        process.exit(130);
+      }
+      this.logger.warn('\n⚠️ Interrupted, finishing in-flight pages (press Ctrl-C again to force exit)...');
+      this.stopping = true;
+      this.interrupted = true;
+    };
+    process.on('SIGINT', onSigint);
+    
+    try {
+      await this.crawl(baseUrl, siteDir);
+    } finally {
+      process.removeListener('SIGINT', onSigint);
+      await this.closeRenderer();
+    }
+    
+    // Keep the state around for --resume only when the crawl didn't finish
+    if (this.interrupted) {
+      await this.checkpoint();
+      this.logger.debug(`💾 Crawl state saved, continue with --resume`);
+    } else {
+      await this.crawlState.clear();
+    }
+    
+    if (this.robotsSkipped.size > 0) {
+      this.logger.debug(`🤖 Skipped ${this.robotsSkipped.size} URLs disallowed by robots.txt`);
+    }
+    if (this.variantSkipped.size > 0) {
+      this.logger.debug(`🌐 Skipped ${this.variantSkipped.size} URLs of other versions or languages`);
+    }
     
-    // Reset state for new download
+    return this.finishSite(startUrl, siteName, siteDir, startedAt);
+  }
+  
+  // Copy a site's markdown sources out of its Git repository instead of crawling it.
+  // options: repo (URL or local path), ref, docsDir, baseUrl (where docsDir is published), urlStyle
+  async downloadRepo(options) {
+    const startedAt = new Date();
+    const source = new RepoSource({...options, logger: this.logger});
+    const baseUrl = source.baseUrl;
+    const siteName = this.siteName || this.getSiteName(baseUrl.hostname);
+    const siteDir = path.join(this.outputDir, siteName);
+    
+    await this.resetState(baseUrl.href, siteDir);
+    this.scope = null;
+    this.logger.info(`📁 Output directory: ${siteDir}`);
+    
+    await source.open();
+    try {
+      const documents = await source.documents();
+      this.logger.info(`📚 Found ${documents.length} pages in ${source.docsDir}`);
+      
+      for (const doc of documents) {
+        if (this.pages.has(doc.url)) {
+          this.logger.warn(`⚠️ ${doc.relPath} is published at the same URL as another file (${doc.url}), skipping`);
+          this.skipPage(doc.url, 'duplicate', {file: doc.relPath});
+          continue;
+        }
+        this.markVisited(doc.url);
+        this.pageInfo.set(doc.url, {meta: {title: doc.frontMatter.title, description: doc.frontMatter.description}});
+        this.logger.debug(`📄 ${doc.relPath} → ${doc.url}`);
+        this.contentSources.set(doc.url, 'markdown');
+        await this.saveMarkdown(doc.markdown, this.getFilePath(doc.url, baseUrl, siteDir), doc.url);
+      }
+    } finally {
+      await source.close();
+    }
+    
+    return this.finishSite(baseUrl.href, siteName, siteDir, startedAt);
+  }
+  
+  // Reset per-site state before a crawl or repo import
+  async resetState(startUrl, siteDir) {
+    await fs.ensureDir(siteDir);
     this.visited.clear();
-    this.queue = [{url: startUrl, depth: 0}];
+    this.visitedKeys.clear();
+    this.aliases.clear();
+    this.contentOwners.clear();
+    this.pages.clear();
+    this.pageInfo.clear();
+    this.contentSources.clear();
+    this.redirectChains.clear();
+    this.failures.clear();
+    this.skipped = [];
+    this.syncStats = {added: [], changed: [], unchanged: [], removed: []};
+    this.pageStatus.clear();
+    this.detectedFrameworks.clear();
+    this.navTrees = new Map();
+    this.variants.reset();
+    await this.loadLayout(siteDir);
+    this.manifest = await CrawlManifest.load(siteDir);
+    this.manifest.startUrl = startUrl;
+    this.startUrl = startUrl;
+    this.stopping = false;
+    this.interrupted = false;
+  }
+  
+  // Assets, link rewriting, bundles and the manifest once all pages are saved
+  async finishSite(startUrl, siteName, siteDir, startedAt) {
+    if (this.layout === 'nav') {
+      await this.applyNavLayout(siteName, siteDir);
+    }
+    
+    const assets = this.assets ? await this.localizeAssets(siteDir) : new Map();
+    
+    if (this.rewriteLinks || assets.size > 0) {
+      await this.rewritePageLinks(assets);
+    }
+    
+    const bundles = await this.writeBundles(startUrl, siteName, siteDir);
+    
+    // Removed pages can only be told apart from unvisited ones after a complete crawl
+    if (this.sync && !this.interrupted) {
+      await this.findRemovedPages();
+    }
+    
+    await this.manifest.save();
+    
+    if (this.sync) {
+      const {added, changed, removed, unchanged} = this.syncStats;
+      this.logger.info(`📊 Sync: ${added.length} added, ${changed.length} changed, ${removed.length} removed, ${unchanged.length} unchanged`);
+      for (const url of added) this.logger.success(`  + ${url}`);
+      for (const url of changed) this.logger.notice(`  ~ ${url}`);
+      for (const url of removed) this.logger.notice(`  - ${url}`);
+    }
+    
+    if (this.aliases.size > 0) {
+      this.logger.info(`🔀 ${this.aliases.size} URLs were aliases of other pages and not saved again`);
+    }
+    
+    const finishedAt = new Date();
+    const result = {
+      startUrl,
+      siteDir,
+      interrupted: this.interrupted,
+      saved: [...this.pages.values()]
+        .filter(page => page.written)
+        .map(({pageUrl, sourceUrl, filePath}) => ({url: pageUrl, sourceUrl, filePath})),
+      skipped: this.skipped,
+      aliases: [...this.aliases].map(([url, {aliasOf, reason}]) => ({url, aliasOf, reason})),
+      failed: [...this.failures].map(([url, {status, reason}]) => ({url, status, reason})),
+      sync: this.sync ? this.syncStats : undefined,
+      frameworks: Object.fromEntries(this.detectedFrameworks),
+      bundles,
+      timing: {
+        startedAt: startedAt.toISOString(),
+        finishedAt: finishedAt.toISOString(),
+        durationMs: finishedAt - startedAt
+      }
+    };
+    
+    result.report = await this.writeReport(result, siteName, siteDir);
+    
+    this.emit('done', result);
+    return result;
+  }
+  
+  // _report.json and its summary: what happened to every URL, broken links,
+  // redirects and quality problems in the saved pages
+  async writeReport(result, siteName, siteDir) {
+    const relative = filePath => path.relative(siteDir, filePath).split(path.sep).join('/');
+    const skipReasons = new Map(this.skipped.map(({url, reason}) => [url, reason]));
+    const pages = [];
+    
+    for (const page of this.pages.values()) {
+      const source = this.contentSources.get(page.pageUrl) || this.manifest.get(page.pageUrl)?.source;
+      let quality = [];
+      try {
+        const {body} = splitFrontMatter(await fs.readFile(page.filePath, 'utf-8'));
+        quality = checkQuality(body, {source});
+      } catch (error) {
+        // File removed since it was saved
+      }
+      pages.push({
+        url: page.pageUrl,
+        status: page.written ? 'saved' : 'skipped',
+        reason: page.written ? undefined : skipReasons.get(page.pageUrl) || 'unchanged',
+        source,
+        file: relative(page.filePath),
+        quality
+      });
+    }
+    
+    const reported = new Set(this.pages.keys());
+    for (const {url, reason, filePath, ...fields} of this.skipped) {
+      if (reported.has(url)) continue;
+      reported.add(url);
+      const quality = reason === 'prefer-markdown' ? [{flag: 'prefer-markdown', detail: 'no markdown source found'}] : [];
+      pages.push({url, status: 'skipped', reason, ...fields, quality});
+    }
+    for (const [url, {status, reason}] of this.failures) {
+      pages.push({url, status: 'failed', httpStatus: status, reason});
+    }
+    for (const [url, {aliasOf, reason}] of this.aliases) {
+      pages.push({url, status: 'alias', aliasOf, reason});
+    }
+    
+    // Links seen on this run's pages, or recorded for pages that weren't fetched again
+    const failuresByKey = new Map([...this.failures].map(([url, failure]) => [urlKey(url), failure]));
+    const linksByPage = new Map([...this.pages.keys()].map(url => [url, this.manifest.get(url)?.links]));
+    for (const [url, {links}] of this.pageInfo) {
+      if (links) linksByPage.set(url, links);
+    }
+    const brokenLinks = [];
+    for (const [from, links] of linksByPage) {
+      for (const to of new Set(links || [])) {
+        const failure = failuresByKey.get(urlKey(to));
+        if (failure) brokenLinks.push({from, to, status: failure.status, reason: failure.reason});
+      }
+    }
+    
+    const redirects = [...this.redirectChains].map(([url, chain]) => ({url, finalUrl: chain[chain.length - 1].location, chain}));
+    
+    const report = buildCrawlReport({
+      siteName,
+      startUrl: result.startUrl,
+      interrupted: result.interrupted,
+      timing: result.timing,
+      pages,
+      brokenLinks,
+      redirects
+    });
+    
+    let files;
+    try {
+      files = await writeCrawlReport(report, siteDir, this.reportFormat);
+    } catch (error) {
+      this.logger.warn(`⚠️ Could not write crawl report: ${error.message}`);
+      return {files: [], summary: report.summary};
+    }
+    
+    const failed = result.failed.length;
+    const problems = [
+      failed > 0 ? `${failed} failed pages` : null,
+      brokenLinks.length > 0 ? `${brokenLinks.length} broken links` : null,
+      report.quality.length > 0 ? `${report.quality.length} quality issues` : null
+    ].filter(Boolean);
+    if (problems.length > 0) {
+      this.logger.notice(`📋 ${problems.join(', ')}, see ${files[1]}`, {report: files[0]});
+    } else {
+      this.logger.info(`📋 Crawl report: ${files[1]}`, {report: files[0]});
+    }
+    return {files, summary: report.summary};
+  }
+  
+  async writeBundles(startUrl, siteName, siteDir) {
+    const bundleFormats = this.formats.filter(format => format !== 'tree');
+    if (bundleFormats.length === 0) return [];
+    
+    // Sidebar order for the nav layout, then crawl order: visited is filled in the
+    // order pages were taken from the queue
+    const navOrder = this.layout === 'nav' ? [...this.navTrees.values()].flatMap(tree => tree.urls()) : [];
+    const order = [...navOrder, ...this.visited].map(urlKey);
+    const pages = [...this.pages.values()]
+      .sort((a, b) => rank(order, urlKey(a.pageUrl)) - rank(order, urlKey(b.pageUrl)))
+      .map(({pageUrl, sourceUrl, filePath}) => ({url: pageUrl, sourceUrl, filePath}));
+    
+    const written = await writeBundles(bundleFormats, {
+      pages,
+      siteDir,
+      outputDir: this.outputDir,
+      siteName,
+      startUrl
+    });
+    for (const filePath of written) {
+      this.logger.success(`📦 Wrote ${filePath}`, {filePath});
+    }
+    return written;
+  }
+  
+  async loadLayout(siteDir) {
+    this.layoutPaths = new Map();
+    this.layoutSummaries = [];
+    if (this.layout !== 'nav') return;
+    try {
+      const {pages, summaries, nav} = await fs.readJson(path.join(siteDir, LAYOUT_FILE));
+      // Pages that come back 304 Not Modified have no sidebar to read
+      for (const [dir, items] of Object.entries(Array.isArray(nav) ? {'': nav} : nav || {})) {
+        this.navTrees.set(dir, new NavTree());
+        this.navTrees.get(dir).add(items);
+      }
+      this.layoutPaths = new Map(Object.entries(pages).map(([url, relative]) => [url, path.join(siteDir, relative)]));
+      this.layoutSummaries = summaries || [];
+    } catch (error) {
+      // First nav layout for this site
+    }
+  }
+  
+  // Move saved pages into the folders of the site's sidebar, fix up relative links
+  // between them, and write the per-folder SUMMARY.md files and the URL-to-file mapping
+  async applyNavLayout(siteName, siteDir) {
+    const byKey = new Map([...this.pages.values()].map(page => [urlKey(page.pageUrl), page]));
+    for (const [url, {aliasOf}] of this.aliases) {
+      if (this.pages.has(aliasOf)) byKey.set(urlKey(url), this.pages.get(aliasOf));
+    }
+    const baseUrl = new URL(this.startUrl);
+    
+    // Each version/language subtree follows its own sidebar
+    const groups = new Map();
+    for (const page of this.pages.values()) {
+      const dir = this.variants.placement(page.pageUrl)?.dir || '';
+      if (!groups.has(dir)) groups.set(dir, []);
+      groups.get(dir).push(page);
+    }
     
-    console.log(chalk.blue(`📁 Output directory: ${siteDir}`));
+    const paths = new Map();
+    const summaries = [];
+    for (const [dir, pages] of groups) {
+      const plan = planNavLayout(this.navTrees.get(dir)?.items || [], pages, {
+        findPage: url => {
+          const page = byKey.get(urlKey(url));
+          return page && pages.includes(page) ? page : null;
+        },
+        urlPath: url => path.relative(path.join(siteDir, dir), this.urlFilePath(url, baseUrl, siteDir)).split(path.sep).join('/'),
+        navOrder: this.navOrder,
+        title: dir ? `${siteName} (${dir})` : siteName,
+        homeUrl: this.startUrl
+      });
+      for (const [url, relative] of plan.paths) paths.set(url, path.posix.join(dir, relative));
+      summaries.push(...plan.summaries.map(summary => ({...summary, path: path.posix.join(dir, summary.path)})));
+    }
+    if ([...this.navTrees.values()].every(tree => tree.items.length === 0)) {
+      this.logger.warn('⚠️ No sidebar navigation found; files keep their URL layout');
+    }
     
-    while (this.queue.length > 0) {
-      const {url, depth} = this.queue.shift();
+    const moves = new Map();
+    for (const page of this.pages.values()) {
+      const target = path.join(siteDir, paths.get(page.pageUrl));
+      if (target !== path.resolve(page.filePath)) moves.set(path.resolve(page.filePath), target);
+    }
+    
+    if (moves.size > 0) {
+      // Read everything before writing so pages can trade places
+      const updates = [];
+      for (const page of this.pages.values()) {
+        const oldPath = path.resolve(page.filePath);
+        const content = await fs.readFile(oldPath, 'utf-8').catch(() => null);
+        if (content === null) continue;
+        const newPath = moves.get(oldPath) || oldPath;
+        const relocated = relocateLinks(content, oldPath, newPath, moves);
+        if (newPath !== oldPath || relocated !== content) updates.push({page, oldPath, newPath, content: relocated});
+      }
+      for (const {oldPath, newPath} of updates) {
+        if (newPath !== oldPath) await fs.remove(oldPath);
+      }
+      for (const {page, oldPath, newPath, content} of updates) {
+        await fs.ensureDir(path.dirname(newPath));
+        await fs.writeFile(newPath, content, 'utf-8');
+        page.filePath = newPath;
+        if (this.manifest.get(page.pageUrl)) this.manifest.set(page.pageUrl, {filePath: newPath});
+        if (newPath !== oldPath) await this.removeEmptyDirs(path.dirname(oldPath), siteDir);
+      }
+      this.logger.debug(`🗂️ Moved ${moves.size} files into the sidebar layout`);
+    }
+    
+    // SUMMARY.md files of folders the sidebar no longer has
+    const current = new Set(summaries.map(summary => summary.path));
+    for (const stale of this.layoutSummaries.filter(summary => !current.has(summary))) {
+      await fs.remove(path.join(siteDir, stale));
+      await this.removeEmptyDirs(path.dirname(path.join(siteDir, stale)), siteDir);
+    }
+    for (const summary of summaries) {
+      const filePath = path.join(siteDir, summary.path);
+      await fs.ensureDir(path.dirname(filePath));
+      await fs.writeFile(filePath, summary.content, 'utf-8');
+    }
+    
+    const mapping = Object.fromEntries([...this.pages.values()].map(page => [
+      page.pageUrl,
+      path.relative(siteDir, page.filePath).split(path.sep).join('/')
+    ]));
+    await fs.writeJson(path.join(siteDir, LAYOUT_FILE), {
+      layout: 'nav',
+      navOrder: this.navOrder,
+      pages: mapping,
+      summaries: summaries.map(summary => summary.path),
+      nav: Object.fromEntries([...this.navTrees].map(([dir, tree]) => [dir, tree.items]))
+    }, {spaces: 2});
+  }
+  
+  recordFailure(url, reason, status) {
+    reason = this.auth.redact(reason);
+    this.failures.set(url, {status, reason});
+    // EventEmitter throws on unhandled 'error' events, so only emit when observed
+    if (this.listenerCount('error') > 0) {
+      this.emit('error', {url, status, reason});
+    }
+  }
+  
+  skipPage(url, reason, fields = {}) {
+    this.skipped.push({url, reason, ...fields});
+    this.emit('pageSkipped', {url, reason, ...fields});
+  }
+  
+  // url won't be saved on its own: it redirects to, declares as canonical, or has
+  // the same content as aliasOf
+  recordAlias(url, aliasOf, reason) {
+    if (url === aliasOf || this.aliases.has(url)) return;
+    this.aliases.set(url, {aliasOf, reason});
+    this.emit('pageAliased', {url, aliasOf, reason});
+    this.logger.debug(`🔀 ${url} is an alias of ${aliasOf} (${reason})`);
+  }
+  
+  skipRobots(url) {
+    if (this.robotsSkipped.has(url)) return;
+    this.robotsSkipped.add(url);
+    this.skipPage(url, 'robots');
+  }
+  
+  skipVariant(url) {
+    if (this.variantSkipped.has(url)) return;
+    this.variantSkipped.add(url);
+    this.skipPage(url, 'variant');
+  }
+  
+  // Manifest pages that were neither reached in this crawl nor only failed transiently
+  async findRemovedPages() {
+    for (const url of this.manifest.urls()) {
+      if (this.pages.has(url)) continue;
+      
+      const status = this.failures.get(url)?.status;
+      const alias = this.aliases.has(url);
+      if (this.visited.has(url) && !alias && status !== 404 && status !== 410) continue;
       
-      if (this.visited.has(url) || depth > this.maxDepth) {
+      // Became an alias of a page saved to the same file: only the manifest entry goes
+      if (alias && [...this.pages.values()].some(page => page.filePath === this.manifest.get(url).filePath)) {
+        this.manifest.delete(url);
         continue;
       }
       
+      this.syncStats.removed.push(url);
+      
+      if (this.prune) {
+        const entry = this.manifest.get(url);
+        await fs.remove(entry.filePath);
+        await this.removeEmptyDirs(path.dirname(entry.filePath), this.manifest.siteDir);
+        this.manifest.delete(url);
+        this.logger.debug(`🗑️ Pruned: ${entry.path}`);
+      }
+    }
+  }
+  
+  // Download images (and attachments) referenced by the pages written in this run
+  async localizeAssets(siteDir) {
+    const store = new AssetStore({
+      siteDir,
+      maxBytes: this.maxAssetSize,
+      allowedTypes: this.assetTypes || DEFAULT_ASSET_TYPES[this.assets] || DEFAULT_ASSET_TYPES.images,
+      fetchAsset: (url, maxBytes) => this.fetchAsset(url, maxBytes)
+    });
+    
+    const urls = new Set();
+    for (const page of this.pages.values()) {
+      if (!page.written) continue;
+      const content = await fs.readFile(page.filePath, 'utf-8');
+      for (const url of collectAssetUrls(content, page, this.assets === 'all')) {
+        urls.add(url);
+      }
+    }
+    
+    if (urls.size === 0) return store.stored;
+    
+    this.logger.info(`🖼️ Downloading ${urls.size} assets...`);
+    const pending = [...urls];
+    const workers = Array.from({length: Math.min(this.concurrency, pending.length)}, async () => {
+      while (pending.length > 0) {
+        await store.localize(pending.shift());
+      }
+    });
+    await Promise.all(workers);
+    
+    const files = new Set(store.stored.values());
+    this.logger.debug(`🖼️ Stored ${store.stored.size} assets as ${files.size} files in ${path.join(siteDir, '_assets')}`);
+    for (const [url, reason] of store.skipped) {
+      this.logger.warn(`⚠️ Skipped asset ${url}: ${reason}`);
+    }
+    
+    return store.stored;
+  }
+  
+  async fetchAsset(url, maxBytes) {
+    const response = await this.http.get(url, {
+      responseType: 'arraybuffer',
+      maxContentLength: maxBytes
+    });
+    return {
+      data: Buffer.from(response.data),
+      contentType: response.headers['content-type'] || ''
+    };
+  }
+  
+  // Point links between downloaded pages at the local files so the tree can be browsed offline,
+  // and image references at their local copies
+  async rewritePageLinks(assets = new Map()) {
+    const pages = [...this.pages.values()];
+    // Links to an alias lead to the file of the page it duplicates
+    const aliases = [...this.aliases]
+      .filter(([, {aliasOf}]) => this.pages.has(aliasOf))
+      .map(([url, {aliasOf}]) => ({pageUrl: url, sourceUrl: url, filePath: this.pages.get(aliasOf).filePath, written: false}));
+    const rewriter = new LinkRewriter([...aliases, ...pages], {assets, rewritePages: this.rewriteLinks});
+    let rewritten = 0;
+    
+    for (const page of pages) {
+      if (!page.written) continue;
       try {
-        await this.processPage(url, depth, baseUrl, siteDir);
+        if (await rewriter.rewriteFile(page)) {
+          rewritten++;
+        }
       } catch (error) {
-        console.warn(chalk.yellow(`⚠️ Failed to process ${url}: ${error.message}`));
+        this.logger.warn(`⚠️ Could not rewrite links in ${page.filePath}: ${error.message}`);
       }
     }
+    
+    if (rewritten > 0) {
+      this.logger.debug(`🔗 Rewrote links in ${rewritten} files to local paths`);
+    }
   }
   
-  async processPage(url, depth, baseUrl, siteDir) {
-    this.visited.add(url);
+  recordPage(pageUrl, sourceUrl, filePath, written) {
+    this.pages.set(pageUrl, {pageUrl, sourceUrl, filePath, written});
+  }
+  
+  async loadRobots(baseUrl) {
+    const robotsUrl = new URL('/robots.txt', baseUrl).href;
+    let robots;
+    
+    try {
+      const response = await this.http.get(robotsUrl, {
+        responseType: 'text',
+        validateStatus: () => true
+      });
+      
+      if (response.status >= 200 && response.status < 300) {
+        robots = RobotsTxt.parse(response.data);
+      } else if (response.status >= 500) {
+        // RFC 9309: an unreachable robots.txt means the whole site is off limits
+        this.logger.warn(`⚠️ robots.txt returned ${response.status}, treating site as disallowed (use --ignore-robots to override)`);
+        robots = RobotsTxt.disallowAll();
+      } else {
+        robots = RobotsTxt.allowAll();
+      }
+    } catch (error) {
+      this.logger.warn(`⚠️ Could not fetch robots.txt: ${error.message}`);
+      robots = RobotsTxt.allowAll();
+    }
+    
+    this.robots.set(baseUrl.origin, robots);
+    
+    const crawlDelay = robots.getCrawlDelay(this.robotsUserAgent);
+    if (crawlDelay) {
+      this.logger.debug(`🤖 Using robots.txt crawl delay of ${crawlDelay}s for ${baseUrl.hostname}`);
+      this.rateLimiter.setCrawlDelay(baseUrl.hostname, crawlDelay);
+    }
+    
+    return robots;
+  }
+  
+  async fetchBody(url) {
+    try {
+      const response = await this.http.get(url, {
+        responseType: 'arraybuffer',
+        validateStatus: status => status >= 200 && status < 300
+      });
+      return Buffer.from(response.data);
+    } catch (error) {
+      return null;
+    }
+  }
+  
+  async seedFromSitemaps(startUrl, baseUrl) {
+    const discovery = new SitemapDiscovery(url => this.fetchBody(url));
+    
+    // Sitemap: lines from robots.txt, plus the conventional location
+    let robots = this.robots.get(baseUrl.origin);
+    if (!robots) {
+      const robotsBody = await this.fetchBody(new URL('/robots.txt', baseUrl).href);
+      robots = RobotsTxt.parse(robotsBody ? robotsBody.toString('utf-8') : '');
+    }
+    const sitemapUrls = [...robots.sitemaps, new URL('/sitemap.xml', baseUrl).href];
+    
+    // Without includePaths in the config, only seed pages under the directory of the start URL
+    const scopePrefix = baseUrl.pathname.replace(/[^/]*$/, '');
+    const inScope = (url) => {
+      const urlObj = new URL(url);
+      return this.isInScope(urlObj) &&
+        (this.scope.includePaths.length > 0 || urlObj.pathname.startsWith(scopePrefix)) &&
+        !this.shouldSkipUrl(url) &&
+        this.isAllowedByRobots(url);
+    };
+    
+    let seeded = 0;
+    
+    const entries = await discovery.collect(sitemapUrls);
+    for (const entry of entries) {
+      if (!this.isValidUrl(entry.loc) || !inScope(entry.loc)) continue;
+      this.queue.push({url: this.normalize(entry.loc), depth: 0, lastmod: entry.lastmod});
+      seeded++;
+    }
+    if (entries.length > 0) {
+      this.logger.debug(`🗺️ Seeded ${seeded} URLs from sitemap.xml`);
+    }
     
-    console.log(chalk.gray(`${'  '.repeat(depth)}📄 Processing: ${url} (depth: ${depth})`));
+    // llms.txt manifests often point straight at the markdown sources
+    let manifestSeeded = 0;
+    for (const url of await discovery.collectLlmsTxt(startUrl)) {
+      if (!this.isValidUrl(url) || !inScope(url)) continue;
+      if (/\.mdx?$/i.test(new URL(url).pathname)) {
+        this.queue.push({url: this.normalize(pageUrlForMarkdown(url)), depth: 0, markdownUrl: url});
+      } else {
+        this.queue.push({url: this.normalize(url), depth: 0});
+      }
+      manifestSeeded++;
+    }
+    if (manifestSeeded > 0) {
+      this.logger.debug(`🗺️ Seeded ${manifestSeeded} URLs from llms.txt`);
+    }
+    
+    return seeded + manifestSeeded;
+  }
+  
+  isValidUrl(url) {
+    try {
+      new URL(url);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+  
+  isAllowedByRobots(url) {
+    if (this.ignoreRobots) return true;
+    const robots = this.robots.get(new URL(url).origin);
+    return robots ? robots.isAllowed(url, this.robotsUserAgent) : true;
+  }
+  
+  async crawl(baseUrl, siteDir) {
+    const inFlight = new Set();
+    let finishedSinceCheckpoint = 0;
+    let lastCheckpoint = Date.now();
+    
+    while ((this.queue.length > 0 || inFlight.size > 0) && !this.stopping) {
+      // Fill the worker pool from the queue
+      while (this.queue.length > 0 && inFlight.size < this.concurrency && !this.stopping) {
+        const {url, depth, ...hints} = this.queue.shift();
+        
+        // The start page is fetched even in an unselected language: its links and
+        // hreflang alternates lead to the selected ones
+        if (!this.variants.accepts(url) && urlKey(url) !== urlKey(this.startUrl)) {
+          this.skipVariant(url);
+          continue;
+        }
+        
+        // Mark before processing so other workers don't pick up the same URL
+        if (depth > this.depthLimit || !this.markVisited(url)) {
+          continue;
+        }
+
+        this.pageStatus.set(url, {status: 'in-progress', depth, ...hints});
+        
+        const task = this.processPage(url, depth, baseUrl, siteDir, hints)
+          .catch(error => {
+            this.recordFailure(url, error.message);
+            this.logger.warn(`⚠️ Failed to process ${url}: ${error.message}`);
+          })
+          .then(() => {
+            this.pageStatus.set(url, {status: this.failures.has(url) ? 'failed' : 'done', depth});
+            finishedSinceCheckpoint++;
+          })
+          .finally(() => inFlight.delete(task));
+        inFlight.add(task);
+      }
+      
+      if (inFlight.size > 0) {
+        await Promise.race(inFlight);
+      }
+      
+      if (finishedSinceCheckpoint >= CHECKPOINT_PAGES || Date.now() - lastCheckpoint >= CHECKPOINT_INTERVAL_MS) {
+        await this.checkpoint();
+        finishedSinceCheckpoint = 0;
+        lastCheckpoint = Date.now();
+      }
+    }
+    
+    // Flush pages that were already being processed when we stopped
+    await Promise.all(inFlight);
+  }
+  
+  // Persist the queue, per-URL status and manifest so the crawl can be resumed
+  async checkpoint() {
+    const pending = [];
+    const status = new Map();
+    
+    for (const [url, {status: pageStatus, depth, ...hints}] of this.pageStatus) {
+      if (pageStatus === 'in-progress') {
+        // Pages that were mid-flight get processed again on resume
+        pending.push({url, depth, ...hints});
+      } else {
+        status.set(url, {status: pageStatus, depth});
+      }
+    }
+    
+    try {
+      await this.crawlState.save({
+        startUrl: this.startUrl,
+        followLinks: this.followLinks,
+        queue: [...pending, ...this.queue],
+        status
+      });
+      await this.manifest.save();
+    } catch (error) {
+      this.logger.warn(`⚠️ Could not save crawl state: ${error.message}`);
+    }
+  }
+  
+  async restoreCrawlState(startUrl, siteDir) {
+    const hasState = await this.crawlState.exists();
+    
+    if (!this.resume) {
+      if (hasState) {
+        this.logger.debug(`💡 Found state from an unfinished crawl, use --resume to continue it`);
+      }
+      return false;
+    }
+    
+    if (!hasState) {
+      this.logger.warn(`⚠️ No saved crawl state in ${siteDir}, starting a fresh crawl`);
+      return false;
+    }
+    
+    const state = await this.crawlState.load();
+    if (state.startUrl !== startUrl) {
+      throw new Error(`Saved crawl state in ${siteDir} is for ${state.startUrl}, not ${startUrl}`);
+    }
+    
+    this.queue = state.queue;
+    this.followLinks = state.followLinks;
+    for (const [url, entry] of state.status) {
+      // Give pages that failed last time another try
+      if (entry.status === 'failed') {
+        this.queue.push({url, depth: entry.depth});
+        continue;
+      }
+      
+      this.markVisited(url);
+      this.pageStatus.set(url, entry);
+      
+      // Finished pages still take part in link rewriting
+      const saved = this.manifest.get(url);
+      if (entry.status === 'done' && saved) {
+        this.recordPage(url, saved.sourceUrl || url, saved.filePath, true);
+      }
+    }
     
-    // Add delay between requests to be respectful
-    await this.delay(500);
+    this.logger.info(`♻️ Resuming crawl: ${state.status.size} pages done, ${this.queue.length} queued`);
+    return true;
+  }
+  
+  async processPage(url, depth, baseUrl, siteDir, hints = {}) {
+    this.logger.debug(`${'  '.repeat(depth)}📄 Processing: ${url} (depth: ${depth})`, {url, depth});
     
-    // Always fetch HTML to find navigation links
-    const response = await this.fetchPage(url);
+    // Sitemap lastmod tells us whether the saved copy is still current
+    if (hints.lastmod && !this.force) {
+      const filePath = this.getFilePath(url, baseUrl, siteDir);
+      if (await fs.pathExists(filePath)) {
+        const stats = await fs.stat(filePath);
+        if (stats.mtime >= hints.lastmod) {
+          this.markUnchanged(url, filePath);
+          this.skipPage(url, 'lastmod', {filePath});
+          this.logger.debug(`${'  '.repeat(depth)}⏭️ Unchanged since last download (lastmod: ${hints.lastmod.toISOString()})`);
+          // The page isn't fetched, so crawl on through the links it had last time
+          if (depth < this.depthLimit && this.followLinks) {
+            this.queueLinks(this.manifest.get(url)?.links || [], depth);
+          }
+          return;
+        }
+      }
+    }
+    
+    // Manifest entries that already point at a markdown source need no HTML fetch
+    if (hints.markdownUrl) {
+      this.logger.success(`${'  '.repeat(depth)}📝 Using markdown source from llms.txt: ${hints.markdownUrl}`);
+      this.emit('markdownFound', {url, markdownUrl: hints.markdownUrl});
+      await this.downloadMarkdown(hints.markdownUrl, url, baseUrl, siteDir);
+      return;
+    }
+    
+    // Always fetch HTML to find navigation links. When syncing, ask the server
+    // whether the page changed since the last run
+    // Rendered pages can't be fetched conditionally; unchanged content is still caught by its hash
+    const render = this.renderSettings(new URL(url).hostname);
+    const previous = this.sync && !render ? this.manifest.get(url) : null;
+    const response = render
+      ? await this.renderPage(url, render)
+      : await this.fetchPage(url, previous ? this.manifest.conditionalHeaders(url) : {});
     if (!response) return;
     
+    this.emit('pageFetched', {url, depth, status: response.status});
+    
+    if (response.redirects?.length > 0) {
+      this.redirectChains.set(url, response.redirects);
+    } else if (response.url && response.url !== url) {
+      // The renderer only reports where the page ended up
+      this.redirectChains.set(url, [{url, status: null, location: response.url}]);
+    }
+    
+    if (response.status === 304 && previous) {
+      this.logger.debug(`${'  '.repeat(depth)}⏭️ Not modified since last sync`);
+      this.markUnchanged(url, previous.filePath);
+      this.skipPage(url, 'not-modified', {filePath: previous.filePath});
+      // Keep crawling through the links we saw last time
+      if (depth < this.depthLimit && this.followLinks) {
+        this.queueLinks(previous.links || [], depth);
+      }
+      return;
+    }
+    
     const $ = cheerio.load(response.data);
+    // Relative links resolve against where redirects ended up, as fetched
+    const links = this.findLinks($, response.url || url);
     
     // Find and queue new links first (before checking for markdown)
-    if (depth < this.maxDepth) {
-      this.findAndQueueLinks($, url, baseUrl, depth);
+    if (depth < this.depthLimit && this.followLinks) {
+      this.queueLinks(links, depth);
     }
     
-    const hostname = baseUrl.hostname;
-    const config = this.siteConfig[hostname] || {};
+    // Translations announce each other with hreflang even when only a language menu links them
+    const alternates = this.variants.learn($, response.url || url, links);
+    if (this.variants.langs && depth < this.depthLimit) {
+      for (const alternate of alternates.map(href => this.normalize(href))) {
+        if (this.isInScope(alternate) && !this.shouldSkipUrl(alternate) && !this.isVisited(alternate)) {
+          this.queue.push({url: alternate, depth});
+        }
+      }
+    }
+    
+    const pageUrl = this.claimPageUrl(url, response.url ? this.normalize(response.url) : url, $);
+    if (!pageUrl) return;
+    
+    if (!this.variants.accepts(pageUrl)) {
+      this.skipVariant(pageUrl);
+      return;
+    }
+    
+    // Read before content extraction strips the sidebar
+    if (this.layout === 'nav') {
+      this.collectNav($, response.url || url);
+    }
+    
+    this.pageInfo.set(pageUrl, {
+      etag: response.headers.etag,
+      lastModified: response.headers['last-modified'],
+      links,
+      // Read before content extraction strips breadcrumbs and other page chrome
+      meta: this.includeMetadata ? extractPageMetadata($, pageUrl) : undefined
+    });
+    
+    const config = this.getHostConfig(baseUrl.hostname);
     
     // Check if markdown version exists
-    const mdUrl = await this.checkForMarkdownVersion(url);
-    if (mdUrl) {
-      console.log(chalk.green(`${'  '.repeat(depth)}📝 Found markdown version: ${mdUrl}`));
-      await this.downloadMarkdown(mdUrl, url, siteDir);
+    const source = await this.checkForMarkdownVersion(pageUrl, $);
+    if (source) {
+      this.logger.success(`${'  '.repeat(depth)}📝 Found markdown version: ${source.url}`, {url: pageUrl, strategy: source.strategy});
+      this.emit('markdownFound', {url: pageUrl, markdownUrl: source.url, strategy: source.strategy});
+      await this.downloadMarkdown(source.url, pageUrl, baseUrl, siteDir);
       return;
     }
     
     // If preferMarkdown is set and no markdown found, skip conversion
     if (config.preferMarkdown) {
-      console.log(chalk.yellow(`${'  '.repeat(depth)}⚠️ No markdown version found, skipping HTML conversion (preferMarkdown: true)`));
+      this.logger.notice(`${'  '.repeat(depth)}⚠️ No markdown version found, skipping HTML conversion (preferMarkdown: true)`);
+      this.skipPage(pageUrl, 'prefer-markdown');
       return;
     }
     
     // Convert HTML to markdown as fallback
-    console.log(chalk.yellow(`${'  '.repeat(depth)}🔄 Converting HTML to markdown`));
-    const content = this.extractContent($, url);
-    const markdown = this.turndown.turndown(content);
+    this.logger.notice(`${'  '.repeat(depth)}🔄 Converting HTML to markdown`);
+    const content = this.extractContent($, pageUrl);
+    const markdown = this.converter.convert(content);
     
     // Save markdown file
-    const filePath = this.getFilePath(url, baseUrl, siteDir);
-    await this.saveMarkdown(markdown, filePath, url);
+    const filePath = this.getFilePath(pageUrl, baseUrl, siteDir);
+    this.contentSources.set(pageUrl, 'html');
+    await this.saveMarkdown(markdown, filePath, pageUrl, pageUrl);
   }
   
   async delay(ms) {
     return new Promise(resolve => setTimeout(resolve, ms));
   }
   
-  async checkForMarkdownVersion(url) {
-    // Try the most likely .md version first
-    const baseUrl = url.replace(/\/$/, '');
-    const urlObj = new URL(url);
-    
-    const possibleMdUrls = [
-      baseUrl + '.md',
-      baseUrl + '/index.md',
-      baseUrl + '/README.md',
-      baseUrl + '/content.md',
-      url.replace(/\.html?$/, '.md'),
-      url + '.md',
-      url + '/index.md',
-      // For GitHub-style raw content
-      url.replace('github.com', 'raw.githubusercontent.com').replace('/blob/', '/'),
-      // For GitLab raw content
-      url.replace(/\/blob\//, '/raw/'),
-      // Try with common documentation paths
-      baseUrl.replace(/\/docs?\//, '/docs/') + '.md',
-      baseUrl.replace(/\/guide?\//, '/guide/') + '.md'
-    ];
-    
-    for (const mdUrl of possibleMdUrls) {
-      try {
-        // Try HEAD request first for efficiency
-        let response;
-        try {
-          response = await axios.head(mdUrl, {
-            timeout: 8000,
-            headers: {
-              'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36'
-            },
-            maxRedirects: 5
-          });
-        } catch (headError) {
-          // If HEAD fails, try GET with small range to check if file exists
-          response = await axios.get(mdUrl, {
-            timeout: 8000,
-            headers: {
-              'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36',
-              'Range': 'bytes=0-1023' // Only get first 1KB to check content
-            },
-            maxRedirects: 5
-          });
-        }
-        
-        if (response.status === 200 || response.status === 206) {
-          const contentType = response.headers['content-type']?.toLowerCase() || '';
-          
-          // If we have actual content from GET request, check if it looks like markdown
-          if (response.data) {
-            const content = response.data.toString().trim();
-            const isMarkdown = this.isLikelyMarkdown(content);
-            const isHtml = content.startsWith('<!DOCTYPE html') || 
-                          content.startsWith('<html') || 
-                          contentType.includes('text/html');
-            
-            if (isMarkdown && !isHtml) {
-              return mdUrl;
-            }
-          } else {
-            // For HEAD requests, use more relaxed content-type checking
-            const isLikelyMarkdown = contentType.includes('text/plain') || 
-                                   contentType.includes('markdown') ||
-                                   contentType.includes('text/markdown') ||
-                                   contentType.includes('application/octet-stream') ||
-                                   contentType === '' || // Some servers don't set content-type
-                                   mdUrl.endsWith('.md');
-            
-            const isHtml = contentType.includes('text/html');
-            
-            if (isLikelyMarkdown && !isHtml) {
-              return mdUrl;
-            }
-          }
-        }
-      } catch (error) {
-        // Continue checking other possibilities
-      }
-    }
-    
-    return null;
-  }
-  
-  isLikelyMarkdown(content) {
-    if (!content || content.length < 10) return false;
-    
-    // Check for common markdown patterns
-    const markdownPatterns = [
-      /^#{1,6}\s+/, // Headers
-      /^\*\s+/, // Bullet lists
-      /^\d+\.\s+/, // Numbered lists
-      /\[.*?\]\(.*?\)/, // Links
-      /`[^`]+`/, // Inline code
-      /```/, // Code blocks
-      /^\>\s+/, // Blockquotes
-      /\*\*.*?\*\*/, // Bold
-      /\*.*?\*/, // Italic
-      /^---$|^===$/m, // Horizontal rules
-      /^\|.*\|/m // Tables
-    ];
-    
-    // Check if content has markdown-like patterns and isn't HTML
-    const hasMarkdownPatterns = markdownPatterns.some(pattern => pattern.test(content));
-    const hasHtmlTags = /<\/?[a-z][\s\S]*>/i.test(content);
-    
-    return hasMarkdownPatterns || (!hasHtmlTags && content.includes('\n') && content.length > 50);
+  // Returns { url, strategy } for the page's markdown source, or null
+  async checkForMarkdownVersion(url, $) {
+    return this.markdownSources.find(url, $);
   }
   
-  async downloadMarkdown(mdUrl, originalUrl, siteDir) {
+  async downloadMarkdown(mdUrl, originalUrl, baseUrl, siteDir) {
     try {
-      const response = await axios.get(mdUrl, {timeout: 15000});
+      const response = await this.http.get(mdUrl);
       const contentType = response.headers['content-type']?.toLowerCase() || '';
       
       // Check if the response is actually HTML disguised as markdown
@@ -251,126 +1172,165 @@ export class DocDownloader {
                            contentType.includes('text/html');
       
       if (isActuallyHtml) {
-        console.log(chalk.yellow(`⚠️ URL ${mdUrl} returned HTML, converting to markdown`));
+        this.logger.notice(`⚠️ URL ${mdUrl} returned HTML, converting to markdown`);
         // Parse HTML and convert to markdown
         const $ = cheerio.load(content);
         const extractedContent = this.extractContent($, originalUrl);
-        const markdown = this.turndown.turndown(extractedContent);
-        const filePath = this.getFilePath(originalUrl, new URL(originalUrl), siteDir);
-        await this.saveMarkdown(markdown, filePath, originalUrl);
+        const markdown = this.converter.convert(extractedContent);
+        const filePath = this.getFilePath(originalUrl, baseUrl, siteDir);
+        this.contentSources.set(originalUrl, 'html');
+        await this.saveMarkdown(markdown, filePath, originalUrl, originalUrl);
         return;
       }
       
-      // It's actual markdown content
-      const filePath = this.getFilePath(originalUrl, new URL(originalUrl), siteDir);
-      await this.saveMarkdown(content, filePath, mdUrl);
+      // It's actual markdown content. MDX gets its imports and components
+      // stripped; partials it imports aren't fetched
+      const markdown = /\.mdx$/i.test(new URL(mdUrl).pathname)
+        ? cleanMdx(content, {
+          filePath: mdUrl,
+          onMissingInclude: target => this.logger.debug(`⚠️ Partial ${target} imported by ${mdUrl} left out`)
+        })
+        : content;
+      const filePath = this.getFilePath(originalUrl, baseUrl, siteDir);
+      this.contentSources.set(originalUrl, 'markdown');
+      await this.saveMarkdown(markdown, filePath, mdUrl, originalUrl);
     } catch (error) {
-      console.warn(chalk.yellow(`⚠️ Failed to download markdown from ${mdUrl}: ${error.message}`));
+      this.recordFailure(originalUrl, `Failed to download markdown from ${mdUrl}: ${error.message}`, error.response?.status);
+      this.logger.warn(`⚠️ Failed to download markdown from ${mdUrl}: ${error.message}`);
+    }
+  }
+  
+  async removeEmptyDirs(dir, stopAt) {
+    while (path.resolve(dir).startsWith(path.resolve(stopAt) + path.sep)) {
+      const entries = await fs.readdir(dir).catch(() => null);
+      if (!entries || entries.length > 0) return;
+      await fs.rmdir(dir);
+      dir = path.dirname(dir);
+    }
+  }
+  
+  markUnchanged(url, filePath) {
+    const entry = this.manifest.get(url);
+    if (entry?.contentHash) this.claimContent(entry.contentHash, url);
+    this.recordPage(url, entry?.sourceUrl || url, filePath, false);
+    this.syncStats.unchanged.push(url);
+    if (entry) {
+      this.manifest.set(url, {filePath, fetchedAt: new Date().toISOString()});
+    }
+  }
+  
+  // Log in (or fail on missing credentials) before the crawl starts rather than on every page
+  async authenticate(hosts) {
+    for (const host of hosts) {
+      if (!this.auth.authFor(host)) continue;
+      await this.auth.session(host);
+      this.logger.info(`🔐 Using configured credentials for ${host}`);
     }
   }
   
-  async fetchPage(url) {
-    const maxRetries = 3;
-    const retryDelay = 1000;
+  renderSettings(hostname) {
+    const configured = this.getHostConfig(hostname).render;
+    if (configured === false || (!configured && !this.render)) return null;
     
-    for (let attempt = 1; attempt <= maxRetries; attempt++) {
-      try {
-        const response = await axios.get(url, {
-          timeout: 20000,
-          headers: {
-            'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
-            'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/avif,image/webp,image/apng,*/*;q=0.8,application/signed-exchange;v=b3;q=0.7',
-            'Accept-Language': 'en-US,en;q=0.9',
-            'Accept-Encoding': 'gzip, deflate, br',
-            'Cache-Control': 'no-cache',
-            'Pragma': 'no-cache',
-            'Sec-Ch-Ua': '"Not_A Brand";v="8", "Chromium";v="120", "Google Chrome";v="120"',
-            'Sec-Ch-Ua-Mobile': '?0',
-            'Sec-Ch-Ua-Platform': '"Windows"',
-            'Sec-Fetch-Dest': 'document',
-            'Sec-Fetch-Mode': 'navigate',
-            'Sec-Fetch-Site': 'none',
-            'Sec-Fetch-User': '?1',
-            'Upgrade-Insecure-Requests': '1'
-          },
-          maxRedirects: 5,
-          validateStatus: function (status) {
-            return status >= 200 && status < 400; // Accept redirects
-          }
-        });
-        return response;
-      } catch (error) {
-        if (attempt === maxRetries) {
-          console.warn(chalk.yellow(`⚠️ Failed to fetch ${url} after ${maxRetries} attempts: ${error.message}`));
-          return null;
+    return {
+      waitForSelector: this.renderWaitFor,
+      waitUntil: this.renderWaitUntil,
+      timeout: this.renderTimeout,
+      ...(typeof configured === 'object' ? configured : {})
+    };
+  }
+  
+  async startRenderer() {
+    if (!this.renderer) {
+      this.renderer = new PageRenderer({
+        userAgent: this.http.userAgent,
+        timeout: this.renderTimeout,
+        proxy: this.http.browserProxy(),
+        insecure: this.http.insecure
+      });
+    }
+    await this.renderer.ensureBrowser();
+    this.logger.info(`🖥️ Rendering pages with headless Chromium (${this.renderer.engine})`);
+  }
+  
+  async closeRenderer() {
+    if (this.renderer) {
+      await this.renderer.close();
+      this.renderer = null;
+    }
+  }
+  
+  async renderPage(url, settings) {
+    try {
+      if (!this.renderer) await this.startRenderer();
+      return await this.http.withRetry(url, async () => {
+        await this.rateLimiter.acquire(url);
+        return this.renderer.render(url, {...settings, headersFor: target => this.auth.headersFor(target)});
+      });
+    } catch (error) {
+      this.recordFailure(url, error.message, error.response?.status);
+      this.logger.warn(`⚠️ Failed to render ${url}: ${error.message}`);
+      return null;
+    }
+  }
+  
+  async fetchPage(url, extraHeaders = {}) {
+    try {
+      return await this.http.get(url, {
+        headers: {...PAGE_HEADERS, ...extraHeaders},
+        validateStatus: function (status) {
+          return status >= 200 && status < 400; // Accept redirects
         }
-        
-        console.warn(chalk.yellow(`⚠️ Attempt ${attempt} failed for ${url}: ${error.message}. Retrying...`));
-        await this.delay(retryDelay * attempt);
-      }
+      });
+    } catch (error) {
+      this.recordFailure(url, error.message, error.response?.status);
+      this.logger.warn(`⚠️ Failed to fetch ${url}: ${error.message}`);
+      return null;
     }
-    return null;
+  }
+
+  
+  detectFramework($, hostname) {
+    const config = this.getHostConfig(hostname);
+    if (!this.frameworkDetectors.has(hostname)) {
+      this.frameworkDetectors.set(hostname, new FrameworkDetector(config.frameworks));
+    }
+    
+    const detector = this.frameworkDetectors.get(hostname);
+    const framework = config.framework ? detector.get(config.framework) : detector.detect($);
+    
+    if (framework && this.detectedFrameworks.get(hostname) !== framework.name) {
+      this.detectedFrameworks.set(hostname, framework.name);
+      this.logger.info(`🧩 Detected ${framework.label} on ${hostname}`, {hostname, framework: framework.name});
+    }
+    return framework;
   }
   
   extractContent($, url) {
     const hostname = new URL(url).hostname;
-    const config = this.siteConfig[hostname] || {};
+    const config = this.getHostConfig(hostname);
     
     // If config specifies to prefer markdown, skip HTML conversion entirely
     if (config.preferMarkdown) {
       return '';
     }
     
-    // Remove unwanted elements first
-    $('script, style, nav, footer, .sidebar, .navigation, .menu, .navbar, .header, .topbar, .search, .breadcrumb, .table-of-contents, .toc, .banner').remove();
-    $('#navbar, #sidebar, #footer, #header, #navigation, #menu, #search-bar, #assistant-entry').remove();
+    // Detect before stripping, some signatures are scripts or nav elements
+    const framework = this.detectFramework($, hostname);
     
-    // Try site-specific content selectors
-    if (config.contentSelector) {
-      const content = $(config.contentSelector).html();
-      if (content && content.trim().length > 100) {
-        return this.cleanContent(content);
-      }
-    }
-    
-    // For Mintlify docs (like Dune), try specific selectors
-    if (hostname.includes('mintlify') || url.includes('docs.')) {
-      const mintlifySelectors = [
-        '.prose, .mdx-prose',
-        '[data-content="true"]',
-        '.docs-content',
-        '.main-content'
-      ];
-      
-      for (const selector of mintlifySelectors) {
-        const content = $(selector).html();
-        if (content && content.trim().length > 100) {
-          return this.cleanContent(content);
-        }
-      }
-    }
-    
-    // For The Graph Nextra docs
-    if (hostname.includes('thegraph.com')) {
-      const nextraSelectors = [
-        'main article',
-        '.nextra-content',
-        '.nextra-body-full',
-        '[data-nextra-content]',
-        'main .container',
-        'main'
-      ];
-      
-      for (const selector of nextraSelectors) {
-        const content = $(selector).html();
-        if (content && content.trim().length > 100) {
-          return this.cleanContent(content);
-        }
+    // Remove unwanted elements first
+    if (framework) {
+      for (const selector of [...framework.navSelectors, ...framework.noiseSelectors]) {
+        $(selector).remove();
       }
     }
+    $('script:not([type^="math/tex"]), style, nav, footer, .sidebar, .navigation, .menu, .navbar, .header, .topbar, .search, .breadcrumb, .table-of-contents, .toc, .banner').remove();
+    $('#navbar, #sidebar, #footer, #header, #navigation, #menu, #search-bar, #assistant-entry').remove();
     
-    // Common content selectors
+    // Site-specific selector first, then the framework's, then common ones
     const selectors = [
+      ...(config.contentSelector ? [config.contentSelector] : []),
+      ...(framework ? framework.contentSelectors : []),
       'main',
       '.content',
       '.documentation',
@@ -386,42 +1346,60 @@ export class DocDownloader {
     for (const selector of selectors) {
       const content = $(selector).html();
       if (content && content.trim().length > 100) {
+        if (this.debugExtract) {
+          this.logger.info(`🔍 ${url}: matched selector "${selector}"`, {url, selector});
+        }
         return this.cleanContent(content);
       }
     }
     
-    // Last resort: try to find the largest text block
-    const textBlocks = $('div, section, article').filter((_, el) => {
-      const text = $(el).text().trim();
-      return text.length > 200 && !$(el).find('nav, footer, sidebar').length;
-    });
+    // No selector matched: score the remaining blocks and take the likeliest main content
+    const candidates = scoreContent($);
+    if (this.debugExtract) {
+      this.explainExtraction(url, candidates);
+    }
     
-    if (textBlocks.length > 0) {
-      const largest = textBlocks.get().reduce((prev, current) => 
-        $(current).text().length > $(prev).text().length ? current : prev
-      );
-      return this.cleanContent($(largest).html() || '');
+    if (candidates.length > 0) {
+      return this.cleanContent($(candidates[0].element).html() || '');
     }
     
     return this.cleanContent($('body').html() || '');
   }
   
+  explainExtraction(url, candidates) {
+    if (candidates.length === 0) {
+      this.logger.info(`🔍 ${url}: no content candidates, using <body>`, {url});
+      return;
+    }
+    
+    this.logger.info(`🔍 ${url}: scored ${candidates.length} candidates`, {url});
+    candidates.forEach((candidate, index) => {
+      const marker = index === 0 ? '→' : ' ';
+      this.logger.info(`   ${marker} ${candidate.description}  score ${candidate.score.toFixed(1)} (${explainCandidate(candidate)})`, {
+        url,
+        chosen: index === 0,
+        node: candidate.description,
+        score: candidate.score,
+        paragraphs: candidate.paragraphs,
+        code: candidate.code,
+        headings: candidate.headings,
+        linkDensity: candidate.linkDensity,
+        textDensity: candidate.textDensity
+      });
+    });
+  }
+  
   cleanContent(html) {
-    // Remove common unwanted patterns
+    // Classes, data attributes and whitespace are kept: the converter reads
+    // code languages, callouts and tabs from them, and <pre> needs its newlines
     return html
       .replace(/\(self\.__next_s.*?\}\]\)/gs, '') // Remove Next.js hydration scripts
-      .replace(/\(\(.*?\)\)\(.*?\)/gs, '') // Remove IIFE functions
-      .replace(/<script[^>]*>.*?<\/script>/gs, '') // Remove any remaining scripts
+      .replace(/<script(?![^>]*math\/tex)[^>]*>.*?<\/script>/gs, '') // Remove any remaining scripts
       .replace(/<style[^>]*>.*?<\/style>/gs, '') // Remove any remaining styles
-      .replace(/--[\w-]+:\s*[^;]+;/g, '') // Remove CSS custom properties
-      .replace(/data-[\w-]+="[^"]*"/g, '') // Remove data attributes
-      .replace(/class="[^"]*"/g, '') // Remove class attributes for cleaner conversion
-      .replace(/style="[^"]*"/g, '') // Remove inline styles
-      .replace(/\s+/g, ' ') // Normalize whitespace
       .trim();
   }
   
-  findAndQueueLinks($, currentUrl, baseUrl, currentDepth) {
+  findLinks($, currentUrl) {
     const links = new Set();
     
     $('a[href]').each((_, element) => {
@@ -431,21 +1409,120 @@ export class DocDownloader {
       try {
         const linkUrl = new URL(href, currentUrl);
         
-        // Only process links from the same domain
-        if (linkUrl.hostname !== baseUrl.hostname) return;
+        // Only process links within the site's hosts and include paths
+        if (!this.isInScope(linkUrl)) return;
         
         // Skip non-documentation links
         if (this.shouldSkipUrl(linkUrl.href)) return;
         
-        links.add(linkUrl.href);
+        if (!this.isAllowedByRobots(linkUrl.href)) {
+          this.skipRobots(linkUrl.href);
+          return;
+        }
+        
+        links.add(this.normalize(linkUrl.href));
       } catch (error) {
         // Invalid URL, skip
       }
     });
     
+    return [...links];
+  }
+  
+  collectNav($, pageUrl) {
+    const hostname = new URL(pageUrl).hostname;
+    const config = this.getHostConfig(hostname);
+    const framework = this.detectFramework($, hostname);
+    const selectors = [...(config.navSelector ? [config.navSelector] : []), ...(framework ? framework.navSelectors : [])];
+    
+    const normalizeItems = items => items.map(item => ({
+      ...item,
+      url: item.url ? this.normalize(item.url) : null,
+      children: normalizeItems(item.children)
+    }));
+    this.navTreeFor(this.normalize(pageUrl)).add(normalizeItems(parseNav($, pageUrl, selectors)));
+  }
+  
+  navTreeFor(pageUrl) {
+    const dir = this.variants.placement(pageUrl)?.dir || '';
+    if (!this.navTrees.has(dir)) this.navTrees.set(dir, new NavTree());
+    return this.navTrees.get(dir);
+  }
+  
+  normalize(url) {
+    return normalizeUrl(url, {trailingSlash: this.trailingSlash});
+  }
+  
+  isVisited(url) {
+    return this.visitedKeys.has(urlKey(url));
+  }
+  
+  // Returns false when the page (under any spelling of its URL) was already taken
+  markVisited(url) {
+    const key = urlKey(url);
+    if (this.visitedKeys.has(key)) return false;
+    this.visitedKeys.add(key);
+    this.visited.add(url);
+    return true;
+  }
+  
+  // The URL a fetched page is saved under: where redirects ended up, or the page's
+  // rel=canonical. Returns null when another page already has that URL, which
+  // makes this one an alias
+  claimPageUrl(url, finalUrl, $) {
+    let pageUrl = url;
+    let reason = null;
+    
+    if (urlKey(finalUrl) !== urlKey(url)) {
+      if (!this.isInScope(finalUrl) || this.shouldSkipUrl(finalUrl)) {
+        this.skipPage(url, 'redirect-out-of-scope', {location: finalUrl});
+        return null;
+      }
+      pageUrl = finalUrl;
+      reason = 'redirect';
+    }
+    
+    const canonical = this.canonicalUrl($, pageUrl);
+    if (canonical && urlKey(canonical) !== urlKey(pageUrl)) {
+      pageUrl = canonical;
+      reason = 'canonical';
+    }
+    
+    if (pageUrl === url) return url;
+    const claimed = this.markVisited(pageUrl);
+    this.recordAlias(url, pageUrl, reason);
+    return claimed ? pageUrl : null;
+  }
+  
+  canonicalUrl($, pageUrl) {
+    const href = $('link[rel="canonical"]').first().attr('href');
+    if (!href) return null;
+    try {
+      const canonical = this.normalize(new URL(href, pageUrl).href);
+      if (!this.isInScope(canonical) || this.shouldSkipUrl(canonical)) return null;
+      // Sites that point every page's canonical at the home page would collapse into one file
+      const root = new URL(canonical).pathname === '/' || urlKey(canonical) === urlKey(this.startUrl);
+      return root ? null : canonical;
+    } catch (error) {
+      return null;
+    }
+  }
+  
+  // Returns false when another page was already saved with this content
+  claimContent(contentHash, pageUrl) {
+    const owner = this.contentOwners.get(contentHash);
+    if (owner && owner !== pageUrl) {
+      this.recordAlias(pageUrl, owner, 'duplicate-content');
+      return false;
+    }
+    this.contentOwners.set(contentHash, pageUrl);
+    return true;
+  }
+  
+  queueLinks(links, currentDepth) {
     // Add unique links to queue
     for (const link of links) {
-      if (!this.visited.has(link)) {
+      if (!this.isVisited(link)) {
         this.queue.push({url: link, depth: currentDepth + 1});
       }
     }
@@ -454,7 +1531,6 @@ export class DocDownloader {
   shouldSkipUrl(url) {
     const skipPatterns = [
       /\.(pdf|jpg|jpeg|png|gif|svg|ico|css|js)$/i,
-      /#/,
       /\/api\//,
       /\/login/,
       /\/register/,
@@ -464,10 +1540,25 @@ export class DocDownloader {
       /tel:/
     ];
     
-    return skipPatterns.some(pattern => pattern.test(url));
+    if (skipPatterns.some(pattern => pattern.test(url))) return true;
+    
+    // Per-site skipPatterns from the config file
+    const urlObj = new URL(url);
+    return (this.scope?.skipMatchers || []).some(matches => matches(urlObj));
   }
   
   getFilePath(url, baseUrl, siteDir) {
+    return this.layoutPaths.get(url) || this.urlFilePath(url, baseUrl, siteDir);
+  }
+  
+  // The file for a URL in the url layout
+  urlFilePath(url, baseUrl, siteDir) {
+    // Selected versions and languages each get a subtree, without their segment in the path
+    const variant = this.variants.placement(url);
+    if (variant) {
+      siteDir = path.join(siteDir, variant.dir);
+      url = variant.url;
+    }
     const urlObj = new URL(url);
     let pathname = urlObj.pathname;
     
@@ -486,21 +1577,54 @@ export class DocDownloader {
     
     // Create safe file path
     const safePath = pathname.replace(/^\//, '').replace(/[<>:\"|?*]/g, '_');
+    
+    // Pages from extra allowed hosts get their own folder inside the site directory
+    if (urlObj.hostname !== baseUrl.hostname) {
+      return path.join(siteDir, this.getSiteName(urlObj.hostname), safePath);
+    }
     return path.join(siteDir, safePath);
   }
   
-  async saveMarkdown(markdown, filePath, sourceUrl) {
-    // Skip if file exists and not forcing re-download
-    if (!this.force && await fs.pathExists(filePath)) {
-      console.log(chalk.gray(`⏭️ Skipping existing file: ${path.basename(filePath)}`));
+  async saveMarkdown(markdown, filePath, sourceUrl, pageUrl = sourceUrl) {
+    const {etag, lastModified, links, meta} = this.pageInfo.get(pageUrl) || {};
+    const source = this.contentSources.get(pageUrl);
+    const contentHash = hashContent(markdown);
+    // Mirrors, print views and the like: keep the first copy, record the rest as aliases
+    if (markdown.trim() && !this.claimContent(contentHash, pageUrl)) return;
+    const previous = this.manifest.get(pageUrl);
+    const exists = await fs.pathExists(filePath);
+    const fetchedAt = new Date().toISOString();
+    
+    if (this.sync) {
+      // Same markdown as last time, leave the file alone
+      if (previous && previous.contentHash === contentHash && exists) {
+        this.recordPage(pageUrl, sourceUrl, filePath, false);
+        this.syncStats.unchanged.push(pageUrl);
+        this.manifest.set(pageUrl, {filePath, sourceUrl, source, etag, lastModified, links, fetchedAt});
+        this.skipPage(pageUrl, 'unchanged', {filePath});
+        this.logger.debug(`⏭️ Unchanged: ${path.basename(filePath)}`);
+        return;
+      }
+    } else if (!this.force && exists) {
+      // Skip if file exists and not forcing re-download
+      this.recordPage(pageUrl, sourceUrl, filePath, false);
+      this.manifest.set(pageUrl, {filePath, sourceUrl, source, etag, lastModified, links, fetchedAt});
+      this.skipPage(pageUrl, 'exists', {filePath});
+      this.logger.debug(`⏭️ Skipping existing file: ${path.basename(filePath)}`);
       return;
     }
     
     // Conditionally add metadata header
     let content = markdown;
     if (this.includeMetadata) {
-      const header = `---\nsource_url: ${sourceUrl}\ndownloaded_at: ${new Date().toISOString()}\n---\n\n`;
-      content = header + markdown;
+      const variant = this.variants.describe(pageUrl);
+      const {header, body} = buildFrontMatter(markdown, {
+        pageUrl: redactUrl(pageUrl),
+        sourceUrl: redactUrl(sourceUrl),
+        meta: {...meta, version: variant.version, language: meta?.language || variant.lang},
+        fields: this.metadataFields
+      });
+      content = header + body;
     }
     
     // Ensure directory exists
@@ -508,10 +1632,19 @@ export class DocDownloader {
     
     // Save file
     await fs.writeFile(filePath, content, 'utf-8');
-    console.log(chalk.green(`✅ Saved: ${path.basename(filePath)}`));
+    this.recordPage(pageUrl, sourceUrl, filePath, true);
+    this.manifest.set(pageUrl, {filePath, sourceUrl, source, etag, lastModified, contentHash, links, fetchedAt});
+    this.syncStats[previous ? 'changed' : 'added'].push(pageUrl);
+    this.emit('pageSaved', {url: pageUrl, sourceUrl, filePath});
+    this.logger.success(`✅ Saved: ${path.basename(filePath)}`, {url: pageUrl, filePath});
   }
   
   getSiteName(hostname) {
     return hostname.replace(/^www\./, '').replace(/\./g, '_');
   }
-}
\ No newline at end of file
+}
+
+function rank(order, url) {
+  const index = order.indexOf(url);
+  return index === -1 ? order.length : index;
+}
@@ -0,0 +1,156 @@
+// Documentation framework detectors. Each framework is recognized from its
+// <meta name="generator"> tag or from DOM signatures, and brings its own
+// selectors for the main content, the navigation sidebar and page chrome to strip.
+
+export const BUILTIN_FRAMEWORKS = [
+  {
+    name: 'docusaurus',
+    label: 'Docusaurus',
+    generator: /docusaurus/i,
+    signatures: ['#__docusaurus', '.theme-doc-markdown', 'html.docs-wrapper'],
+    contentSelectors: ['.theme-doc-markdown', 'article .markdown', 'main article'],
+    navSelectors: ['.theme-doc-sidebar-container nav', 'nav.menu', 'aside.theme-doc-sidebar-container'],
+    noiseSelectors: [
+      '.theme-doc-toc-desktop', '.theme-doc-toc-mobile', '.theme-doc-footer', '.theme-doc-breadcrumbs',
+      '.pagination-nav', '.theme-edit-this-page', '.theme-last-updated', '.hash-link', '.theme-doc-version-badge'
+    ]
+  },
+  {
+    name: 'mintlify',
+    label: 'Mintlify',
+    generator: /mintlify/i,
+    signatures: ['#content-area', '.mdx-content', 'script[src*="mintlify"]', 'link[href*="mintlify"]'],
+    contentSelectors: ['#content-area .mdx-content', '.mdx-content', '.prose, .mdx-prose', '[data-content="true"]', '#content-area'],
+    navSelectors: ['#sidebar-content', '#navigation-items', '#sidebar nav'],
+    noiseSelectors: [
+      '#table-of-contents', '#pagination', '#footer', '#page-context-menu', '.feedback-toolbar',
+      '#content-side-layout', '[data-testid="page-feedback"]'
+    ]
+  },
+  {
+    name: 'nextra',
+    label: 'Nextra',
+    generator: /nextra/i,
+    signatures: ['.nextra-content', '.nextra-nav-container', '.nextra-sidebar-container', '[class*="nextra-"]'],
+    contentSelectors: ['.nextra-content main', 'main article', '.nextra-content', '.nextra-body-full', '[data-nextra-content]', 'main'],
+    navSelectors: ['.nextra-sidebar-container', 'aside.nextra-sidebar', '.nextra-menu-desktop'],
+    noiseSelectors: [
+      '.nextra-toc', '.nextra-nav-container', '.nextra-breadcrumb', '.nextra-sidebar-container',
+      '.nextra-pagination', '.nextra-footer', '.nextra-banner-container', '.subheading-anchor'
+    ]
+  },
+  {
+    name: 'vitepress',
+    label: 'VitePress',
+    generator: /vitepress/i,
+    signatures: ['#VPContent', '.VPDoc', '.vp-doc'],
+    contentSelectors: ['.VPDoc .vp-doc', '.vp-doc', '#VPContent main'],
+    navSelectors: ['.VPSidebar nav', '#VPSidebarNav', '.VPSidebar'],
+    noiseSelectors: [
+      '.VPDocFooter', '.VPDocAside', '.VPDocAsideOutline', '.VPLocalNav', '.VPNav', '.VPSidebar',
+      '.edit-link', '.header-anchor', '.prev-next'
+    ]
+  },
+  {
+    name: 'gitbook',
+    label: 'GitBook',
+    generator: /gitbook/i,
+    signatures: ['[data-testid="page.contentEditor"]', '.gitbook-root', '.book-summary', 'script[src*="gitbook"]'],
+    contentSelectors: ['[data-testid="page.contentEditor"]', 'main .page-body', '.markdown-section', 'main'],
+    navSelectors: ['aside nav', '.book-summary', '[data-testid="table-of-contents"]'],
+    noiseSelectors: [
+      '[data-testid="page.desktopTableOfContents"]', '[data-testid="page.toc"]', '.page-footer',
+      '.book-summary', '[aria-label="Page navigation"]'
+    ]
+  },
+  {
+    name: 'mkdocs-material',
+    label: 'MkDocs Material',
+    generator: /mkdocs/i,
+    signatures: ['.md-content', '.md-container', '[data-md-component]'],
+    contentSelectors: ['.md-content__inner', 'article.md-content__inner', '.md-content', '[role="main"]'],
+    navSelectors: ['.md-sidebar--primary .md-nav--primary', '.md-nav--primary', '.md-sidebar--primary'],
+    noiseSelectors: [
+      '.md-source-file', '.md-footer', '.md-sidebar--secondary', '.md-sidebar--primary', '.headerlink',
+      '.md-content__button', '.md-feedback', '.md-top'
+    ]
+  },
+  {
+    name: 'sphinx',
+    label: 'Sphinx / Read the Docs',
+    generator: /sphinx|docutils/i,
+    signatures: ['.rst-content', 'div.sphinxsidebar', 'div.document div.body', '.bd-article', 'link[href*="_static/"]'],
+    contentSelectors: [
+      '.rst-content [itemprop="articleBody"]', '.rst-content [role="main"]', 'article.bd-article',
+      'div.document div.body', 'div[role="main"]', '.rst-content'
+    ],
+    navSelectors: ['.wy-menu-vertical', '.sphinxsidebar', '.bd-sidebar-primary nav', '.wy-nav-side'],
+    noiseSelectors: [
+      '.headerlink', '.rst-footer-buttons', '.wy-breadcrumbs', '#rtd-footer-container', '.readthedocs-flyout',
+      '.sphinxsidebar', '.wy-nav-side', '.bd-sidebar-primary', '.bd-sidebar-secondary', '.prev-next-area', '.related'
+    ]
+  },
+  {
+    name: 'redocly',
+    label: 'Redocly',
+    generator: /redoc/i,
+    signatures: ['redoc', '.redoc-wrap', '[data-component-name="Layout/Layout"]', '.api-content'],
+    contentSelectors: ['.api-content', '.redoc-wrap [data-role="redoc-description"]', 'main [data-component-name="Markdown/Markdown"]', 'main'],
+    navSelectors: ['.menu-content', '[data-component-name="Sidebar/Sidebar"]'],
+    noiseSelectors: ['.menu-content', '[role="search"]', '[data-component-name="Sidebar/Sidebar"]', '[data-component-name="PageNavigation/PageNavigation"]']
+  },
+  {
+    name: 'readme',
+    label: 'ReadMe',
+    generator: /readme/i,
+    signatures: ['.rm-Article', '.rm-Guides', '.rm-Sidebar', '#ssr-main .rm-Container'],
+    contentSelectors: ['.rm-Article .markdown-body', '.rm-Article .rm-Markdown', '.rm-Article', 'article#content'],
+    navSelectors: ['.rm-Sidebar', 'nav.rm-Sidebar'],
+    noiseSelectors: ['.rm-Sidebar', '.rm-Pagination', '.PageThumbs', '.rm-Header', '.UpdatedAt', '.rm-Toc']
+  }
+];
+
+// Turn a detector from the config file into the same shape as the built-ins
+export function compileFrameworkDetector(definition) {
+  return {
+    name: definition.name,
+    label: definition.label || definition.name,
+    generator: definition.generator ? new RegExp(definition.generator, 'i') : null,
+    signatures: definition.signatures || [],
+    contentSelectors: definition.contentSelectors || [],
+    navSelectors: definition.navSelectors || [],
+    noiseSelectors: definition.noiseSelectors || []
+  };
+}
+
+function matchesSignature($, selector) {
+  try {
+    return $(selector).length > 0;
+  } catch (error) {
+    return false;
+  }
+}
+
+export class FrameworkDetector {
+  constructor(customDetectors = []) {
+    // Custom detectors win over built-ins so users can override a misdetection
+    this.frameworks = [...customDetectors.map(compileFrameworkDetector), ...BUILTIN_FRAMEWORKS];
+  }
+
+  get(name) {
+    return this.frameworks.find(framework => framework.name === name) || null;
+  }
+
+  detect($) {
+    // Generator meta tags are authoritative, DOM signatures are the fallback
+    const generator = $('meta[name="generator"]').map((_, el) => $(el).attr('content') || '').get().join(' ');
+    if (generator) {
+      const byGenerator = this.frameworks.find(framework => framework.generator && framework.generator.test(generator));
+      if (byGenerator) return byGenerator;
+    }
+
+    return this.frameworks.find(framework =>
+      framework.signatures.some(selector => matchesSignature($, selector))
+    ) || null;
+  }
+}
@@ -0,0 +1,181 @@
+import { URL } from 'url';
+import yaml from 'js-yaml';
+import { hashContent } from './manifest.js';
+import { parseFrontMatter } from './mdx.js';
+
+// Fields written by --metadata, in output order
+export const METADATA_FIELDS = [
+  'title',
+  'description',
+  'source_url',
+  'markdown_url',
+  'canonical_url',
+  'breadcrumb',
+  'last_updated',
+  'language',
+  'version',
+  'content_hash',
+  'word_count',
+  'downloaded_at'
+];
+
+export function parseMetadataFields(value) {
+  if (!value) return METADATA_FIELDS;
+  const fields = String(value).split(',').map(field => field.trim()).filter(Boolean);
+  const unknown = fields.filter(field => !METADATA_FIELDS.includes(field));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown metadata field "${unknown.join(', ')}" (expected ${METADATA_FIELDS.join(', ')})`);
+  }
+  return fields;
+}
+
+const BREADCRUMB_SELECTOR = [
+  'nav[aria-label*="breadcrumb" i]',
+  '[class*="breadcrumb" i]',
+  '[itemtype*="BreadcrumbList"]'
+].join(', ');
+
+const LAST_UPDATED_SELECTOR = [
+  '.theme-last-updated',
+  '[class*="last-updated" i]',
+  '[class*="lastUpdated"]',
+  '[class*="last-modified" i]',
+  '.git-revision-date-localized-plugin',
+  '.md-source-file'
+].join(', ');
+
+const clean = text => (text || '').replace(/\s+/g, ' ').trim();
+
+function metaContent($, selector) {
+  return clean($(selector).first().attr('content')) || null;
+}
+
+function toIsoDate(value) {
+  if (!value) return null;
+  const time = Date.parse(value);
+  return isNaN(time) ? null : new Date(time).toISOString();
+}
+
+// JSON-LD blocks, flattened so @graph entries are found too
+function jsonLd($) {
+  const items = [];
+  $('script[type="application/ld+json"]').each((_, el) => {
+    try {
+      const data = JSON.parse($(el).contents().text());
+      for (const item of [].concat(data)) {
+        items.push(item, ...[].concat(item['@graph'] || []));
+      }
+    } catch (error) {
+      // Broken JSON-LD is common; ignore it
+    }
+  });
+  return items.filter(item => item && typeof item === 'object');
+}
+
+function breadcrumb($, structured) {
+  const list = structured.find(item => item['@type'] === 'BreadcrumbList');
+  if (list && Array.isArray(list.itemListElement)) {
+    const names = list.itemListElement
+      .sort((a, b) => (a.position || 0) - (b.position || 0))
+      .map(item => clean(item.name || item.item?.name))
+      .filter(Boolean);
+    if (names.length > 0) return names;
+  }
+
+  const container = $(BREADCRUMB_SELECTOR).first();
+  if (container.length === 0) return [];
+  const items = container.find('li').length > 0 ? container.find('li') : container.find('a, span[itemprop="name"]');
+  const names = [];
+  items.each((_, el) => {
+    // Separators like "/" or "›" are often their own elements
+    const text = clean($(el).text());
+    if (text && /[\p{L}\p{N}]/u.test(text) && names[names.length - 1] !== text) names.push(text);
+  });
+  return names;
+}
+
+function lastUpdated($, structured) {
+  const container = $(LAST_UPDATED_SELECTOR).first();
+  if (container.length > 0) {
+    const time = container.find('time[datetime]').first().attr('datetime') || container.attr('datetime');
+    const date = toIsoDate(time) || toIsoDate(clean(container.text()).replace(/^.*?(last )?(updated|modified|edited)( on)?:?\s*/i, '').replace(/\s+by\s+.*$/i, ''));
+    if (date) return date;
+  }
+
+  const meta = metaContent($, 'meta[property="article:modified_time"], meta[name="last-modified"], meta[itemprop="dateModified"]');
+  if (meta) return toIsoDate(meta);
+
+  const page = structured.find(item => item.dateModified);
+  return page ? toIsoDate(page.dateModified) : null;
+}
+
+// What the HTML page says about itself; fields it doesn't have are null
+export function extractPageMetadata($, pageUrl) {
+  const structured = jsonLd($);
+
+  const heading = clean($('main h1, article h1').first().text()) || clean($('h1').first().text());
+  const canonical = $('link[rel="canonical"]').first().attr('href');
+  let canonicalUrl = null;
+  try {
+    canonicalUrl = canonical ? new URL(canonical, pageUrl).href : null;
+  } catch (error) {
+    canonicalUrl = null;
+  }
+
+  return {
+    title: heading || metaContent($, 'meta[property="og:title"]') || clean($('title').first().text()) || null,
+    description: metaContent($, 'meta[name="description"]') || metaContent($, 'meta[property="og:description"]'),
+    canonicalUrl,
+    breadcrumb: breadcrumb($, structured),
+    lastUpdated: lastUpdated($, structured),
+    language: clean($('html').attr('lang')) ||
+      metaContent($, 'meta[http-equiv="content-language" i]') ||
+      metaContent($, 'meta[property="og:locale"]')
+  };
+}
+
+// Empty fields are left out. js-yaml quotes whatever would be read back as
+// something other than a string: dates, numbers, booleans, .inf and the like
+export function toYaml(fields) {
+  const present = Object.fromEntries(Object.entries(fields).filter(([, value]) =>
+    value !== null && value !== undefined && !(Array.isArray(value) && value.length === 0)));
+  if (Object.keys(present).length === 0) return '';
+  return yaml.dump(present, { lineWidth: -1 }).trimEnd();
+}
+
+export function countWords(markdown) {
+  const text = markdown
+    .replace(/^(`{3,}|~{3,})[^\n]*\n[\s\S]*?\n\1[`~]*\s*$/gm, ' ')
+    .replace(/!\[[^\]]*\]\([^)]*\)/g, ' ')
+    .replace(/\]\([^)]*\)/g, ']')
+    .replace(/[#>*_`|[\]-]+/g, ' ');
+  return (text.match(/[\p{L}\p{N}][\p{L}\p{N}'’.-]*/gu) || []).length;
+}
+
+// Front matter for a saved page. page: { pageUrl, sourceUrl, meta } where meta
+// comes from extractPageMetadata (or is empty for pages saved without HTML),
+// plus the docs version the page belongs to.
+// Front matter already in a markdown source is replaced, its title and
+// description used when the page had none.
+export function buildFrontMatter(markdown, { pageUrl, sourceUrl, meta = {}, fields = METADATA_FIELDS, downloadedAt = new Date() }) {
+  const { data, body } = parseFrontMatter(markdown);
+  const heading = body.match(/^#\s+(.+?)\s*#*\s*$/m);
+
+  const values = {
+    title: meta.title || data.title || (heading ? heading[1].trim() : null),
+    description: meta.description || data.description || null,
+    source_url: pageUrl,
+    markdown_url: sourceUrl && sourceUrl !== pageUrl ? sourceUrl : null,
+    canonical_url: meta.canonicalUrl && meta.canonicalUrl !== pageUrl ? meta.canonicalUrl : null,
+    breadcrumb: meta.breadcrumb || [],
+    last_updated: meta.lastUpdated || toIsoDate(data.last_updated || data.lastUpdated || data.date),
+    language: meta.language || data.lang || data.language || null,
+    version: meta.version || data.version || null,
+    content_hash: `sha256:${hashContent(body)}`,
+    word_count: countWords(body),
+    downloaded_at: downloadedAt.toISOString()
+  };
+
+  const selected = Object.fromEntries(fields.map(field => [field, values[field]]));
+  return { header: `---\n${toYaml(selected)}\n---\n\n`, body };
+}
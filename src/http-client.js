@@ -0,0 +1,224 @@
+import axios from 'axios';
+import fs from 'fs-extra';
+import http from 'http';
+import https from 'https';
+import tls from 'tls';
+import { URL } from 'url';
+import { HttpProxyAgent } from 'http-proxy-agent';
+import { HttpsProxyAgent } from 'https-proxy-agent';
+import { getHostConfig } from './site-config.js';
+
+export const DEFAULT_USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
+
+export const DEFAULT_RETRY = {
+  retries: 3,
+  minDelayMs: 1000,
+  maxDelayMs: 30000
+};
+
+const RETRYABLE_STATUS = new Set([408, 429, 500, 502, 503, 504]);
+const RETRYABLE_CODES = new Set(['ECONNRESET', 'ECONNABORTED', 'ETIMEDOUT', 'ESOCKETTIMEDOUT', 'EAI_AGAIN', 'EPIPE', 'ENETUNREACH']);
+
+// Servers asking us to come back later than this are treated as a hard failure
+const MAX_RETRY_AFTER_MS = 5 * 60 * 1000;
+
+// NO_PROXY entries: "*", "example.com" (and its subdomains), ".example.com", "*.example.com", "host:port"
+export function matchesNoProxy(url, noProxy = '') {
+  const urlObj = new URL(url);
+  const host = urlObj.hostname.toLowerCase();
+  const port = urlObj.port || (urlObj.protocol === 'https:' ? '443' : '80');
+
+  return noProxy.split(/[\s,]+/).filter(Boolean).some(entry => {
+    if (entry === '*') return true;
+    const [entryHost, entryPort] = entry.toLowerCase().replace(/^\*?\./, '').split(':');
+    if (entryPort && entryPort !== port) return false;
+    return host === entryHost || host.endsWith(`.${entryHost}`);
+  });
+}
+
+// Retry-After is either a number of seconds or an HTTP date
+function retryAfterMs(response) {
+  const header = response?.headers?.['retry-after'];
+  if (!header) return null;
+  const seconds = Number(header);
+  if (!isNaN(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(header);
+  return isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+function isRetryable(error) {
+  if (error.response) return RETRYABLE_STATUS.has(error.response.status);
+  return RETRYABLE_CODES.has(error.code);
+}
+
+// One client for every request the crawler makes: proxy and TLS settings,
+// User-Agent, per-host rate limits and credentials, and a single retry policy
+export class HttpClient {
+  constructor(options = {}) {
+    this.userAgent = options.userAgent || DEFAULT_USER_AGENT;
+    this.timeout = options.timeout || 20000;
+    // Explicit proxy URL, or undefined to use HTTP_PROXY/HTTPS_PROXY from the environment
+    this.proxy = options.proxy;
+    this.env = options.env || process.env;
+    this.insecure = options.insecure || false;
+    this.retry = { ...DEFAULT_RETRY, ...options.retry };
+    this.siteConfig = options.siteConfig || {};
+    this.rateLimiter = options.rateLimiter || null;
+    this.auth = options.auth || null;
+    this.logger = options.logger || null;
+    this.ca = (options.caFiles || []).map(file => fs.readFileSync(file, 'utf-8'));
+    this.agents = new Map();
+  }
+
+  get noProxy() {
+    return this.env.NO_PROXY || this.env.no_proxy || '';
+  }
+
+  proxyFor(url) {
+    if (matchesNoProxy(url, this.noProxy)) return null;
+    if (this.proxy) return this.proxy;
+
+    const protocol = new URL(url).protocol;
+    const env = this.env;
+    return (protocol === 'https:' ? env.HTTPS_PROXY || env.https_proxy : env.HTTP_PROXY || env.http_proxy) ||
+      env.ALL_PROXY || env.all_proxy || null;
+  }
+
+  // Proxy settings for the headless browser, which does its own networking
+  browserProxy() {
+    const env = this.env;
+    const server = this.proxy || env.HTTPS_PROXY || env.https_proxy || env.HTTP_PROXY || env.http_proxy || env.ALL_PROXY || env.all_proxy;
+    return server ? { server, bypass: this.noProxy } : null;
+  }
+
+  tlsOptions() {
+    return {
+      // Extra CAs are added to Node's bundled roots rather than replacing them
+      ...(this.ca.length > 0 ? { ca: [...tls.rootCertificates, ...this.ca] } : {}),
+      rejectUnauthorized: !this.insecure
+    };
+  }
+
+  // Agents are reused across requests so connections stay alive
+  agentsFor(url) {
+    const proxy = this.proxyFor(url);
+    const key = proxy || 'direct';
+    if (!this.agents.has(key)) {
+      this.agents.set(key, proxy
+        ? {
+          httpAgent: new HttpProxyAgent(proxy, { keepAlive: true }),
+          httpsAgent: new HttpsProxyAgent(proxy, { keepAlive: true, ...this.tlsOptions() })
+        }
+        : {
+          httpAgent: new http.Agent({ keepAlive: true }),
+          httpsAgent: new https.Agent({ keepAlive: true, ...this.tlsOptions() })
+        });
+    }
+    return this.agents.get(key);
+  }
+
+  retrySettings(url) {
+    const hostname = new URL(url).hostname;
+    return { ...this.retry, ...getHostConfig(this.siteConfig, hostname).retry };
+  }
+
+  backoff(attempt, settings, error) {
+    const retryAfter = error.response && [429, 503].includes(error.response.status)
+      ? retryAfterMs(error.response)
+      : null;
+    if (retryAfter !== null) return retryAfter;
+
+    const exponential = Math.min(settings.maxDelayMs, settings.minDelayMs * 2 ** (attempt - 1));
+    return Math.round(exponential * (0.8 + Math.random() * 0.4));
+  }
+
+  // Run an attempt function under the retry policy for the URL's host. Used for
+  // plain requests and for anything else that fails like one (rendered pages).
+  async withRetry(url, attemptFn, { retry = true } = {}) {
+    const settings = this.retrySettings(url);
+    const attempts = retry ? settings.retries + 1 : 1;
+
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return await attemptFn(attempt);
+      } catch (error) {
+        if (attempt >= attempts || !isRetryable(error)) throw error;
+
+        const delay = this.backoff(attempt, settings, error);
+        if (delay > MAX_RETRY_AFTER_MS) throw error;
+
+        this.logger?.warn(`⚠️ Attempt ${attempt} failed for ${url}: ${error.message}. Retrying in ${(delay / 1000).toFixed(1)}s...`, {url, attempt});
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+    }
+  }
+
+  // redirects: filled with a { url, status, location } hop for every redirect followed
+  async config(url, options, redirects = []) {
+    const { headers = {}, auth = true, rateLimit, retry, ...rest } = options;
+    const credentials = auth && this.auth?.hasAuth(url) ? await this.auth.headersFor(url) : {};
+    const guard = auth && this.auth ? this.auth.redirectGuard(url) : undefined;
+
+    return {
+      url,
+      timeout: this.timeout,
+      maxRedirects: 5,
+      ...rest,
+      ...this.agentsFor(url),
+      // Proxying is done by the agents above, not axios' own env handling
+      proxy: false,
+      headers: {
+        'User-Agent': this.userAgent,
+        ...headers,
+        ...credentials
+      },
+      beforeRedirect: (redirectOptions, responseDetails) => {
+        const from = redirects.length > 0 ? redirects[redirects.length - 1].location : url;
+        redirects.push({ url: from, status: responseDetails.statusCode, location: redirectOptions.href });
+        guard?.(redirectOptions, responseDetails);
+      }
+    };
+  }
+
+  // axios request options plus:
+  //   auth: false       - don't attach the host's credentials
+  //   rateLimit: false  - don't wait for the host's rate limiter
+  //   retry: false      - a single attempt
+  async request(url, options = {}) {
+    return this.withRetry(url, async () => {
+      if (this.rateLimiter && options.rateLimit !== false) {
+        await this.rateLimiter.acquire(url);
+      }
+
+      const redirects = [];
+      const response = await axios.request(await this.config(url, options, redirects));
+      // Where redirects ended up, like the renderer's response.url, and how it got there
+      response.url = response.request?.res?.responseUrl || url;
+      response.redirects = redirects;
+
+      // Some callers accept any status; still retry the ones that mean "try again"
+      if (RETRYABLE_STATUS.has(response.status)) {
+        const error = new Error(`Request failed with status code ${response.status}`);
+        error.response = response;
+        error.retryableResponse = true;
+        throw error;
+      }
+      return response;
+    }, options).catch(error => {
+      if (error.retryableResponse) return error.response;
+      throw error;
+    });
+  }
+
+  get(url, options = {}) {
+    return this.request(url, { ...options, method: 'GET' });
+  }
+
+  head(url, options = {}) {
+    return this.request(url, { ...options, method: 'HEAD' });
+  }
+
+  post(url, data, options = {}) {
+    return this.request(url, { ...options, method: 'POST', data });
+  }
+}
@@ -1,101 +1,313 @@
 #!/usr/bin/env node
-import { Command } from 'commander';
-import chalk from 'chalk';
+import { Command, Option } from 'commander';
 import { DocDownloader } from './downloader.js';
-import { readFileSync } from 'fs';
-import { fileURLToPath } from 'url';
-import { dirname, join } from 'path';
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = dirname(__filename);
+import { createLogger, siteLogger, LOG_FORMATS } from './logger.js';
+import { DISCOVERY_MODES } from './sitemap.js';
+import { OUTPUT_FORMATS, parseFormats } from './bundles.js';
+import { WAIT_UNTIL } from './renderer.js';
+import { URL_STYLES } from './repo-source.js';
+import { METADATA_FIELDS, parseMetadataFields } from './front-matter.js';
+import { TRAILING_SLASH_POLICIES } from './url-normalizer.js';
+import { LAYOUTS, NAV_ORDERS } from './nav-layout.js';
+import { parseVariantList } from './variants.js';
+import { REPORT_FORMATS } from './crawl-report.js';
+import { loadBulkManifest, runBulk, formatSummary, siteFolder, startPageFailure } from './bulk.js';
+import { resolve } from 'path';
 
 const program = new Command();
 
+// Options shared by every command that crawls a site
+function addCrawlOptions(command) {
+  return command
+    .option('--metadata', 'Include YAML front matter with the page\'s title, URLs and other metadata')
+    .option('--metadata-fields <fields>', `Comma-separated front matter fields (implies --metadata): ${METADATA_FIELDS.join(', ')}`)
+    .option('-c, --concurrency <number>', 'Number of pages to process in parallel', '4')
+    .option('--rate-limit <number>', 'Maximum requests per second per host', '2')
+    .option('--burst <number>', 'Maximum burst of requests per host', '2')
+    .option('--ignore-robots', 'Ignore robots.txt rules and crawl delay')
+    .option('--no-rewrite-links', 'Keep absolute links to the live site instead of rewriting them to local files')
+    .addOption(new Option('--assets [kind]', 'Download referenced images (or "all" to include PDFs and attachments) into _assets/').choices(['images', 'all']).preset('images'))
+    .option('--max-asset-size <mb>', 'Skip assets larger than this many megabytes', '10')
+    .option('--asset-types <types>', 'Comma-separated MIME types to allow for assets, e.g. "image/*,application/pdf"')
+    .addOption(new Option('--discovery <mode>', 'How to discover pages').choices(DISCOVERY_MODES).default('links'))
+    .option('--version <versions>', 'Comma-separated docs versions to download, "latest" for the unversioned pages, or "all" (default: all)')
+    .option('--lang <languages>', 'Comma-separated languages to download, or "all" (default: all)')
+    .addOption(new Option('--trailing-slash <policy>', 'Trailing slash on page URLs').choices(TRAILING_SLASH_POLICIES).default('keep'))
+    .option('--resume', 'Continue an interrupted crawl from its saved state')
+    .option('--render', 'Load pages in headless Chromium for sites that render with JavaScript (needs Playwright or Puppeteer)')
+    .option('--wait-for <selector>', 'With --render, wait until this selector appears before reading the page')
+    .addOption(new Option('--wait-until <event>', 'With --render, page load event to wait for').choices(WAIT_UNTIL).default('networkidle'))
+    .option('--render-timeout <seconds>', 'With --render, give up on a page after this many seconds', '30')
+    .option('--proxy <url>', 'Proxy for all requests (default: HTTP_PROXY/HTTPS_PROXY, honoring NO_PROXY)')
+    .option('--user-agent <string>', 'User-Agent header to send')
+    .option('--timeout <seconds>', 'Request timeout', '20')
+    .option('--retries <number>', 'Retries for failed requests, with exponential backoff', '3')
+    .option('--ca-cert <file>', 'Extra CA certificate (PEM) to trust; can be repeated', (file, files) => [...files, file], [])
+    .option('--insecure', 'Skip TLS certificate verification')
+    .option('--debug-extract', 'Explain which element each page\'s content was extracted from')
+    .option('--format <formats>', `Comma-separated outputs to produce: ${OUTPUT_FORMATS.join(', ')}`, 'tree')
+    .addOption(new Option('--layout <mode>', 'Arrange files by URL path or by the site\'s sidebar').choices(LAYOUTS).default('url'))
+    .addOption(new Option('--nav-order <order>', 'With --layout nav, keep the sidebar order with SUMMARY.md files or numbered names').choices(NAV_ORDERS).default('summary'))
+    .addOption(new Option('--report <format>', 'Summary written next to the _report.json crawl report').choices(REPORT_FORMATS).default('md'))
+    .addOption(new Option('--log-format <format>', 'Log output format').choices(LOG_FORMATS).default('pretty'));
+}
+
+function crawlerOptions(options, logger) {
+  return {
+    logger,
+    includeMetadata: options.metadata || Boolean(options.metadataFields),
+    metadataFields: parseMetadataFields(options.metadataFields),
+    concurrency: parseInt(options.concurrency),
+    rateLimit: {
+      requestsPerSecond: parseFloat(options.rateLimit),
+      burst: parseInt(options.burst)
+    },
+    ignoreRobots: options.ignoreRobots,
+    discovery: options.discovery,
+    trailingSlash: options.trailingSlash,
+    versions: parseVariantList(options.version),
+    langs: parseVariantList(options.lang),
+    layout: options.layout,
+    navOrder: options.navOrder,
+    rewriteLinks: options.rewriteLinks,
+    assets: options.assets,
+    maxAssetSize: parseFloat(options.maxAssetSize) * 1024 * 1024,
+    assetTypes: options.assetTypes ? options.assetTypes.split(',').map(type => type.trim()) : undefined,
+    resume: options.resume,
+    debugExtract: options.debugExtract,
+    proxy: options.proxy,
+    userAgent: options.userAgent,
+    timeout: parseFloat(options.timeout) * 1000,
+    retry: {retries: parseInt(options.retries)},
+    caFiles: options.caCert,
+    insecure: options.insecure,
+    render: options.render,
+    renderWaitFor: options.waitFor,
+    renderWaitUntil: options.waitUntil,
+    renderTimeout: parseFloat(options.renderTimeout) * 1000,
+    formats: parseFormats(options.format),
+    reportFormat: options.report
+  };
+}
+
 program
   .name('docs-downloader')
   .description('Universal documentation downloader that converts docs sites to markdown')
-  .version('1.0.0');
+  .version('1.0.0')
+  // Lets the crawl commands have their own --version option
+  .enablePositionalOptions();
 
-program
+addCrawlOptions(program
   .command('download')
   .description('Download documentation from a website')
   .requiredOption('-u, --url <url>', 'Documentation website URL to download')
   .option('-o, --output <dir>', 'Output directory', './downloads')
-  .option('-d, --depth <number>', 'Maximum crawl depth', '3')
+  .option('-d, --depth <number>', 'Maximum crawl depth (default: site config maxDepth, or 3)')
   .option('--force', 'Force re-download even if files exist')
-  .option('--config <file>', 'Configuration file for site-specific settings')
-  .option('--metadata', 'Include metadata header with source URL and download time')
+  .option('--config <file>', 'Configuration file for site-specific settings'))
   .action(async (options) => {
+    const logger = createLogger(options.logFormat);
     try {
-      console.log(chalk.blue('🚀 Starting documentation download...'));
-      console.log(chalk.gray(`URL: ${options.url}`));
-      console.log(chalk.gray(`Output: ${options.output}`));
-      console.log(chalk.gray(`Max Depth: ${options.depth}`));
+      logger.info('🚀 Starting documentation download...');
+      logger.debug(`URL: ${options.url}`);
+      logger.debug(`Output: ${options.output}`);
+      logger.debug(`Max Depth: ${options.depth ?? 'from site config (default 3)'}`);
+      logger.debug(`Concurrency: ${options.concurrency}`);
       
       const downloader = new DocDownloader({
-        maxDepth: parseInt(options.depth),
+        maxDepth: options.depth !== undefined ? parseInt(options.depth) : undefined,
         outputDir: options.output,
         force: options.force,
         configFile: options.config,
-        includeMetadata: options.metadata
+        ...crawlerOptions(options, logger)
       });
       
-      await downloader.download(options.url);
-      console.log(chalk.green('✅ Download completed successfully!'));
+      const result = await downloader.download(options.url);
+      if (downloader.interrupted) {
+        logger.notice('⚠️ Download interrupted, finished pages were saved');
+        process.exit(130);
+      }
+      const failure = startPageFailure(result);
+      if (failure) {
+        logger.error(`❌ Download failed: could not download the start page (${failure.reason})`);
+        process.exit(1);
+      }
+      logger.success('✅ Download completed successfully!');
     } catch (error) {
-      console.error(chalk.red('❌ Error:'), error.message);
+      logger.error(`❌ Error: ${error.message}`);
       process.exit(1);
     }
   });
 
-program
-  .command('bulk')
-  .description('Download multiple documentation sites from env.md')
-  .option('-f, --file <file>', 'Environment file with URLs', '../env.md')
+addCrawlOptions(program
+  .command('sync')
+  .description('Update a previous download, re-fetching only pages that changed')
+  .requiredOption('-u, --url <url>', 'Documentation website URL to sync')
   .option('-o, --output <dir>', 'Output directory', './downloads')
-  .option('-d, --depth <number>', 'Maximum crawl depth', '3')
-  .option('--force', 'Force re-download even if files exist')
-  .option('--metadata', 'Include metadata header with source URL and download time')
+  .option('-d, --depth <number>', 'Maximum crawl depth (default: site config maxDepth, or 3)')
+  .option('--config <file>', 'Configuration file for site-specific settings')
+  .option('--prune', 'Delete files for pages that no longer exist on the site'))
   .action(async (options) => {
+    const logger = createLogger(options.logFormat);
     try {
-      console.log(chalk.blue('🚀 Starting bulk documentation download...'));
+      logger.info('🔄 Starting documentation sync...');
+      logger.debug(`URL: ${options.url}`);
+      logger.debug(`Output: ${options.output}`);
       
-      const envContent = readFileSync(join(__dirname, options.file), 'utf-8');
-      const urlMatches = envContent.match(/- Docs: \[.*?\]\((https?:\/\/[^\)]+)\)/g);
+      const downloader = new DocDownloader({
+        maxDepth: options.depth !== undefined ? parseInt(options.depth) : undefined,
+        outputDir: options.output,
+        configFile: options.config,
+        sync: true,
+        prune: options.prune,
+        ...crawlerOptions(options, logger)
+      });
       
-      if (!urlMatches) {
-        console.log(chalk.yellow('⚠️ No documentation URLs found in env.md'));
-        return;
+      const result = await downloader.download(options.url);
+      if (downloader.interrupted) {
+        logger.notice('⚠️ Sync interrupted, finished pages were saved (removed pages were not checked)');
+        process.exit(130);
       }
-      
-      const urls = urlMatches.map(match => {
-        const urlMatch = match.match(/\((https?:\/\/[^\)]+)\)/);
-        return urlMatch ? urlMatch[1] : null;
-      }).filter(Boolean);
-      
-      console.log(chalk.gray(`Found ${urls.length} documentation sites to download`));
+      const failure = startPageFailure(result);
+      if (failure) {
+        logger.error(`❌ Sync failed: could not download the start page (${failure.reason})`);
+        process.exit(1);
+      }
+      logger.success('✅ Sync completed successfully!');
+    } catch (error) {
+      logger.error(`❌ Error: ${error.message}`);
+      process.exit(1);
+    }
+  });
+
+program
+  .command('repo')
+  .description('Copy markdown sources from a Git repository instead of crawling the rendered site')
+  .requiredOption('-r, --repo <url|path>', 'Repository URL, or path to a local clone')
+  .requiredOption('-b, --base-url <url>', 'URL the docs directory is published at, e.g. https://docs.example.com/docs/')
+  .option('--ref <ref>', 'Branch, tag or commit (default: the default branch, or the working tree of a local clone)')
+  .option('--docs-dir <dir>', 'Docs directory inside the repository', 'docs')
+  .addOption(new Option('--url-style <style>', 'How the site maps files to URLs: guide/setup, guide/setup/ or guide/setup.html').choices(URL_STYLES).default('clean'))
+  .option('-o, --output <dir>', 'Output directory', './downloads')
+  .option('--force', 'Overwrite existing files')
+  .option('--metadata', 'Include YAML front matter with the page\'s title, URLs and other metadata')
+  .option('--metadata-fields <fields>', `Comma-separated front matter fields (implies --metadata): ${METADATA_FIELDS.join(', ')}`)
+  .option('--no-rewrite-links', 'Keep published URLs instead of rewriting links to local files')
+  .addOption(new Option('--assets [kind]', 'Download referenced images (or "all" to include PDFs and attachments) into _assets/').choices(['images', 'all']).preset('images'))
+  .option('--format <formats>', `Comma-separated outputs to produce: ${OUTPUT_FORMATS.join(', ')}`, 'tree')
+  .addOption(new Option('--report <format>', 'Summary written next to the _report.json crawl report').choices(REPORT_FORMATS).default('md'))
+  .addOption(new Option('--log-format <format>', 'Log output format').choices(LOG_FORMATS).default('pretty'))
+  .action(async (options) => {
+    const logger = createLogger(options.logFormat);
+    try {
+      logger.info('🚀 Starting documentation import from repository...');
+      logger.debug(`Repository: ${options.repo}`);
+      logger.debug(`Output: ${options.output}`);
       
       const downloader = new DocDownloader({
-        maxDepth: parseInt(options.depth),
+        logger,
         outputDir: options.output,
         force: options.force,
-        includeMetadata: options.metadata
+        includeMetadata: options.metadata || Boolean(options.metadataFields),
+        metadataFields: parseMetadataFields(options.metadataFields),
+        rewriteLinks: options.rewriteLinks,
+        assets: options.assets,
+        formats: parseFormats(options.format),
+        reportFormat: options.report
       });
       
-      for (const url of urls) {
-        try {
-          console.log(chalk.blue(`\n📄 Downloading: ${url}`));
-          await downloader.download(url);
-        } catch (error) {
-          console.error(chalk.red(`❌ Failed to download ${url}:`), error.message);
-        }
+      await downloader.downloadRepo({
+        repo: options.repo,
+        ref: options.ref,
+        docsDir: options.docsDir,
+        baseUrl: options.baseUrl,
+        urlStyle: options.urlStyle
+      });
+      logger.success('✅ Import completed successfully!');
+    } catch (error) {
+      logger.error(`❌ Error: ${error.message}`);
+      process.exit(1);
+    }
+  });
+
+addCrawlOptions(program
+  .command('bulk')
+  .description('Download several documentation sites listed in a manifest')
+  .option('-f, --file <file>', 'Manifest of sites: YAML, JSON, a list of URLs, or env.md "- Docs: [name](url)" lines', 'env.md')
+  .option('-o, --output <dir>', 'Output directory', './downloads')
+  .option('-d, --depth <number>', 'Maximum crawl depth (default: site config maxDepth, or 3)')
+  .option('--force', 'Force re-download even if files exist')
+  .option('--config <file>', 'Configuration file for site-specific settings, for entries without their own')
+  .option('--parallel <number>', 'Number of sites to download at the same time', '2'))
+  .action(async (options) => {
+    const logger = createLogger(options.logFormat);
+    let results;
+    try {
+      const manifestPath = resolve(options.file);
+      const entries = await loadBulkManifest(manifestPath);
+      if (entries.length === 0) {
+        logger.notice(`⚠️ No documentation sites found in ${options.file}`);
+        return;
       }
-      
-      console.log(chalk.green('\n✅ Bulk download completed!'));
+
+      const parallel = Math.max(1, parseInt(options.parallel) || 1);
+      logger.info(`🚀 Starting bulk download of ${entries.length} sites (${Math.min(parallel, entries.length)} at a time)...`);
+      logger.debug(`Manifest: ${manifestPath}`);
+
+      results = await runBulk(entries, {
+        parallel,
+        download: async (entry) => {
+          const siteLog = parallel > 1 ? siteLogger(logger, siteFolder(entry)) : logger;
+          siteLog.info(`\n📄 Downloading: ${entry.url}`);
+          const downloader = new DocDownloader({
+            outputDir: options.output,
+            force: options.force,
+            ...crawlerOptions(options, siteLog),
+            maxDepth: entry.depth ?? (options.depth !== undefined ? parseInt(options.depth) : undefined),
+            configFile: entry.config || options.config,
+            siteName: entry.name,
+            ...(entry.format ? { formats: parseFormats(entry.format) } : {})
+          });
+          try {
+            return await downloader.download(entry.url);
+          } catch (error) {
+            siteLog.error(`❌ Failed to download ${entry.url}: ${error.message}`);
+            throw error;
+          }
+        }
+      });
     } catch (error) {
-      console.error(chalk.red('❌ Error:'), error.message);
+      logger.error(`❌ Error: ${error.message}`);
+      process.exit(1);
+    }
+
+    logger.info('\n📊 Bulk download summary:');
+    const [header, rule, ...rows] = formatSummary(results);
+    logger.info(header);
+    logger.info(rule);
+    rows.forEach((row, index) => {
+      const { entry, status, result, error, durationMs } = results[index];
+      logger.info(row, {
+        site: siteFolder(entry),
+        url: entry.url,
+        status,
+        saved: result?.saved.length,
+        failed: result?.failed.length,
+        durationMs,
+        error: error?.message
+      });
+    });
+
+    const failed = results.filter(result => result.status === 'failed');
+    if (results.some(result => result.status === 'interrupted')) {
+      logger.notice('⚠️ Bulk download interrupted, remaining sites were not started');
+      process.exit(130);
+    }
+    if (failed.length > 0) {
+      logger.error(`❌ ${failed.length} of ${results.length} sites failed`);
       process.exit(1);
     }
+    logger.success('\n✅ Bulk download completed!');
   });
 
 program.parse();
\ No newline at end of file
@@ -0,0 +1,153 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { URL } from 'url';
+
+// Key used to match a link target against downloaded pages, so that
+// "/guide", "/guide/", "/guide.html", "/guide.md" and "/guide/index.md" all line up
+export function pageKey(url) {
+  const urlObj = new URL(url);
+  const pathname = urlObj.pathname
+    .replace(/\/index\.(md|mdx|html?)$/i, '/')
+    .replace(/\.(md|mdx|html?)$/i, '')
+    .replace(/\/+$/, '');
+  return `${urlObj.protocol}//${urlObj.host}${pathname}`;
+}
+
+// Split markdown into prose and code so links inside code are never touched
+export function splitCode(markdown) {
+  const parts = [];
+  const pattern = /(^|\n)( {0,3})(`{3,}|~{3,})[^\n]*\n[\s\S]*?(\n\2\3[`~]*[ \t]*(?=\n|$)|$)|`+[^`\n]*?`+/g;
+  let lastIndex = 0;
+
+  for (const match of markdown.matchAll(pattern)) {
+    if (match.index > lastIndex) {
+      parts.push({ code: false, text: markdown.slice(lastIndex, match.index) });
+    }
+    parts.push({ code: true, text: match[0] });
+    lastIndex = match.index + match[0].length;
+  }
+  if (lastIndex < markdown.length) {
+    parts.push({ code: false, text: markdown.slice(lastIndex) });
+  }
+  return parts;
+}
+
+// Call fn(target, { image }) for every link target outside code, replacing it
+// with the returned value
+export function mapLinks(markdown, fn) {
+  return splitCode(markdown).map(part => {
+    if (part.code) return part.text;
+
+    return part.text
+      // Inline links and images: [text](target "title") / ![alt](target)
+      .replace(/(!?)\[((?:[^\[\]]|\[[^\]]*\])*)\]\(\s*(<[^>]*>|[^\s)]+)(\s+(?:"[^"]*"|'[^']*'|\([^)]*\)))?\s*\)/g,
+        (match, bang, text, rawTarget, title = '') => {
+          const wrapped = rawTarget.startsWith('<');
+          const target = wrapped ? rawTarget.slice(1, -1) : rawTarget;
+          const rewritten = fn(target, { image: bang === '!' });
+          const output = wrapped || /\s/.test(rewritten) ? `<${rewritten}>` : rewritten;
+          return `${bang}[${text}](${output}${title})`;
+        })
+      // Reference definitions: [id]: target
+      .replace(/^( {0,3}\[[^\]]+\]:\s*)(\S+)/gm,
+        (match, prefix, target) => prefix + fn(target, { image: false }))
+      // Raw HTML left in markdown sources
+      .replace(/(<(?:a|img)\b[^>]*?\s(href|src)=)(["'])([^"']*)\3/gi,
+        (match, prefix, attr, quote, target) =>
+          prefix + quote + fn(target, { image: attr.toLowerCase() === 'src' }) + quote);
+  }).join('');
+}
+
+// Resolve a link target against the page it appears on. Returns null for
+// anchors, non-http schemes and unparseable targets.
+export function resolveTarget(target, page) {
+  if (!target || target.startsWith('#') || /^(mailto|tel|data|javascript):/i.test(target)) {
+    return null;
+  }
+
+  try {
+    const absolute = new URL(target, page.sourceUrl || page.pageUrl);
+    return /^https?:$/.test(absolute.protocol) ? absolute : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+function isLocalFile(target, page) {
+  if (!target || /^[a-z][a-z0-9+.-]*:|^\/\/|^[#/]/i.test(target)) return false;
+  try {
+    const localPath = path.resolve(path.dirname(page.filePath), decodeURI(target.replace(/[#?].*$/, '')));
+    return fs.pathExistsSync(localPath) && fs.statSync(localPath).isFile();
+  } catch (error) {
+    return false;
+  }
+}
+
+export class LinkRewriter {
+  constructor(pages, options = {}) {
+    // pages: iterable of { pageUrl, sourceUrl, filePath }
+    this.rewritePages = options.rewritePages !== false;
+    // assets: Map of absolute URL to local file path
+    this.assets = options.assets || new Map();
+    this.byKey = new Map();
+    for (const page of pages) {
+      this.byKey.set(pageKey(page.pageUrl), page);
+      if (page.sourceUrl && page.sourceUrl !== page.pageUrl) {
+        this.byKey.set(pageKey(page.sourceUrl), page);
+      }
+    }
+  }
+
+  findPage(url) {
+    try {
+      return this.byKey.get(pageKey(url)) || null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // Rewrite one link target as seen from the given page
+  rewriteTarget(target, page, { image = false } = {}) {
+    // Already points at a local file (e.g. from an earlier rewrite pass)
+    if (isLocalFile(target, page)) return target;
+
+    const absolute = resolveTarget(target, page);
+    if (!absolute) return target;
+
+    const fromDir = path.dirname(page.filePath);
+    const toRelative = filePath => encodeURI(path.relative(fromDir, filePath).split(path.sep).join('/'));
+
+    const assetPath = this.assets.get(absolute.href);
+    if (assetPath) {
+      return toRelative(assetPath);
+    }
+
+    const linked = image || !this.rewritePages ? null : this.findPage(absolute.href);
+    if (!linked) {
+      // Not downloaded: point back at the live site
+      return this.rewritePages ? absolute.href : target;
+    }
+
+    return toRelative(linked.filePath) + absolute.hash;
+  }
+
+  rewrite(markdown, page) {
+    return mapLinks(markdown, (target, kind) => this.rewriteTarget(target, page, kind));
+  }
+
+  async rewriteFile(page) {
+    const content = await fs.readFile(page.filePath, 'utf-8');
+
+    // Leave the front-matter block alone
+    const frontMatter = content.match(/^---\n[\s\S]*?\n---\n/);
+    const head = frontMatter ? frontMatter[0] : '';
+    const body = content.slice(head.length);
+
+    const rewritten = this.rewrite(body, page);
+    if (rewritten !== body) {
+      await fs.writeFile(page.filePath, head + rewritten, 'utf-8');
+      return true;
+    }
+    return false;
+  }
+}
@@ -0,0 +1,113 @@
+import chalk from 'chalk';
+
+export const LOG_FORMATS = ['pretty', 'json', 'silent'];
+
+const COLORS = {
+  debug: 'gray',
+  info: 'blue',
+  success: 'green',
+  notice: 'yellow',
+  warn: 'yellow',
+  error: 'red'
+};
+
+// Base logger: subclasses (or custom loggers) only need to implement log()
+export class Logger {
+  log(level, message, fields) {}
+
+  debug(message, fields = {}) {
+    this.log('debug', message, fields);
+  }
+
+  info(message, fields = {}) {
+    this.log('info', message, fields);
+  }
+
+  success(message, fields = {}) {
+    this.log('success', message, fields);
+  }
+
+  notice(message, fields = {}) {
+    this.log('notice', message, fields);
+  }
+
+  warn(message, fields = {}) {
+    this.log('warn', message, fields);
+  }
+
+  error(message, fields = {}) {
+    this.log('error', message, fields);
+  }
+}
+
+// Colored, emoji-prefixed output for the terminal
+export class PrettyLogger extends Logger {
+  log(level, message) {
+    const line = chalk[COLORS[level] || 'white'](message);
+    if (level === 'warn' || level === 'error') {
+      console.warn(line);
+    } else {
+      console.log(line);
+    }
+  }
+}
+
+// One JSON object per line, for piping into other tools
+export class JsonLogger extends Logger {
+  constructor(stream = process.stdout) {
+    super();
+    this.stream = stream;
+  }
+
+  log(level, message, fields = {}) {
+    const text = String(message)
+      .replace(/^\s*(?:\p{Extended_Pictographic}|\uFE0F|\u200D)+\s*/u, '')
+      .trim();
+    this.stream.write(JSON.stringify({ time: new Date().toISOString(), level, message: text, ...fields }) + '\n');
+  }
+}
+
+export class SilentLogger extends Logger {}
+
+// Accepts a format name or any object with a log(level, message, fields) method
+export function createLogger(format = 'pretty') {
+  if (format instanceof Logger) return format;
+
+  if (format && typeof format.log === 'function') {
+    const custom = new Logger();
+    custom.log = (level, message, fields) => format.log(level, message, fields);
+    return custom;
+  }
+
+  switch (format) {
+    case 'json':
+      return new JsonLogger();
+    case 'silent':
+      return new SilentLogger();
+    case 'pretty':
+      return new PrettyLogger();
+    default:
+      throw new Error(`Unknown log format "${format}" (expected one of ${LOG_FORMATS.join(', ')})`);
+  }
+}
+
+// Runs every message and string field through redact() before it reaches the logger
+export function redactingLogger(logger, redact) {
+  const wrapped = new Logger();
+  wrapped.log = (level, message, fields = {}) => logger.log(
+    level,
+    redact(message),
+    Object.fromEntries(Object.entries(fields).map(([key, value]) => [key, typeof value === 'string' ? redact(value) : value]))
+  );
+  return wrapped;
+}
+
+// Tells apart the output of sites downloading side by side: a "site" field in
+// JSON logs, a [site] prefix otherwise
+export function siteLogger(logger, site) {
+  const wrapped = new Logger();
+  wrapped.log = logger instanceof JsonLogger
+    ? (level, message, fields = {}) => logger.log(level, message, { site, ...fields })
+    : (level, message, fields) => logger.log(level, String(message).replace(/^(\s*)/, `$1[${site}] `), fields);
+  return wrapped;
+}
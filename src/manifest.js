@@ -0,0 +1,84 @@
+import crypto from 'crypto';
+import fs from 'fs-extra';
+import path from 'path';
+
+export const MANIFEST_FILE = '_manifest.json';
+const MANIFEST_VERSION = 1;
+
+export function hashContent(content) {
+  return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+// Per-site record of every downloaded URL: where it was saved, the validators
+// needed for conditional requests and a hash of the markdown that was written
+export class CrawlManifest {
+  constructor(siteDir, data = {}) {
+    this.siteDir = siteDir;
+    this.filePath = path.join(siteDir, MANIFEST_FILE);
+    this.startUrl = data.startUrl || null;
+    this.entries = new Map(Object.entries(data.pages || {}));
+  }
+
+  static async load(siteDir) {
+    const filePath = path.join(siteDir, MANIFEST_FILE);
+    if (!await fs.pathExists(filePath)) {
+      return new CrawlManifest(siteDir);
+    }
+
+    const data = await fs.readJson(filePath);
+    if (data.version !== MANIFEST_VERSION) {
+      throw new Error(`Unsupported manifest version ${data.version} in ${filePath}`);
+    }
+    return new CrawlManifest(siteDir, data);
+  }
+
+  get(url) {
+    const entry = this.entries.get(url);
+    return entry ? { ...entry, filePath: path.join(this.siteDir, entry.path) } : null;
+  }
+
+  has(url) {
+    return this.entries.has(url);
+  }
+
+  set(url, { filePath, ...fields }) {
+    const previous = this.entries.get(url) || {};
+    this.entries.set(url, {
+      ...previous,
+      ...fields,
+      path: path.relative(this.siteDir, filePath).split(path.sep).join('/')
+    });
+  }
+
+  delete(url) {
+    this.entries.delete(url);
+  }
+
+  urls() {
+    return [...this.entries.keys()];
+  }
+
+  // Validators to send so unchanged pages come back as 304 Not Modified
+  conditionalHeaders(url) {
+    const entry = this.entries.get(url);
+    const headers = {};
+    if (entry?.etag) headers['If-None-Match'] = entry.etag;
+    if (entry?.lastModified) headers['If-Modified-Since'] = entry.lastModified;
+    return headers;
+  }
+
+  async save() {
+    const data = {
+      version: MANIFEST_VERSION,
+      startUrl: this.startUrl,
+      updatedAt: new Date().toISOString(),
+      pages: Object.fromEntries([...this.entries].sort(([a], [b]) => a.localeCompare(b)))
+    };
+
+    // Write to a temp file first so a crash never leaves a truncated manifest
+    await fs.ensureDir(this.siteDir);
+    const tempPath = this.filePath + '.tmp';
+    await fs.writeJson(tempPath, data, { spaces: 2 });
+    await fs.move(tempPath, this.filePath, { overwrite: true });
+  }
+}
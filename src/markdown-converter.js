@@ -0,0 +1,384 @@
+import * as cheerio from 'cheerio';
+import TurndownService from 'turndown';
+
+// HTML to markdown in two steps: docs-framework markup (tabs, callouts, math,
+// highlighted code) is first normalized with cheerio into a few marked-up
+// elements, which the Turndown rules below then turn into markdown.
+
+export const ADMONITION_TYPES = {
+  note: 'NOTE',
+  info: 'NOTE',
+  seealso: 'NOTE',
+  abstract: 'NOTE',
+  summary: 'NOTE',
+  todo: 'NOTE',
+  example: 'NOTE',
+  quote: 'NOTE',
+  tip: 'TIP',
+  hint: 'TIP',
+  success: 'TIP',
+  check: 'TIP',
+  important: 'IMPORTANT',
+  question: 'IMPORTANT',
+  warning: 'WARNING',
+  warn: 'WARNING',
+  attention: 'WARNING',
+  caution: 'CAUTION',
+  danger: 'CAUTION',
+  error: 'CAUTION',
+  bug: 'CAUTION',
+  failure: 'CAUTION'
+};
+
+const ADMONITION_SELECTOR = [
+  '.admonition',
+  '.theme-admonition',
+  '.custom-block',
+  '.callout',
+  '.markdown-alert',
+  '.hint',
+  '[data-callout-type]',
+  'details[class]'
+].join(', ');
+
+const ADMONITION_TITLE_SELECTOR = [
+  '.admonition-title',
+  '.admonition-heading',
+  '[class*="admonitionHeading"]',
+  '.custom-block-title',
+  '.markdown-alert-title',
+  '.callout-title',
+  'summary'
+].join(', ');
+
+const CODE_TITLE_SELECTOR = [
+  '[class*="codeBlockTitle"]',
+  '[class*="code-block-title"]',
+  '[class*="code-title"]',
+  '[data-rehype-pretty-code-title]',
+  '.filename',
+  'figcaption'
+].join(', ');
+
+// Line-number gutters, copy buttons and language badges rendered inside code blocks
+const CODE_CHROME_SELECTOR = 'button, .linenos, .lineno, .line-numbers-rows, .copy, .lang, [class*="copyButton"]';
+
+const LANGUAGE_CLASS = /(?:^|\s)(?:language|lang|highlight-source|highlight)-([\w+#.-]+)/i;
+const NO_LANGUAGE = new Set(['none', 'default', 'plain', 'plaintext', 'nohighlight']);
+
+// Language from language-*, lang-*, highlight-source-*, highlight-* classes or
+// data-language, on the code element, the <pre> or the wrappers around it
+export function detectCodeLanguage($, pre) {
+  const elements = [$(pre).children('code').get(0), pre, ...$(pre).parents().slice(0, 3).get()].filter(Boolean);
+
+  for (const element of elements) {
+    const attribute = $(element).attr('data-language') || $(element).attr('data-lang');
+    const match = attribute ? [null, attribute] : ($(element).attr('class') || '').match(LANGUAGE_CLASS);
+    if (match) {
+      const language = match[1].toLowerCase();
+      return NO_LANGUAGE.has(language) ? '' : language;
+    }
+  }
+  return '';
+}
+
+function admonitionType($, el) {
+  const tokens = [
+    ...($(el).attr('class') || '').toLowerCase().split(/[\s_-]+/),
+    ($(el).attr('data-callout-type') || '').toLowerCase(),
+    ($(el).attr('data-type') || '').toLowerCase()
+  ];
+  const type = tokens.find(token => ADMONITION_TYPES[token]);
+  return type ? ADMONITION_TYPES[type] : null;
+}
+
+function normalizeMath($) {
+  const replaceWithMath = (el, tex, display) => {
+    const math = $(display ? '<div></div>' : '<span></span>')
+      .attr('data-md-math', display ? 'display' : 'inline')
+      .text(tex.trim());
+    $(el).replaceWith(math);
+  };
+
+  // KaTeX keeps the source in a MathML annotation
+  $('.katex-display, .katex').each((_, el) => {
+    if (!el.parent || $(el).parents('[data-md-math]').length) return;
+    const tex = $(el).find('annotation[encoding="application/x-tex"]').first().text();
+    if (tex) replaceWithMath(el, tex, $(el).hasClass('katex-display'));
+  });
+
+  // MathJax 3 output, and plain MathML carrying a TeX annotation
+  $('mjx-container, math').each((_, el) => {
+    if (!el.parent) return;
+    const tex = $(el).find('annotation[encoding="application/x-tex"]').first().text();
+    if (tex) replaceWithMath(el, tex, $(el).attr('display') === 'true' || $(el).attr('display') === 'block');
+  });
+
+  // MathJax 2 leaves the source in a script next to the rendered output
+  $('script[type^="math/tex"]').each((_, el) => {
+    $(el).prevAll('.MathJax_Preview, .MathJax, .MathJax_Display, .MathJax_SVG, .MathJax_SVG_Display').remove();
+    replaceWithMath(el, $(el).text(), ($(el).attr('type') || '').includes('mode=display'));
+  });
+
+  // pymdownx.arithmatex (MkDocs) wraps the TeX with its delimiters
+  $('.arithmatex').each((_, el) => {
+    const text = $(el).text().trim();
+    const display = el.tagName === 'div' || /^(\\\[|\$\$)/.test(text);
+    replaceWithMath(el, text.replace(/^(\\\(|\\\[|\$\$)|(\\\)|\\\]|\$\$)$/g, ''), display);
+  });
+}
+
+// Pair each tab label with its panel for the tab widgets docs frameworks use
+function findTabGroups($) {
+  const groups = [];
+
+  $('.tabbed-set').each((_, set) => {
+    const labels = $(set).find('.tabbed-labels > label').length
+      ? $(set).find('.tabbed-labels > label')
+      : $(set).children('label');
+    const panels = $(set).find('.tabbed-content > .tabbed-block').length
+      ? $(set).find('.tabbed-content > .tabbed-block')
+      : $(set).children('.tabbed-content');
+    groups.push({ container: set, labels: labels.get(), panels: panels.get() });
+  });
+
+  $('.vp-code-group').each((_, group) => {
+    groups.push({ container: group, labels: $(group).find('.tabs label').get(), panels: $(group).find('.blocks').children().get() });
+  });
+
+  $('[role="tablist"]').each((_, tablist) => {
+    const container = tablist.parent;
+    if (!container || groups.some(group => group.container === container)) return;
+    const tabs = $(tablist).find('[role="tab"]').get();
+    const panels = tabs.map((tab, index) => {
+      const id = $(tab).attr('aria-controls');
+      const byId = id ? $(container).find(`[id="${id}"]`).get(0) : null;
+      return byId || $(container).find('[role="tabpanel"]').get(index);
+    });
+    groups.push({ container, labels: tabs, panels });
+  });
+
+  return groups;
+}
+
+// Tabbed code groups become consecutive fences labelled with the tab name;
+// other tabs get their label as a bold line above the panel
+function flattenTabs($) {
+  for (const { container, labels, panels } of findTabGroups($).reverse()) {
+    if (!container.parent || panels.length === 0) continue;
+
+    const flattened = $('<div></div>');
+    panels.forEach((panel, index) => {
+      if (!panel) return;
+      const label = labels[index] ? $(labels[index]).text().trim() : '';
+      const pres = $(panel).find('pre');
+      const onlyCode = pres.length === 1 && $(panel).text().trim() === pres.text().trim();
+
+      if (label && onlyCode) {
+        if (!pres.attr('data-title')) pres.attr('data-tab', label);
+      } else if (label) {
+        flattened.append($('<p></p>').append($('<strong></strong>').text(label)));
+      }
+      flattened.append($(panel).contents());
+    });
+    $(container).replaceWith(flattened);
+  }
+}
+
+function normalizeAdmonitions($) {
+  // Innermost first, so nested callouts are marked before their parents
+  for (const el of $(ADMONITION_SELECTOR).get().reverse()) {
+    if ($(el).is('pre, code') || $(el).closest('pre').length) continue;
+    const type = admonitionType($, el);
+    if (!type) continue;
+
+    const titleEl = $(el).find(ADMONITION_TITLE_SELECTOR).first();
+    const title = titleEl.text().replace(/\s+/g, ' ').trim();
+    titleEl.remove();
+    $(el).find('svg, .admonition-icon, [class*="admonitionIcon"]').remove();
+
+    const marked = $('<div></div>').attr('data-md-admonition', type);
+    // Only keep titles that say more than the type itself
+    if (title && !ADMONITION_TYPES[title.toLowerCase()]) {
+      marked.append($('<p></p>').append($('<strong></strong>').text(title)));
+    }
+    marked.append($(el).contents());
+    $(el).replaceWith(marked);
+  }
+}
+
+function codeTitle($, pre) {
+  const direct = $(pre).attr('data-title') || $(pre).children('code').attr('data-title');
+  if (direct) return direct;
+
+  // Titles sit next to the <pre> inside a wrapper that holds only this block
+  let wrapper = $(pre).parent();
+  for (let level = 0; level < 3 && wrapper.length; level++) {
+    if (wrapper.find('pre').length !== 1) break;
+    const title = wrapper.find(CODE_TITLE_SELECTOR).filter((_, el) => !$(el).closest('pre').length).first();
+    if (title.length) {
+      const text = title.text().trim();
+      title.remove();
+      return text;
+    }
+    wrapper = wrapper.parent();
+  }
+  return '';
+}
+
+function normalizeCode($) {
+  // Sphinx puts line numbers and code in two cells of a table
+  $('table.highlighttable').each((_, table) => {
+    const pre = $(table).find('td.code pre').first();
+    if (pre.length) $(table).replaceWith(pre);
+  });
+
+  $('pre').each((_, pre) => {
+    const language = detectCodeLanguage($, pre);
+    const title = codeTitle($, pre);
+
+    // Copy buttons and language badges also sit beside the <pre> in its wrapper
+    $(pre).find(CODE_CHROME_SELECTOR).remove();
+    let wrapper = $(pre).parent();
+    for (let level = 0; level < 3 && wrapper.length && wrapper.find('pre').length === 1; level++) {
+      wrapper.children(CODE_CHROME_SELECTOR).remove();
+      wrapper = wrapper.parent();
+    }
+    $(pre).find('br').replaceWith('\n');
+
+    // Highlighters that render each line as its own element without newlines between them
+    let code = $(pre).text();
+    const lines = $(pre).find('.token-line, .line, [data-line]');
+    if (lines.length > 1 && !code.includes('\n')) {
+      code = lines.map((_, line) => $(line).text()).get().join('\n');
+    }
+
+    const tab = $(pre).attr('data-tab');
+    $(pre).empty().append($('<code></code>').text(code.replace(/\n+$/, '')));
+    for (const attribute of Object.keys(pre.attribs)) {
+      $(pre).removeAttr(attribute);
+    }
+    if (language) $(pre).attr('data-md-lang', language);
+    if (title || tab) $(pre).attr('data-md-title', title || tab);
+  });
+}
+
+export function preprocessHtml(html) {
+  const $ = cheerio.load(html, null, false);
+  normalizeMath($);
+  flattenTabs($);
+  normalizeAdmonitions($);
+  normalizeCode($);
+  return $.html();
+}
+
+function fenceFor(code) {
+  const runs = code.match(/`{3,}/g) || [];
+  const longest = runs.reduce((max, run) => Math.max(max, run.length), 2);
+  return '`'.repeat(longest + 1);
+}
+
+function parentTable(node) {
+  let parent = node.parentNode;
+  while (parent && parent.nodeName !== 'TABLE') parent = parent.parentNode;
+  return parent;
+}
+
+function cellSpan(cell) {
+  return Math.max(1, parseInt(cell.getAttribute('colspan'), 10) || 1);
+}
+
+function tableRows(table) {
+  return Array.from(table.querySelectorAll('tr')).filter(row => parentTable(row) === table);
+}
+
+function rowWidth(row) {
+  return Array.from(row.childNodes)
+    .filter(cell => cell.nodeName === 'TD' || cell.nodeName === 'TH')
+    .reduce((width, cell) => width + cellSpan(cell), 0);
+}
+
+function addRules(turndown) {
+  turndown.addRule('codeBlock', {
+    filter: 'pre',
+    replacement: (content, node) => {
+      const code = node.textContent;
+      const fence = fenceFor(code);
+      const language = node.getAttribute('data-md-lang') || '';
+      const title = node.getAttribute('data-md-title');
+      const info = [language, title ? `title="${title.replace(/"/g, '\\"')}"` : ''].filter(Boolean).join(' ');
+      return `\n\n${fence}${info}\n${code}\n${fence}\n\n`;
+    }
+  });
+
+  turndown.addRule('math', {
+    filter: node => node.nodeType === 1 && node.hasAttribute('data-md-math'),
+    replacement: (content, node) => node.getAttribute('data-md-math') === 'display'
+      ? `\n\n$$\n${node.textContent}\n$$\n\n`
+      : `$${node.textContent}$`
+  });
+
+  turndown.addRule('admonition', {
+    filter: node => node.nodeType === 1 && node.hasAttribute('data-md-admonition'),
+    replacement: (content, node) => {
+      const body = content.trim().split('\n').map(line => line ? `> ${line}` : '>').join('\n');
+      return `\n\n> [!${node.getAttribute('data-md-admonition')}]\n${body}\n\n`;
+    }
+  });
+
+  turndown.addRule('tableCell', {
+    filter: ['th', 'td'],
+    replacement: (content, node) => {
+      const text = content.trim().replace(/\s*\n+\s*/g, '<br>').replace(/\|/g, '\\|');
+      return ` ${text} |` + ' |'.repeat(cellSpan(node) - 1);
+    }
+  });
+
+  turndown.addRule('tableRow', {
+    filter: 'tr',
+    replacement: (content, node) => {
+      const table = parentTable(node);
+      const rows = table ? tableRows(table) : [node];
+      const columns = Math.max(1, ...rows.map(rowWidth));
+      const padding = '  |'.repeat(Math.max(0, columns - rowWidth(node)));
+
+      // GFM needs a header row; the first row serves as one
+      const separator = rows[0] === node ? '\n|' + ' --- |'.repeat(columns) : '';
+      return `\n|${content}${padding}${separator}\n`;
+    }
+  });
+
+  turndown.addRule('tableSection', {
+    filter: ['thead', 'tbody', 'tfoot'],
+    replacement: content => content
+  });
+
+  turndown.addRule('tableCaption', {
+    filter: 'caption',
+    replacement: () => ''
+  });
+
+  turndown.addRule('table', {
+    filter: 'table',
+    replacement: (content, node) => {
+      const caption = node.querySelector('caption');
+      const title = caption ? `*${caption.textContent.trim()}*\n\n` : '';
+      return `\n\n${title}${content.replace(/\n{2,}/g, '\n').trim()}\n\n`;
+    }
+  });
+}
+
+export class MarkdownConverter {
+  constructor(options = {}) {
+    this.turndown = new TurndownService({
+      headingStyle: 'atx',
+      codeBlockStyle: 'fenced',
+      ...options
+    });
+    addRules(this.turndown);
+  }
+
+  convert(html) {
+    return this.turndown.turndown(preprocessHtml(html));
+  }
+}
@@ -0,0 +1,236 @@
+import { URL } from 'url';
+
+// Finding the markdown a page was built from. Strategies, in order:
+//   alternate - <link rel="alternate" type="text/markdown"> (trusted, not probed)
+//   edit-link - "Edit this page" links to GitHub/GitLab, turned into raw file URLs
+//   template  - per-host URL templates from the config ("markdownSources")
+//   guesses   - common URL patterns like "{page}.md"
+// The pattern that worked last on a host is tried first, probe results are cached
+// per URL, and guesses that never hit on a host are dropped after a while.
+
+export const TEMPLATE_PLACEHOLDERS = ['origin', 'path', 'url', 'page'];
+
+// Stop probing a guess on a host once it has missed this many pages without a hit
+const GIVE_UP_AFTER = 10;
+
+const MARKDOWN_TYPES = /text\/(x-)?markdown|text\/plain/;
+const MARKDOWN_FILE = /\.(md|mdx|markdown)$/i;
+const EDIT_LINK_TEXT = /edit (this )?page|edit on git(hub|lab)|suggest (an )?edits?|improve this (page|doc)|view source/i;
+
+const GUESSES = [
+  { name: 'md-suffix', build: ctx => `${ctx.page}.md` },
+  { name: 'html-to-md', build: ctx => /\.html?$/.test(ctx.path) ? ctx.url.replace(/\.html?$/, '.md') : null },
+  { name: 'index-md', build: ctx => ctx.path && !ctx.file ? `${ctx.url}/index.md` : null },
+  { name: 'readme-md', build: ctx => ctx.path && !ctx.file ? `${ctx.url}/README.md` : null },
+  { name: 'content-md', build: ctx => ctx.path && !ctx.file ? `${ctx.url}/content.md` : null },
+  { name: 'github-raw', build: ctx => ctx.host === 'github.com' && ctx.path.includes('/blob/') ? rawGitUrl(ctx.url) : null },
+  { name: 'gitlab-raw', build: ctx => /(^|\.)gitlab\./.test(ctx.host) && ctx.path.includes('/-/blob/') ? rawGitUrl(ctx.url) : null }
+];
+
+export function isLikelyMarkdown(content) {
+  if (!content || content.length < 10) return false;
+
+  // Check for common markdown patterns
+  const markdownPatterns = [
+    /^#{1,6}\s+/, // Headers
+    /^\*\s+/, // Bullet lists
+    /^\d+\.\s+/, // Numbered lists
+    /\[.*?\]\(.*?\)/, // Links
+    /`[^`]+`/, // Inline code
+    /```/, // Code blocks
+    /^\>\s+/, // Blockquotes
+    /\*\*.*?\*\*/, // Bold
+    /\*.*?\*/, // Italic
+    /^---$|^===$/m, // Horizontal rules
+    /^\|.*\|/m // Tables
+  ];
+
+  // Check if content has markdown-like patterns and isn't HTML
+  const hasMarkdownPatterns = markdownPatterns.some(pattern => pattern.test(content));
+  const hasHtmlTags = /<\/?[a-z][\s\S]*>/i.test(content);
+
+  return hasMarkdownPatterns || (!hasHtmlTags && content.includes('\n') && content.length > 50);
+}
+
+function looksLikeHtml(content, contentType) {
+  const start = content.trimStart().slice(0, 100).toLowerCase();
+  return contentType.includes('text/html') || start.startsWith('<!doctype html') || start.startsWith('<html');
+}
+
+// GitHub/GitLab blob or edit URLs to the raw file
+export function rawGitUrl(href) {
+  const urlObj = new URL(href);
+  if (urlObj.hostname === 'github.com') {
+    const match = urlObj.pathname.match(/^\/([^/]+)\/([^/]+)\/(?:blob|edit|raw)\/(.+)$/);
+    return match ? `https://raw.githubusercontent.com/${match[1]}/${match[2]}/${match[3]}` : null;
+  }
+  if (/(^|\.)gitlab\./.test(urlObj.hostname)) {
+    const match = urlObj.pathname.match(/^(.+?)\/-\/(?:blob|edit)\/(.+)$/);
+    return match ? `${urlObj.origin}${match[1]}/-/raw/${match[2]}` : null;
+  }
+  return null;
+}
+
+function templateContext(pageUrl) {
+  const urlObj = new URL(pageUrl);
+  const path = urlObj.pathname.replace(/\/+$/, '');
+  return {
+    host: urlObj.hostname,
+    origin: urlObj.origin,
+    path,
+    // The last segment has an extension ("intro.html"), so it can't be a folder
+    file: /\.[a-z0-9]+$/i.test(path.split('/').pop()),
+    url: urlObj.origin + path,
+    // Like url, but the root page is "/index" so "{page}.md" never becomes "example.com.md"
+    page: urlObj.origin + (path || '/index')
+  };
+}
+
+export function expandTemplate(template, pageUrl) {
+  const ctx = templateContext(pageUrl);
+  return template.replace(/\{(\w+)\}/g, (match, name) => TEMPLATE_PLACEHOLDERS.includes(name) ? ctx[name] : match);
+}
+
+export class MarkdownSourceFinder {
+  constructor({ http, getHostConfig }) {
+    this.http = http;
+    this.getHostConfig = getHostConfig;
+    // Probe results by URL, shared by every page that guesses the same file
+    this.probes = new Map();
+    // Per host: the pattern that last worked, and hit/miss counts per pattern
+    this.preferred = new Map();
+    this.stats = new Map();
+  }
+
+  reset() {
+    this.probes.clear();
+    this.preferred.clear();
+    this.stats.clear();
+  }
+
+  // Returns { url, strategy } or null
+  async find(pageUrl, $) {
+    const hostname = new URL(pageUrl).hostname;
+    const config = this.getHostConfig(hostname);
+    if (config.markdownSources === false) return null;
+
+    const alternate = $ ? this.alternateLink($, pageUrl) : null;
+    if (alternate) return { url: alternate, strategy: 'alternate' };
+
+    for (const candidate of this.candidates(pageUrl, $, config)) {
+      const found = await this.probe(candidate.url);
+      this.record(hostname, candidate.pattern, found);
+      if (found) {
+        this.preferred.set(hostname, candidate.pattern);
+        return { url: candidate.url, strategy: candidate.pattern };
+      }
+    }
+    return null;
+  }
+
+  alternateLink($, pageUrl) {
+    const href = $('link[rel~="alternate"]').filter((_, el) => /markdown/i.test($(el).attr('type') || '')).first().attr('href');
+    if (!href) return null;
+    try {
+      return new URL(href, pageUrl).href;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  editLinks($, pageUrl) {
+    const sources = [];
+    $('a[href]').each((_, el) => {
+      const $el = $(el);
+      const hint = `${$el.text()} ${$el.attr('title') || ''} ${$el.attr('aria-label') || ''} ${$el.attr('class') || ''}`;
+      if (!EDIT_LINK_TEXT.test(hint) && !/edit/i.test($el.attr('class') || '')) return;
+      try {
+        const raw = rawGitUrl(new URL($el.attr('href'), pageUrl).href);
+        if (raw && MARKDOWN_FILE.test(new URL(raw).pathname)) sources.push(raw);
+      } catch (error) {
+        // Not a URL we can use
+      }
+    });
+    return sources;
+  }
+
+  candidates(pageUrl, $, config) {
+    const hostname = new URL(pageUrl).hostname;
+    const stats = this.stats.get(hostname) || new Map();
+    const ctx = templateContext(pageUrl);
+
+    const patterns = [
+      ...($ ? this.editLinks($, pageUrl).map(url => ({ pattern: 'edit-link', url })) : []),
+      ...(Array.isArray(config.markdownSources) ? config.markdownSources : []).map((template, index) => ({
+        pattern: `template:${index}`,
+        url: expandTemplate(template, pageUrl)
+      })),
+      ...GUESSES
+        .filter(guess => {
+          const counts = stats.get(guess.name);
+          return !counts || counts.hits > 0 || counts.misses < GIVE_UP_AFTER;
+        })
+        .map(guess => ({ pattern: guess.name, url: guess.build(ctx) }))
+    ];
+
+    // What worked last time on this host goes first
+    const preferred = this.preferred.get(hostname);
+    if (preferred) {
+      patterns.sort((a, b) => (b.pattern === preferred) - (a.pattern === preferred));
+    }
+
+    const seen = new Set([pageUrl, ctx.url]);
+    return patterns.filter(candidate => {
+      if (!candidate.url || seen.has(candidate.url)) return false;
+      seen.add(candidate.url);
+      return true;
+    });
+  }
+
+  record(hostname, pattern, found) {
+    if (!this.stats.has(hostname)) this.stats.set(hostname, new Map());
+    const stats = this.stats.get(hostname);
+    const counts = stats.get(pattern) || { hits: 0, misses: 0 };
+    counts[found ? 'hits' : 'misses']++;
+    stats.set(pattern, counts);
+  }
+
+  async probe(url) {
+    if (!this.probes.has(url)) {
+      this.probes.set(url, this.check(url));
+    }
+    return this.probes.get(url);
+  }
+
+  // A HEAD with a markdown or plain-text type is enough. Anything vaguer (no
+  // type, octet-stream) needs a look at the first bytes of the body. Probes
+  // aren't retried: most candidates don't exist, and a miss only means HTML conversion
+  async check(url) {
+    let response;
+    try {
+      response = await this.http.head(url, { retry: false });
+    } catch (error) {
+      const status = error.response?.status;
+      if (status !== 405 && status !== 501) return false;
+    }
+
+    if (response) {
+      const contentType = (response.headers['content-type'] || '').toLowerCase();
+      if (contentType.includes('text/html')) return false;
+      if (MARKDOWN_TYPES.test(contentType)) return true;
+    }
+
+    try {
+      const sample = await this.http.get(url, {
+        responseType: 'text',
+        retry: false,
+        headers: { 'Range': 'bytes=0-2047' }
+      });
+      const content = String(sample.data);
+      const contentType = (sample.headers['content-type'] || '').toLowerCase();
+      return !looksLikeHtml(content, contentType) && isLikelyMarkdown(content.trim());
+    } catch (error) {
+      return false;
+    }
+  }
+}
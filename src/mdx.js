@@ -0,0 +1,328 @@
+import { splitCode } from './link-rewriter.js';
+import { ADMONITION_TYPES } from './markdown-converter.js';
+
+// Turning MDX and generator-flavored markdown sources (Docusaurus, MkDocs,
+// VitePress, GitBook) into plain GitHub-flavored markdown: ESM imports and
+// exports go, JSX components are unwrapped, admonitions become callouts
+// and simple includes are expanded.
+
+const MAX_INCLUDE_DEPTH = 5;
+const MAX_STATEMENT_LINES = 50;
+
+const FENCE = /^(\s*)(`{3,}|~{3,})/;
+const IMPORT_START = /^import\s+(?:type\s+)?(?:[\w$*{},\s]+\s+from\s+)?['"]|^import\s+(?:type\s+)?\{[^}]*$/;
+const EXPORT_START = /^export\s+(?:const|let|var|function|async|class|default|\{)/;
+const COMPONENT_NAME = '[A-Z][\\w.]*';
+// Attribute values may be quoted strings or {expressions} with one level of nesting
+const ATTRIBUTES = '(?:[^<>{}"\']|"[^"]*"|\'[^\']*\'|\\{(?:[^{}]|\\{[^{}]*\\})*\\})*';
+const TAG_LINE = new RegExp(`^\\s*<(/?)(${COMPONENT_NAME})(${ATTRIBUTES}?)(/?)>\\s*$`);
+const INCLUDE_LINE = /^\s*(?:--8<--\s+|\{%\s*include(?:-markdown)?\s+)(["'])([^"']+)\1\s*(?:%\})?\s*$/;
+
+// YAML front matter as flat key/value pairs: enough for title, slug, id and draft
+export function parseFrontMatter(source) {
+  const match = source.match(/^---\r?\n([\s\S]*?)\r?\n---[ \t]*(?:\r?\n|$)/);
+  if (!match) return { data: {}, body: source };
+
+  const data = {};
+  for (const line of match[1].split(/\r?\n/)) {
+    const pair = line.match(/^([\w-]+):\s*(.*?)\s*$/);
+    if (!pair || !pair[2]) continue;
+    let value = pair[2].replace(/\s+#.*$/, '');
+    if (/^(["']).*\1$/.test(value)) value = value.slice(1, -1);
+    data[pair[1]] = value === 'true' ? true : value === 'false' ? false : value;
+  }
+  return { data, body: source.slice(match[0].length) };
+}
+
+function attribute(attributes, name) {
+  const match = attributes.match(new RegExp(`\\b${name}=(?:"([^"]*)"|'([^']*)'|\\{["'\`]([^"'\`]*)["'\`]\\})`));
+  return match ? match[1] ?? match[2] ?? match[3] : null;
+}
+
+function isFenceClose(line, fence) {
+  const match = line.match(FENCE);
+  return match && match[2][0] === fence[0] && match[2].length >= fence.length && line.trim() === match[2];
+}
+
+// Call fn(line) for every line outside fenced code; fn returns the replacement
+// line(s), or null to drop it
+function mapProseLines(source, fn) {
+  const output = [];
+  let fence = null;
+  for (const line of source.split('\n')) {
+    if (fence) {
+      if (isFenceClose(line, fence)) fence = null;
+      output.push(line);
+      continue;
+    }
+    const opening = line.match(FENCE);
+    if (opening) {
+      fence = opening[2];
+      output.push(line);
+      continue;
+    }
+    const replaced = fn(line);
+    if (replaced !== null) output.push(replaced);
+  }
+  return output.join('\n');
+}
+
+function bracketDepth(text) {
+  const stripped = text.replace(/(["'`])(?:\\.|(?!\1)[^\\])*\1/g, '');
+  return (stripped.match(/[({[]/g) || []).length - (stripped.match(/[)}\]]/g) || []).length;
+}
+
+function isComplete(statement) {
+  if (bracketDepth(statement) > 0) return false;
+  if (statement.startsWith('import')) return /['"]\s*;?\s*$/.test(statement);
+  return !/[=,(]\s*$/.test(statement);
+}
+
+// Drop top-level import/export statements, remembering default imports of
+// .md/.mdx files so <Partial /> can be expanded
+function stripEsm(source, includes) {
+  let statement = null;
+
+  const result = mapProseLines(source, line => {
+    if (statement === null) {
+      if (!IMPORT_START.test(line) && !EXPORT_START.test(line)) return line;
+      statement = [];
+    }
+
+    statement.push(line);
+    const text = statement.join('\n');
+    if (isComplete(text)) {
+      const specifier = text.match(/^import\s+([\w$]+)\s*(?:,[\s\S]*?)?\s+from\s+['"]([^'"]+\.mdx?)['"]/);
+      if (specifier) includes.set(specifier[1], specifier[2]);
+      statement = null;
+    } else if (statement.length > MAX_STATEMENT_LINES) {
+      // Not a statement after all; give the lines back
+      statement = null;
+      return text;
+    }
+    return null;
+  });
+
+  return statement !== null ? `${result}\n${statement.join('\n')}` : result;
+}
+
+// Component tags on their own lines: unwrap the children and remove the
+// indentation JSX nesting added, so nested content isn't read as indented code
+function unwrapComponents(source, { includes, expand }) {
+  const output = [];
+  const stack = [];
+  let fence = null;
+  let tag = null;
+
+  const dedent = line => {
+    const top = stack[stack.length - 1];
+    if (!top || !line.trim()) return line;
+    if (top.indent === null) top.indent = line.match(/^\s*/)[0].length;
+    const indent = line.match(/^\s*/)[0].length;
+    return line.slice(Math.min(indent, top.indent));
+  };
+
+  const handleTag = ([, closing, name, attributes, selfClosing]) => {
+    if (closing) {
+      const index = stack.map(entry => entry.name).lastIndexOf(name);
+      if (index !== -1) stack.length = index;
+      if (name === 'Admonition') output.push(':::');
+      return;
+    }
+    if (selfClosing) {
+      if (includes.has(name)) output.push(expand(includes.get(name)));
+      return;
+    }
+
+    if (name === 'Admonition') {
+      const title = attribute(attributes, 'title');
+      output.push(`:::${attribute(attributes, 'type') || 'note'}${title ? ` ${title}` : ''}`);
+    } else {
+      const label = attribute(attributes, 'label') || attribute(attributes, 'title');
+      if (label) output.push('', `**${label}**`, '');
+    }
+    stack.push({ name, indent: null });
+  };
+
+  for (const line of source.split('\n')) {
+    if (fence) {
+      if (isFenceClose(line.trim(), fence)) fence = null;
+      output.push(dedent(line));
+      continue;
+    }
+
+    // Opening tags with attributes spread over several lines
+    if (tag !== null) {
+      tag += ` ${line.trim()}`;
+      const match = tag.match(TAG_LINE);
+      if (match) {
+        handleTag(match);
+        tag = null;
+      } else if (/>\s*$/.test(line)) {
+        output.push(tag);
+        tag = null;
+      }
+      continue;
+    }
+
+    const opening = line.match(FENCE);
+    if (opening) {
+      fence = opening[2];
+      output.push(dedent(line));
+      continue;
+    }
+
+    const match = line.match(TAG_LINE);
+    if (match) {
+      handleTag(match);
+    } else if (new RegExp(`^\\s*<${COMPONENT_NAME}\\b[^>]*$`).test(line)) {
+      tag = line.trim();
+    } else {
+      output.push(dedent(line));
+    }
+  }
+  if (tag !== null) output.push(tag);
+  return output.join('\n');
+}
+
+// Components used inline, in the middle of a paragraph
+function stripInlineJsx(source, { includes, expand }) {
+  const selfClosing = new RegExp(`<(${COMPONENT_NAME})${ATTRIBUTES}/>`, 'g');
+  const openOrClose = new RegExp(`</?${COMPONENT_NAME}${ATTRIBUTES}>|</?>`, 'g');
+
+  return splitCode(source).map(part => part.code ? part.text : part.text
+    .replace(/\{\/\*[\s\S]*?\*\/\}/g, '')
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(selfClosing, (match, name) => includes.has(name) ? expand(includes.get(name)) : '')
+    .replace(openOrClose, '')
+  ).join('');
+}
+
+function calloutType(name) {
+  return ADMONITION_TYPES[name.toLowerCase()] || 'NOTE';
+}
+
+function calloutHeader(name, title) {
+  const type = calloutType(name);
+  title = (title || '').replace(/^\[(.*)\]$/, '$1').replace(/^"(.*)"$/, '$1').trim();
+  const lines = [`> [!${type}]`];
+  if (title && title.toLowerCase() !== name.toLowerCase() && title.toUpperCase() !== type) {
+    lines.push(`> **${title}**`);
+  }
+  return lines;
+}
+
+// ":::note Title" blocks (Docusaurus, VitePress) and "!!! note" blocks (MkDocs)
+// to GitHub callouts, quoting everything inside including code
+function convertAdmonitions(source) {
+  const output = [];
+  const stack = [];
+  let fence = null;
+  let indented = null;
+
+  const quote = line => stack.length === 0 ? line : `${'> '.repeat(stack.length)}${line}`.replace(/\s+$/, '');
+  const close = () => {
+    stack.pop();
+    while (output.length > 0 && /^[> ]*>$/.test(output[output.length - 1])) output.pop();
+    output.push(quote(''));
+  };
+
+  for (const rawLine of source.split('\n')) {
+    let line = rawLine;
+
+    // MkDocs admonition bodies are indented by four spaces
+    if (indented) {
+      if (line.trim() && !line.startsWith('    ') && !line.startsWith('\t')) {
+        close();
+        indented = null;
+      } else {
+        line = line.replace(/^( {4}|\t)/, '');
+      }
+    }
+
+    if (fence) {
+      if (isFenceClose(line.trim(), fence)) fence = null;
+      output.push(quote(line));
+      continue;
+    }
+    const opening = line.match(FENCE);
+    if (opening) {
+      fence = opening[2];
+      output.push(quote(line));
+      continue;
+    }
+
+    const colon = line.match(/^\s*(:{3,})\s*([A-Za-z]+)(.*)$/);
+    if (colon) {
+      output.push(...calloutHeader(colon[2], colon[3]).map(quote));
+      stack.push(colon[1].length);
+      continue;
+    }
+    if (/^\s*:{3,}\s*$/.test(line) && stack.length > 0 && !indented) {
+      close();
+      continue;
+    }
+    const bang = !indented && line.match(/^(?:!!!|\?\?\?\+?)\s+([A-Za-z]+)(.*)$/);
+    if (bang) {
+      output.push(...calloutHeader(bang[1], bang[2].trim()).map(quote));
+      stack.push(0);
+      indented = true;
+      continue;
+    }
+
+    output.push(quote(line));
+  }
+  return output.join('\n');
+}
+
+// MkDocs snippets (--8<-- "file") and Jinja-style {% include "file" %} lines.
+// Snippets also work inside code blocks, where the file is inserted as-is.
+function expandIncludeLines(source, expand, expandRaw) {
+  const output = [];
+  let fence = null;
+  for (const line of source.split('\n')) {
+    const include = line.match(INCLUDE_LINE);
+    if (fence) {
+      if (isFenceClose(line.trim(), fence)) fence = null;
+      output.push(include && line.includes('--8<--') ? expandRaw(include[2]) : line);
+      continue;
+    }
+    const opening = line.match(FENCE);
+    if (opening) fence = opening[2];
+    output.push(!opening && include ? expand(include[2]) : line);
+  }
+  return output.join('\n');
+}
+
+// readInclude(target, fromFile) returns { filePath, text } or null when the
+// file doesn't exist in the repository
+export function cleanMdx(source, { filePath, readInclude = () => null, onMissingInclude = () => {}, depth = 0 } = {}) {
+  const includes = new Map();
+
+  const read = target => {
+    const file = depth < MAX_INCLUDE_DEPTH ? readInclude(target, filePath) : null;
+    if (!file) onMissingInclude(target, filePath);
+    return file;
+  };
+  const expand = target => {
+    const file = read(target);
+    if (!file) return '';
+    const { body } = parseFrontMatter(file.text);
+    return cleanMdx(body, { filePath: file.filePath, readInclude, onMissingInclude, depth: depth + 1 }).trim();
+  };
+  const expandRaw = target => {
+    const file = read(target);
+    return file ? file.text.replace(/\n$/, '') : '';
+  };
+
+  let markdown = stripEsm(source.replace(/\r\n/g, '\n'), includes);
+  markdown = expandIncludeLines(markdown, expand, expandRaw);
+  markdown = unwrapComponents(markdown, { includes, expand });
+  markdown = stripInlineJsx(markdown, { includes, expand });
+  markdown = convertAdmonitions(markdown);
+
+  return markdown
+    .replace(/[ \t]+$/gm, '')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim() + '\n';
+}
@@ -0,0 +1,265 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { URL } from 'url';
+import { mapLinks } from './link-rewriter.js';
+import { splitFrontMatter, slugify } from './bundles.js';
+import { urlKey } from './url-normalizer.js';
+
+// How saved files are arranged:
+//   url - one file per URL path (guide/setup.html -> guide/setup.html.md)
+//   nav - folders follow the sections of the site's sidebar
+export const LAYOUTS = ['url', 'nav'];
+
+// How the nav layout keeps the sidebar's reading order:
+//   summary - a SUMMARY.md in every folder listing its pages in order
+//   prefix  - numbered file and folder names (01-intro.md, 02-guide/)
+export const NAV_ORDERS = ['summary', 'prefix'];
+
+export const LAYOUT_FILE = '_layout.json';
+
+// Used when neither the site config nor the detected framework knows the sidebar
+const GENERIC_NAV_SELECTORS = [
+  'nav[aria-label*="sidebar" i]',
+  'nav[aria-label*="docs" i]',
+  'aside nav',
+  'nav[class*="sidebar" i]',
+  '[class*="sidebar" i] nav',
+  '#sidebar',
+  '[class*="sidebar" i]',
+  'aside'
+];
+
+const clean = text => (text || '').replace(/\s+/g, ' ').trim();
+
+function resolveHref(href, pageUrl) {
+  // Collapsible categories often link to "#" or run a script
+  if (!href || href.startsWith('#') || /^javascript:/i.test(href)) return null;
+  try {
+    const url = new URL(href, pageUrl);
+    url.hash = '';
+    return /^https?:$/.test(url.protocol) ? url.href : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+function findNavRoot($, selectors) {
+  for (const selector of selectors) {
+    let matches;
+    try {
+      matches = $(selector);
+    } catch (error) {
+      continue;
+    }
+    const root = matches.filter((_, el) => $(el).find('a[href]').length >= 2).first();
+    if (root.length > 0) return root;
+  }
+  return null;
+}
+
+function parseItem($, $li, pageUrl) {
+  const sub = $li.find('ul, ol').first();
+  const outsideSub = (_, el) => sub.length === 0 || !$.contains(sub[0], el);
+  const link = $li.find('a[href]').filter(outsideSub).first();
+
+  let title = clean(link.text());
+  if (!title) {
+    // Section labels without a link (MkDocs <label>, Docusaurus <button>)
+    const heading = $li.children().filter((_, el) => !$(el).is('ul, ol') && clean($(el).text())).first().clone();
+    heading.find('ul, ol').remove();
+    title = clean(heading.text());
+  }
+
+  const url = link.length > 0 ? resolveHref(link.attr('href'), pageUrl) : null;
+  const children = sub.length > 0 ? parseList($, sub, pageUrl) : [];
+  if (!title && !url && children.length === 0) return null;
+  return { title, url, children };
+}
+
+function parseList($, $list, pageUrl) {
+  return $list.children('li').map((_, li) => parseItem($, $(li), pageUrl)).get().filter(Boolean);
+}
+
+// The sidebar as a tree of { title, url, children }. url is null for section
+// headings without a page of their own
+export function parseNav($, pageUrl, selectors = []) {
+  const root = findNavRoot($, [...selectors, ...GENERIC_NAV_SELECTORS]);
+  if (!root) return [];
+
+  const lists = root.is('ul, ol')
+    ? [root[0]]
+    : root.find('ul, ol').filter((_, el) => $(el).parentsUntil(root, 'ul, ol').length === 0).get();
+
+  if (lists.length === 0) {
+    return root.find('a[href]').map((_, a) => {
+      const url = resolveHref($(a).attr('href'), pageUrl);
+      return url ? { title: clean($(a).text()), url, children: [] } : null;
+    }).get().filter(Boolean);
+  }
+
+  const items = [];
+  for (const list of lists) {
+    const children = parseList($, $(list), pageUrl);
+    // Sphinx and others put section captions right before each top-level list
+    const caption = $(list).prev('p, h2, h3, h4, h5, h6, .caption, [class*="title" i]');
+    if (caption.length > 0 && clean(caption.text()) && lists.length > 1) {
+      items.push({ title: clean(caption.text()), url: null, children });
+    } else {
+      items.push(...children);
+    }
+  }
+  return items;
+}
+
+function sameItem(a, b) {
+  if (a.url && b.url) {
+    try {
+      return urlKey(a.url) === urlKey(b.url);
+    } catch (error) {
+      return false;
+    }
+  }
+  // A section can show up with its own page on some pages and as a plain label on others
+  return a.title.toLowerCase() === b.title.toLowerCase();
+}
+
+function mergeInto(target, items) {
+  let position = 0;
+  for (const item of items) {
+    const index = target.findIndex(existing => sameItem(existing, item));
+    if (index === -1) {
+      target.splice(position, 0, { title: item.title, url: item.url, children: [] });
+      mergeInto(target[position].children, item.children);
+      position++;
+    } else {
+      const existing = target[index];
+      if (!existing.url && item.url) existing.url = item.url;
+      if (!existing.title && item.title) existing.title = item.title;
+      mergeInto(existing.children, item.children);
+      position = index + 1;
+    }
+  }
+}
+
+// Sidebars often only expand the section of the current page, so the full tree
+// is pieced together from every page's sidebar
+export class NavTree {
+  constructor() {
+    this.items = [];
+  }
+
+  add(items) {
+    mergeInto(this.items, items);
+  }
+
+  // Page URLs in reading order
+  urls(items = this.items) {
+    return items.flatMap(item => [...(item.url ? [item.url] : []), ...this.urls(item.children)]);
+  }
+}
+
+function fileBase(url) {
+  const segments = new URL(url).pathname.split('/').filter(Boolean);
+  let last = segments.pop();
+  if (!last) return 'index';
+  try {
+    last = decodeURIComponent(last);
+  } catch (error) {
+    // A stray "%" is kept as written
+  }
+  return last.replace(/\.(md|mdx|html?|php|aspx?)$/i, '') || 'index';
+}
+
+// Where each saved page goes in the nav layout. findPage(url) returns the saved
+// page ({ pageUrl }) for a nav link or null; urlPath(pageUrl) is the page's path in
+// the url layout, used for pages the sidebar doesn't list. homeUrl (the start page)
+// becomes index.md wherever the sidebar puts it.
+// Returns { paths: Map of pageUrl to path relative to the site folder, summaries: [{ path, content }] }
+export function planNavLayout(items, pages, { findPage, urlPath, navOrder = 'summary', title, homeUrl }) {
+  const paths = new Map();
+  const used = new Set();
+  const summaries = [];
+
+  const claim = relative => {
+    const extension = relative.endsWith('/') ? '/' : '.md';
+    const stem = relative.slice(0, -extension.length);
+    let candidate = relative;
+    for (let i = 2; used.has(candidate.toLowerCase()); i++) {
+      candidate = `${stem}-${i}${extension}`;
+    }
+    used.add(candidate.toLowerCase());
+    return candidate;
+  };
+
+  const pageFor = item => {
+    const page = item.url ? findPage(item.url) : null;
+    return page && !paths.has(page.pageUrl) ? page : null;
+  };
+  const hasPages = item => Boolean(item.url && findPage(item.url)) || item.children.some(hasPages);
+
+  const walk = (entries, dir, heading, indexPath = null) => {
+    if (navOrder === 'summary') used.add(`${dir}summary.md`);
+    const listed = indexPath ? [{ title: heading, link: indexPath }] : [];
+    let number = 0;
+
+    for (const item of entries) {
+      const prefix = () => navOrder === 'prefix' ? `${String(++number).padStart(2, '0')}-` : '';
+      const page = pageFor(item);
+
+      if (item.children.length > 0 && item.children.some(hasPages)) {
+        const folder = claim(`${dir}${prefix()}${slugify(item.title || (item.url ? fileBase(item.url) : 'section'))}/`);
+        if (page) paths.set(page.pageUrl, claim(`${folder}index.md`));
+        walk(item.children, folder, item.title, page ? paths.get(page.pageUrl) : null);
+        listed.push({ title: item.title, link: navOrder === 'summary' ? `${folder}SUMMARY.md` : page ? paths.get(page.pageUrl) : null });
+      } else if (page) {
+        const name = homeUrl && urlKey(page.pageUrl) === urlKey(homeUrl) ? 'index' : slugify(fileBase(page.pageUrl));
+        paths.set(page.pageUrl, claim(`${dir}${prefix()}${name}.md`));
+        listed.push({ title: item.title, link: paths.get(page.pageUrl) });
+      } else if (item.url && !findPage(item.url)) {
+        // Not downloaded (another site, or out of scope): keep the live link
+        listed.push({ title: item.title, link: item.url, external: true });
+      }
+    }
+
+    if (navOrder === 'summary' && listed.length > 0) {
+      const lines = listed.map(entry => {
+        if (!entry.link) return `- ${entry.title}`;
+        const target = entry.external ? entry.link : encodeURI(path.posix.relative(dir || '.', entry.link));
+        return `- [${entry.title || entry.link}](${target})`;
+      });
+      summaries.push({ path: `${dir}SUMMARY.md`, content: `# ${heading}\n\n${lines.join('\n')}\n` });
+    }
+  };
+
+  walk(items, '', title);
+
+  // Pages the sidebar doesn't list keep their URL path
+  for (const page of pages) {
+    if (!paths.has(page.pageUrl)) paths.set(page.pageUrl, claim(urlPath(page.pageUrl)));
+  }
+  return { paths, summaries };
+}
+
+// Links to local files in a saved page, after it moved from oldPath to newPath
+// and the files it links to moved as listed in moves (absolute old path -> new path).
+// Relative links to the live site that weren't rewritten yet are left alone
+export function relocateLinks(content, oldPath, newPath, moves) {
+  const { frontMatter, body } = splitFrontMatter(content);
+  const fromDir = path.dirname(oldPath);
+  const toDir = path.dirname(newPath);
+
+  return frontMatter + mapLinks(body, target => {
+    if (!target || /^[a-z][a-z0-9+.-]*:|^\/\/|^[#/]/i.test(target)) return target;
+    const [, filePart, suffix = ''] = target.match(/^([^#?]*)(.*)$/);
+    let resolved;
+    try {
+      resolved = path.resolve(fromDir, decodeURI(filePart));
+    } catch (error) {
+      return target;
+    }
+    if (!moves.has(resolved) && !fs.pathExistsSync(resolved)) return target;
+    const moved = moves.get(resolved) || resolved;
+    if (moved === resolved && fromDir === toDir) return target;
+    return encodeURI(path.relative(toDir, moved).split(path.sep).join('/')) + suffix;
+  });
+}
@@ -0,0 +1,84 @@
+import { URL } from 'url';
+import { getHostConfig } from './site-config.js';
+
+const DEFAULT_RATE_LIMIT = {
+  requestsPerSecond: 2,
+  burst: 2
+};
+
+export class TokenBucket {
+  constructor(options = {}) {
+    this.rate = Number(options.requestsPerSecond) || 0;
+    this.capacity = Math.max(1, Number(options.burst) || 1);
+    this.tokens = this.capacity;
+    this.lastRefill = Date.now();
+    // Chain of pending takers so requests are served in arrival order
+    this.tail = Promise.resolve();
+  }
+
+  refill() {
+    const now = Date.now();
+    const elapsed = (now - this.lastRefill) / 1000;
+    this.tokens = Math.min(this.capacity, this.tokens + elapsed * this.rate);
+    this.lastRefill = now;
+  }
+
+  take() {
+    // A rate of 0 means unlimited
+    if (!this.rate) return Promise.resolve();
+
+    const turn = this.tail.then(() => this.waitForToken());
+    this.tail = turn.catch(() => {});
+    return turn;
+  }
+
+  async waitForToken() {
+    for (;;) {
+      this.refill();
+      if (this.tokens >= 1) {
+        this.tokens -= 1;
+        return;
+      }
+      const waitMs = Math.ceil(((1 - this.tokens) / this.rate) * 1000);
+      await new Promise(resolve => setTimeout(resolve, waitMs));
+    }
+  }
+}
+
+export class RateLimiter {
+  constructor(defaults = {}, siteConfig = {}) {
+    this.defaults = { ...DEFAULT_RATE_LIMIT, ...defaults };
+    this.siteConfig = siteConfig;
+    this.buckets = new Map();
+  }
+
+  bucketFor(hostname) {
+    if (!this.buckets.has(hostname)) {
+      const hostLimits = getHostConfig(this.siteConfig, hostname).rateLimit || {};
+      this.buckets.set(hostname, new TokenBucket({ ...this.defaults, ...hostLimits }));
+    }
+    return this.buckets.get(hostname);
+  }
+
+  // Wait until a request to the given URL's host is allowed
+  async acquire(url) {
+    const hostname = new URL(url).hostname;
+    await this.bucketFor(hostname).take();
+  }
+
+  // Slow a host down to one request per crawl-delay, unless it is already slower
+  setCrawlDelay(hostname, seconds) {
+    const bucket = this.bucketFor(hostname);
+    const rate = seconds > 0 ? 1 / seconds : 0;
+    if (!rate) return;
+    if (!bucket.rate || rate < bucket.rate) {
+      bucket.rate = rate;
+    }
+    bucket.capacity = 1;
+    bucket.tokens = Math.min(bucket.tokens, 1);
+  }
+
+  reset() {
+    this.buckets.clear();
+  }
+}
@@ -0,0 +1,136 @@
+// Headless Chromium rendering for docs sites that build their pages with
+// JavaScript. Playwright or Puppeteer is loaded on first use, so neither is
+// needed unless --render (or "render" in the config) is used.
+
+export const WAIT_UNTIL = ['networkidle', 'load', 'domcontentloaded'];
+
+const BLOCKED_RESOURCES = new Set(['image', 'media', 'font']);
+
+const PUPPETEER_WAIT_UNTIL = {
+  networkidle: 'networkidle0',
+  load: 'load',
+  domcontentloaded: 'domcontentloaded'
+};
+
+async function importOptional(name) {
+  try {
+    return await import(name);
+  } catch (error) {
+    if (error.code === 'ERR_MODULE_NOT_FOUND' || error.code === 'MODULE_NOT_FOUND') return null;
+    throw error;
+  }
+}
+
+export class PageRenderer {
+  constructor({ userAgent, timeout = 30000, proxy = null, insecure = false } = {}) {
+    this.userAgent = userAgent;
+    this.timeout = timeout;
+    // { server, bypass } with bypass in NO_PROXY format
+    this.proxy = proxy;
+    this.insecure = insecure;
+    this.engine = null;
+    this.browser = null;
+    this.context = null;
+    this.launching = null;
+  }
+
+  // Prefer Playwright, fall back to Puppeteer
+  async launch() {
+    const playwright = await importOptional('playwright');
+    if (playwright) {
+      this.engine = 'playwright';
+      this.browser = await playwright.chromium.launch({
+        headless: true,
+        ...(this.proxy ? { proxy: { server: this.proxy.server, bypass: this.proxy.bypass || undefined } } : {})
+      });
+      this.context = await this.browser.newContext({ userAgent: this.userAgent, ignoreHTTPSErrors: this.insecure });
+      return;
+    }
+
+    const puppeteer = await importOptional('puppeteer');
+    if (puppeteer) {
+      this.engine = 'puppeteer';
+      const args = this.proxy ? [`--proxy-server=${this.proxy.server}`] : [];
+      if (this.proxy?.bypass) args.push(`--proxy-bypass-list=${this.proxy.bypass.split(/[\s,]+/).filter(Boolean).join(';')}`);
+      this.browser = await (puppeteer.default || puppeteer).launch({ headless: true, args, acceptInsecureCerts: this.insecure });
+      return;
+    }
+
+    throw new Error('Rendering needs Playwright or Puppeteer: run "npm install playwright && npx playwright install chromium"');
+  }
+
+  async ensureBrowser() {
+    // Pages are rendered concurrently; only the first caller launches the browser
+    if (!this.launching) {
+      this.launching = this.launch().catch(error => {
+        this.launching = null;
+        throw error;
+      });
+    }
+    await this.launching;
+  }
+
+  // Load a page, wait for it to settle and return its DOM in the same shape as
+  // an axios response, so extraction and link discovery don't need to care.
+  // headersFor(url) adds credentials per request, so they only go to the hosts they belong to.
+  async render(url, { waitForSelector, waitUntil = 'networkidle', timeout = this.timeout, headersFor } = {}) {
+    await this.ensureBrowser();
+
+    const extraHeaders = async requestUrl => headersFor ? headersFor(requestUrl).catch(() => ({})) : {};
+    const page = this.engine === 'playwright' ? await this.context.newPage() : await this.browser.newPage();
+    try {
+      // Images, media and fonts don't change the DOM we extract from
+      if (this.engine === 'playwright') {
+        await page.route('**/*', async route => {
+          const request = route.request();
+          if (BLOCKED_RESOURCES.has(request.resourceType())) return route.abort();
+          const headers = await extraHeaders(request.url());
+          return Object.keys(headers).length > 0
+            ? route.continue({ headers: { ...request.headers(), ...headers } })
+            : route.continue();
+        });
+      } else {
+        if (this.userAgent) await page.setUserAgent(this.userAgent);
+        await page.setRequestInterception(true);
+        page.on('request', async request => {
+          if (BLOCKED_RESOURCES.has(request.resourceType())) return request.abort();
+          const headers = await extraHeaders(request.url());
+          return request.continue(Object.keys(headers).length > 0 ? { headers: { ...request.headers(), ...headers } } : {});
+        });
+      }
+
+      const response = await page.goto(url, {
+        waitUntil: this.engine === 'playwright' ? waitUntil : PUPPETEER_WAIT_UNTIL[waitUntil],
+        timeout
+      });
+
+      if (waitForSelector) {
+        await page.waitForSelector(waitForSelector, { timeout });
+      }
+
+      const status = response ? response.status() : 200;
+      if (status >= 400) {
+        const error = new Error(`Request failed with status code ${status}`);
+        error.response = { status };
+        throw error;
+      }
+
+      return {
+        status,
+        headers: response ? response.headers() : {},
+        data: await page.content(),
+        url: page.url()
+      };
+    } finally {
+      await page.close().catch(() => {});
+    }
+  }
+
+  async close() {
+    const browser = this.browser;
+    this.browser = null;
+    this.context = null;
+    this.launching = null;
+    if (browser) await browser.close().catch(() => {});
+  }
+}
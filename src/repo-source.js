@@ -0,0 +1,223 @@
+import { execFile } from 'child_process';
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import { URL } from 'url';
+import { promisify } from 'util';
+import { mapLinks } from './link-rewriter.js';
+import { cleanMdx, parseFrontMatter } from './mdx.js';
+
+const execFileAsync = promisify(execFile);
+
+// How the docs site turns a file path into a URL:
+//   clean - guide/setup.md -> guide/setup, guide/index.md -> guide
+//   slash - guide/setup.md -> guide/setup/, guide/index.md -> guide/
+//   html  - guide/setup.md -> guide/setup.html, guide/index.md -> guide/index.html
+export const URL_STYLES = ['clean', 'slash', 'html'];
+
+const DOC_EXTENSIONS = /\.(md|mdx|markdown)$/i;
+const INDEX_NAMES = /^(index|readme)$/i;
+const GIT_TIMEOUT = 5 * 60 * 1000;
+
+async function git(args, cwd) {
+  const { stdout } = await execFileAsync('git', args, {
+    cwd,
+    timeout: GIT_TIMEOUT,
+    maxBuffer: 16 * 1024 * 1024,
+    // Fail instead of waiting for a password on private repositories
+    env: { ...process.env, GIT_TERMINAL_PROMPT: '0' }
+  });
+  return stdout.trim();
+}
+
+function isRemote(repo) {
+  return /^(https?|ssh|git|file):\/\//.test(repo) || /^[\w.-]+@[\w.-]+:/.test(repo);
+}
+
+// Raw file URL prefix for repositories hosted on GitHub or GitLab, so images and
+// other files the docs link to still resolve once the pages are copied out
+export function rawBaseUrl(remote, commit) {
+  const match = remote.match(/^(?:https?:\/\/|git@|ssh:\/\/git@)(github\.com|gitlab\.com)[/:](.+?)(?:\.git)?\/?$/);
+  if (!match) return null;
+  return match[1] === 'github.com'
+    ? `https://raw.githubusercontent.com/${match[2]}/${commit}/`
+    : `https://gitlab.com/${match[2]}/-/raw/${commit}/`;
+}
+
+// Path of a docs file relative to the published base URL
+export function publishedPath(relPath, frontMatter = {}, urlStyle = 'clean') {
+  const segments = relPath.split('/');
+  let name = segments.pop().replace(DOC_EXTENSIONS, '');
+
+  if (typeof frontMatter.slug === 'string' && frontMatter.slug.trim()) {
+    // Docusaurus: absolute slugs start at the docs root, relative ones replace the file name
+    const slug = frontMatter.slug.trim();
+    const parts = (slug.startsWith('/') ? slug : [...segments, slug].join('/')).split('/').filter(Boolean);
+    if (parts.length === 0 || slug.endsWith('/')) return withStyle(parts, true, urlStyle);
+    return withStyle(parts, false, urlStyle);
+  }
+
+  if (typeof frontMatter.id === 'string' && frontMatter.id.trim()) name = frontMatter.id.trim();
+  return INDEX_NAMES.test(name)
+    ? withStyle(segments, true, urlStyle)
+    : withStyle([...segments, name], false, urlStyle);
+}
+
+function withStyle(parts, isIndex, urlStyle) {
+  const joined = parts.map(encodeURIComponent).join('/');
+  if (urlStyle === 'html') return joined ? `${joined}${isIndex ? '/index' : ''}.html` : 'index.html';
+  if (urlStyle === 'slash') return joined ? `${joined}/` : '';
+  return joined;
+}
+
+// Markdown sources from a Git repository (or a local clone), mapped to the URLs
+// they are published at
+export class RepoSource {
+  constructor({ repo, ref, docsDir = 'docs', baseUrl, urlStyle = 'clean', logger }) {
+    this.repo = repo;
+    this.ref = ref;
+    this.docsDir = docsDir;
+    this.baseUrl = new URL(baseUrl.endsWith('/') ? baseUrl : `${baseUrl}/`);
+    this.urlStyle = urlStyle;
+    this.logger = logger;
+    this.root = null;
+    this.tempDir = null;
+    this.rawBase = null;
+  }
+
+  // Shallow-fetch the ref into a temporary directory. Local clones are read in
+  // place unless a ref is given
+  async open() {
+    const local = !isRemote(this.repo);
+    if (local && !(await fs.pathExists(this.repo))) {
+      throw new Error(`Repository path ${this.repo} does not exist`);
+    }
+
+    if (local && !this.ref) {
+      this.root = path.resolve(this.repo);
+    } else {
+      this.tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'docs-downloader-repo-'));
+      this.root = this.tempDir;
+      const source = local ? path.resolve(this.repo) : this.repo;
+      this.logger.info(`📥 Fetching ${this.ref || 'default branch'} of ${source}`);
+      try {
+        await git(['init', '-q'], this.root);
+        await git(['fetch', '-q', '--depth', '1', '--no-tags', source, this.ref || 'HEAD'], this.root);
+        await git(['checkout', '-q', 'FETCH_HEAD'], this.root);
+      } catch (error) {
+        await this.close();
+        throw new Error(`Could not fetch ${this.ref || 'default branch'} of ${source}: ${(error.stderr || error.message).trim()}`);
+      }
+    }
+
+    this.docsRoot = path.resolve(this.root, this.docsDir);
+    if (path.relative(this.root, this.docsRoot).startsWith('..') || !(await fs.pathExists(this.docsRoot))) {
+      await this.close();
+      throw new Error(`Docs directory "${this.docsDir}" not found in ${this.repo}`);
+    }
+
+    // Repos without a GitHub/GitLab remote keep relative links to non-doc files as they are
+    try {
+      const commit = await git(['rev-parse', 'HEAD'], this.root);
+      const remote = local ? await git(['remote', 'get-url', 'origin'], path.resolve(this.repo)) : this.repo;
+      this.rawBase = rawBaseUrl(remote, commit);
+    } catch (error) {
+      this.rawBase = null;
+    }
+  }
+
+  async close() {
+    if (this.tempDir) {
+      await fs.remove(this.tempDir);
+      this.tempDir = null;
+    }
+  }
+
+  async listFiles(dir = this.docsRoot) {
+    const files = [];
+    const entries = await fs.readdir(dir, { withFileTypes: true });
+    for (const entry of entries.sort((a, b) => a.name.localeCompare(b.name))) {
+      // Partials (_snippet.mdx), hidden folders and dependencies are not pages
+      if (entry.name.startsWith('_') || entry.name.startsWith('.') || entry.name === 'node_modules') continue;
+      const fullPath = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        files.push(...await this.listFiles(fullPath));
+      } else if (DOC_EXTENSIONS.test(entry.name)) {
+        files.push(fullPath);
+      }
+    }
+    return files;
+  }
+
+  // Includes resolve against the including file, then the docs folder, then the
+  // repository root, and never outside the repository
+  readInclude(target, fromFile) {
+    const cleanTarget = target.replace(/[#?].*$/, '');
+    for (const base of [path.dirname(fromFile), this.docsRoot, this.root]) {
+      const candidate = path.resolve(base, cleanTarget);
+      if (!candidate.startsWith(this.root + path.sep)) continue;
+      if (fs.pathExistsSync(candidate) && fs.statSync(candidate).isFile()) {
+        return { filePath: candidate, text: fs.readFileSync(candidate, 'utf-8') };
+      }
+    }
+    return null;
+  }
+
+  // Pages as { url, relPath, filePath, frontMatter, markdown }, with links between source
+  // files pointing at the published URLs
+  async documents() {
+    const files = await this.listFiles();
+    const pages = [];
+    for (const filePath of files) {
+      const source = await fs.readFile(filePath, 'utf-8');
+      const { data, body } = parseFrontMatter(source);
+      const relPath = path.relative(this.docsRoot, filePath).split(path.sep).join('/');
+      if (data.draft === true) {
+        this.logger.debug(`⏭️ Skipping draft: ${relPath}`);
+        continue;
+      }
+      const url = new URL(publishedPath(relPath, data, this.urlStyle), this.baseUrl).href;
+      pages.push({ url, relPath, filePath, frontMatter: data, body });
+    }
+
+    const byFile = new Map(pages.map(page => [page.filePath, page]));
+    return pages.map(page => {
+      let markdown = cleanMdx(page.body, {
+        filePath: page.filePath,
+        readInclude: (target, fromFile) => this.readInclude(target, fromFile),
+        onMissingInclude: (target, fromFile) => {
+          this.logger.warn(`⚠️ Include "${target}" in ${path.relative(this.root, fromFile)} not found`);
+        }
+      });
+
+      // Front matter titles are rendered as the page heading by most generators
+      if (page.frontMatter.title && !/^#\s/m.test(markdown)) {
+        markdown = `# ${page.frontMatter.title}\n\n${markdown}`;
+      }
+
+      markdown = mapLinks(markdown, target => this.rewriteLink(target, page.filePath, byFile));
+      return { url: page.url, relPath: page.relPath, filePath: page.filePath, frontMatter: page.frontMatter, markdown };
+    });
+  }
+
+  // Relative links to other docs become their published URLs; links to other
+  // repository files become raw URLs when the repo is on GitHub or GitLab
+  rewriteLink(target, fromFile, byFile) {
+    if (!target || /^[a-z][a-z0-9+.-]*:|^\/\/|^[#/]/i.test(target)) return target;
+
+    const [, filePart, suffix = ''] = target.match(/^([^#?]*)(.*)$/);
+    let resolved;
+    try {
+      resolved = path.resolve(path.dirname(fromFile), decodeURI(filePart));
+    } catch (error) {
+      return target;
+    }
+
+    const page = byFile.get(resolved);
+    if (page) return page.url + suffix.replace(/^\?[^#]*/, '');
+    if (!DOC_EXTENSIONS.test(resolved) && this.rawBase && resolved.startsWith(this.root + path.sep) && fs.pathExistsSync(resolved)) {
+      return this.rawBase + encodeURI(path.relative(this.root, resolved).split(path.sep).join('/'));
+    }
+    return target;
+  }
+}
@@ -0,0 +1,138 @@
+import { URL } from 'url';
+
+export class RobotsTxt {
+  constructor(groups = [], sitemaps = []) {
+    // Each group: { agents: ['*'], rules: [{ allow, pattern }], crawlDelay }
+    this.groups = groups;
+    this.sitemaps = sitemaps;
+  }
+
+  static allowAll() {
+    return new RobotsTxt();
+  }
+
+  static disallowAll() {
+    return new RobotsTxt([{ agents: ['*'], rules: [{ allow: false, pattern: '/' }], crawlDelay: null }]);
+  }
+
+  static parse(text) {
+    const groups = [];
+    const sitemaps = [];
+    let current = null;
+    let lastWasAgent = false;
+
+    for (const rawLine of String(text || '').split(/\r?\n/)) {
+      const line = rawLine.replace(/#.*$/, '').trim();
+      if (!line) continue;
+
+      const separator = line.indexOf(':');
+      if (separator === -1) continue;
+
+      const field = line.slice(0, separator).trim().toLowerCase();
+      const value = line.slice(separator + 1).trim();
+
+      if (field === 'user-agent') {
+        // Consecutive user-agent lines share the group that follows them
+        if (!lastWasAgent) {
+          current = { agents: [], rules: [], crawlDelay: null };
+          groups.push(current);
+        }
+        current.agents.push(value.toLowerCase());
+        lastWasAgent = true;
+        continue;
+      }
+
+      lastWasAgent = false;
+
+      if (field === 'sitemap') {
+        if (value) sitemaps.push(value);
+        continue;
+      }
+
+      if (!current) continue;
+
+      if (field === 'allow' || field === 'disallow') {
+        // An empty Disallow means everything is allowed, so it adds no rule
+        if (value) {
+          current.rules.push({ allow: field === 'allow', pattern: value });
+        }
+      } else if (field === 'crawl-delay') {
+        const delay = parseFloat(value);
+        if (!isNaN(delay) && delay >= 0) {
+          current.crawlDelay = delay;
+        }
+      }
+    }
+
+    return new RobotsTxt(groups, sitemaps);
+  }
+
+  // Merge every group naming the most specific agent token that matches ours,
+  // falling back to the "*" groups
+  groupFor(userAgent) {
+    const agent = userAgent.toLowerCase();
+    let bestToken = null;
+
+    for (const group of this.groups) {
+      for (const token of group.agents) {
+        if (token !== '*' && agent.includes(token) && (!bestToken || token.length > bestToken.length)) {
+          bestToken = token;
+        }
+      }
+    }
+
+    const wanted = bestToken || '*';
+    const matching = this.groups.filter(group => group.agents.includes(wanted));
+    const delays = matching.map(group => group.crawlDelay).filter(delay => delay !== null);
+
+    return {
+      rules: matching.flatMap(group => group.rules),
+      crawlDelay: delays.length > 0 ? Math.max(...delays) : null
+    };
+  }
+
+  isAllowed(url, userAgent) {
+    const urlObj = new URL(url);
+    const target = urlObj.pathname + urlObj.search;
+    const { rules } = this.groupFor(userAgent);
+
+    // Longest matching pattern wins, Allow wins ties
+    let best = null;
+    for (const rule of rules) {
+      if (!matchesRobotsPattern(rule.pattern, target)) continue;
+      if (!best ||
+          rule.pattern.length > best.pattern.length ||
+          (rule.pattern.length === best.pattern.length && rule.allow)) {
+        best = rule;
+      }
+    }
+
+    return best ? best.allow : true;
+  }
+
+  getCrawlDelay(userAgent) {
+    return this.groupFor(userAgent).crawlDelay;
+  }
+}
+
+function matchesRobotsPattern(pattern, target) {
+  const anchored = pattern.endsWith('$');
+  const body = anchored ? pattern.slice(0, -1) : pattern;
+  const source = body
+    .split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+
+  const regex = new RegExp('^' + source + (anchored ? '$' : ''));
+
+  // Match both the raw and the percent-decoded path, servers differ in which one robots.txt uses
+  return regex.test(target) || regex.test(safeDecode(target));
+}
+
+function safeDecode(value) {
+  try {
+    return decodeURI(value);
+  } catch (error) {
+    return value;
+  }
+}
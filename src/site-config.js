@@ -0,0 +1,265 @@
+import fs from 'fs-extra';
+import { BUILTIN_FRAMEWORKS } from './frameworks.js';
+import { WAIT_UNTIL } from './renderer.js';
+import { TEMPLATE_PLACEHOLDERS } from './markdown-sources.js';
+
+export class ConfigError extends Error {
+  constructor(message, issues = []) {
+    super(issues.length > 0 ? `${message}\n${issues.map(issue => `  - ${issue}`).join('\n')}` : message);
+    this.name = 'ConfigError';
+    this.issues = issues;
+  }
+}
+
+const isString = value => typeof value === 'string' && value.trim().length > 0;
+const isStringArray = value => Array.isArray(value) && value.every(isString);
+const isNonNegativeNumber = value => typeof value === 'number' && isFinite(value) && value >= 0;
+const isNonNegativeInteger = value => Number.isInteger(value) && value >= 0;
+const isPlainObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const DETECTOR_KEYS = ['name', 'label', 'generator', 'signatures', 'contentSelectors', 'navSelectors', 'noiseSelectors'];
+
+function validateDetector(detector) {
+  if (!isPlainObject(detector)) return 'entries must be objects';
+  if (!isString(detector.name)) return 'every detector needs a name';
+  const unknown = Object.keys(detector).filter(key => !DETECTOR_KEYS.includes(key));
+  if (unknown.length > 0) return `detector "${detector.name}" has unknown keys: ${unknown.join(', ')}`;
+  if (detector.label !== undefined && !isString(detector.label)) return `detector "${detector.name}" label must be a string`;
+  if (detector.generator !== undefined) {
+    if (!isString(detector.generator)) return `detector "${detector.name}" generator must be a regex string`;
+    try {
+      new RegExp(detector.generator, 'i');
+    } catch (error) {
+      return `detector "${detector.name}" has an invalid generator pattern: ${error.message}`;
+    }
+  }
+  for (const key of ['signatures', 'contentSelectors', 'navSelectors', 'noiseSelectors']) {
+    if (detector[key] !== undefined && !isStringArray(detector[key])) {
+      return `detector "${detector.name}" ${key} must be an array of CSS selectors`;
+    }
+  }
+  if (!detector.generator && !(detector.signatures || []).length) {
+    return `detector "${detector.name}" needs a generator pattern or signatures`;
+  }
+  return null;
+}
+
+const AUTH_KEYS = ['headers', 'cookieFile', 'bearerTokenEnv', 'basic', 'login'];
+const isEnvName = value => typeof value === 'string' && /^[A-Za-z_][A-Za-z0-9_]*$/.test(value);
+const isStringMap = value => isPlainObject(value) && Object.values(value).every(item => typeof item === 'string');
+
+function validateAuth(value) {
+  if (!isPlainObject(value)) return `must be an object with any of ${AUTH_KEYS.join(', ')}`;
+  const unknown = Object.keys(value).filter(key => !AUTH_KEYS.includes(key));
+  if (unknown.length > 0) return `has unknown keys: ${unknown.join(', ')}`;
+
+  if (value.headers !== undefined && !isStringMap(value.headers)) return 'headers must map header names to strings';
+  if (value.cookieFile !== undefined && !isString(value.cookieFile)) return 'cookieFile must be a path to a Netscape cookies.txt file';
+  if (value.bearerTokenEnv !== undefined && !isEnvName(value.bearerTokenEnv)) return 'bearerTokenEnv must be an environment variable name';
+  if (value.basic !== undefined) {
+    if (!isPlainObject(value.basic) || !isEnvName(value.basic.usernameEnv) || !isEnvName(value.basic.passwordEnv)) {
+      return 'basic must have usernameEnv and passwordEnv environment variable names';
+    }
+  }
+  if (value.bearerTokenEnv && value.basic) return 'use either bearerTokenEnv or basic, not both';
+  if (value.login !== undefined) {
+    if (!isPlainObject(value.login) || !isString(value.login.url) || !/^https?:\/\//.test(value.login.url)) {
+      return 'login must have an absolute http(s) url';
+    }
+    if (value.login.fields !== undefined && !isStringMap(value.login.fields)) return 'login.fields must map form field names to strings';
+  }
+  return null;
+}
+
+// Validators for each per-host option. Each returns an error message or null,
+// and gets the whole host entry for options that depend on each other.
+const HOST_OPTIONS = {
+  contentSelector: value => isString(value) ? null : 'must be a non-empty CSS selector string',
+  navSelector: value => isString(value) ? null : 'must be a non-empty CSS selector string',
+  preferMarkdown: value => typeof value === 'boolean' ? null : 'must be true or false',
+  markdownSources: value => {
+    if (value === false) return null;
+    if (!isStringArray(value)) return 'must be false or an array of URL templates';
+    for (const template of value) {
+      const unknown = [...template.matchAll(/\{(\w+)\}/g)].map(match => match[1]).find(name => !TEMPLATE_PLACEHOLDERS.includes(name));
+      if (unknown) return `template "${template}" uses unknown placeholder {${unknown}} (expected ${TEMPLATE_PLACEHOLDERS.map(name => `{${name}}`).join(', ')})`;
+      if (!/^(https?:\/\/|\{(origin|url|page)\})/.test(template)) return `template "${template}" must start with http(s):// or {origin}, {url} or {page}`;
+    }
+    return null;
+  },
+  maxDepth: value => isNonNegativeInteger(value) ? null : 'must be a non-negative integer',
+  skipPatterns: value => {
+    if (!isStringArray(value)) return 'must be an array of strings';
+    for (const pattern of value) {
+      try {
+        compileUrlPattern(pattern);
+      } catch (error) {
+        return `contains an invalid pattern "${pattern}": ${error.message}`;
+      }
+    }
+    return null;
+  },
+  includePaths: value => {
+    if (!isStringArray(value)) return 'must be an array of path prefixes';
+    const bad = value.find(prefix => !prefix.startsWith('/') && !/^[a-z0-9.-]+\//i.test(prefix));
+    return bad ? `entry "${bad}" must start with "/" or "hostname/"` : null;
+  },
+  allowedHosts: value => {
+    if (!isStringArray(value)) return 'must be an array of hostnames';
+    const bad = value.find(host => !/^[a-z0-9.-]+(:\d+)?$/i.test(host));
+    return bad ? `entry "${bad}" is not a hostname (no scheme or path)` : null;
+  },
+  framework: (value, hostConfig) => {
+    if (!isString(value)) return 'must be a framework name';
+    const names = [...BUILTIN_FRAMEWORKS, ...(Array.isArray(hostConfig.frameworks) ? hostConfig.frameworks : [])]
+      .map(framework => framework && framework.name);
+    return names.includes(value) ? null : `"${value}" is not a known framework (expected one of ${names.filter(Boolean).join(', ')})`;
+  },
+  frameworks: value => {
+    if (!Array.isArray(value)) return 'must be an array of detector objects';
+    for (const detector of value) {
+      const problem = validateDetector(detector);
+      if (problem) return problem;
+    }
+    return null;
+  },
+  auth: validateAuth,
+  render: value => {
+    if (typeof value === 'boolean') return null;
+    if (!isPlainObject(value)) return 'must be true, false or an object with waitForSelector, waitUntil and/or timeout';
+    if (value.waitForSelector !== undefined && !isString(value.waitForSelector)) return 'waitForSelector must be a CSS selector string';
+    if (value.waitUntil !== undefined && !WAIT_UNTIL.includes(value.waitUntil)) return `waitUntil must be one of ${WAIT_UNTIL.join(', ')}`;
+    if (value.timeout !== undefined && !(Number.isInteger(value.timeout) && value.timeout > 0)) return 'timeout must be a positive number of milliseconds';
+    const unknown = Object.keys(value).filter(key => !['waitForSelector', 'waitUntil', 'timeout'].includes(key));
+    return unknown.length > 0 ? `has unknown keys: ${unknown.join(', ')}` : null;
+  },
+  retry: value => {
+    if (!isPlainObject(value)) return 'must be an object with retries, minDelayMs and/or maxDelayMs';
+    if (value.retries !== undefined && !isNonNegativeInteger(value.retries)) return 'retries must be a non-negative integer';
+    for (const key of ['minDelayMs', 'maxDelayMs']) {
+      if (value[key] !== undefined && !isNonNegativeNumber(value[key])) return `${key} must be a non-negative number of milliseconds`;
+    }
+    const unknown = Object.keys(value).filter(key => !['retries', 'minDelayMs', 'maxDelayMs'].includes(key));
+    return unknown.length > 0 ? `has unknown keys: ${unknown.join(', ')}` : null;
+  },
+  rateLimit: value => {
+    if (!isPlainObject(value)) return 'must be an object with requestsPerSecond and/or burst';
+    if (value.requestsPerSecond !== undefined && !isNonNegativeNumber(value.requestsPerSecond)) {
+      return 'requestsPerSecond must be a non-negative number';
+    }
+    if (value.burst !== undefined && !(Number.isInteger(value.burst) && value.burst >= 1)) {
+      return 'burst must be a positive integer';
+    }
+    const unknown = Object.keys(value).filter(key => !['requestsPerSecond', 'burst'].includes(key));
+    return unknown.length > 0 ? `has unknown keys: ${unknown.join(', ')}` : null;
+  }
+};
+
+export function validateSiteConfig(config) {
+  const issues = [];
+
+  if (!isPlainObject(config)) {
+    throw new ConfigError('Config must be a JSON object keyed by hostname');
+  }
+
+  for (const [hostname, hostConfig] of Object.entries(config)) {
+    if (!isPlainObject(hostConfig)) {
+      issues.push(`${hostname}: must be an object of options`);
+      continue;
+    }
+
+    for (const [key, value] of Object.entries(hostConfig)) {
+      const validate = HOST_OPTIONS[key];
+      if (!validate) {
+        issues.push(`${hostname}.${key}: unknown option (expected one of ${Object.keys(HOST_OPTIONS).join(', ')})`);
+        continue;
+      }
+      const problem = validate(value, hostConfig);
+      if (problem) {
+        issues.push(`${hostname}.${key}: ${problem}`);
+      }
+    }
+  }
+
+  if (issues.length > 0) {
+    throw new ConfigError('Invalid site configuration:', issues);
+  }
+
+  return config;
+}
+
+export function loadSiteConfig(configFile) {
+  let configData;
+  try {
+    configData = fs.readFileSync(configFile, 'utf-8');
+  } catch (error) {
+    throw new ConfigError(`Could not read config file ${configFile}: ${error.message}`);
+  }
+
+  let config;
+  try {
+    config = JSON.parse(configData);
+  } catch (error) {
+    throw new ConfigError(`Config file ${configFile} is not valid JSON: ${error.message}`);
+  }
+
+  return validateSiteConfig(config);
+}
+
+// Find the options for a hostname, falling back to its parent domains
+// so "example.com" also covers "docs.example.com"
+export function getHostConfig(siteConfig, hostname) {
+  let candidate = hostname;
+  while (candidate) {
+    if (siteConfig[candidate]) return siteConfig[candidate];
+    const dot = candidate.indexOf('.');
+    if (dot === -1) break;
+    candidate = candidate.slice(dot + 1);
+  }
+  return {};
+}
+
+// Compile a skip pattern into a predicate on URL objects:
+//   "/regex/flags"  - regular expression tested against pathname + query
+//   "/blog/**"      - glob matched against the whole pathname
+//   "/changelog"    - substring of pathname + query
+export function compileUrlPattern(pattern) {
+  const regexMatch = pattern.match(/^\/(.+)\/([imsuy]*)$/);
+  if (regexMatch && (regexMatch[2] || isRegexBody(regexMatch[1]))) {
+    const regex = new RegExp(regexMatch[1], regexMatch[2]);
+    return urlObj => regex.test(urlObj.pathname + urlObj.search);
+  }
+
+  if (/[*?]/.test(pattern)) {
+    const regex = globToRegExp(pattern);
+    return urlObj => regex.test(urlObj.pathname);
+  }
+
+  return urlObj => (urlObj.pathname + urlObj.search).includes(pattern);
+}
+
+// Paths like "/api/" also look like /.../ literals; only treat the pattern as
+// a regex when it has flags or its body uses regex syntax
+function isRegexBody(body) {
+  return /[\\^$|()[\]{}+]/.test(body) || /\.\*|\.\+|\.\?/.test(body);
+}
+
+export function globToRegExp(glob) {
+  let source = '';
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+    if (char === '*') {
+      if (glob[i + 1] === '*') {
+        source += '.*';
+        i++;
+      } else {
+        source += '[^/]*';
+      }
+    } else if (char === '?') {
+      source += '[^/]';
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp('^' + source + '$');
+}
@@ -0,0 +1,138 @@
+import * as cheerio from 'cheerio';
+import zlib from 'zlib';
+import { URL } from 'url';
+
+const MAX_SITEMAPS = 50;
+
+export const DISCOVERY_MODES = ['links', 'sitemap', 'both'];
+
+// Parse a sitemap document. Returns page entries and nested sitemap URLs
+// (for sitemap indexes). Plain-text sitemaps with one URL per line are also accepted.
+export function parseSitemap(body) {
+  const text = String(body || '').trim();
+  const result = { urls: [], sitemaps: [] };
+
+  if (!text.startsWith('<')) {
+    for (const line of text.split(/\r?\n/)) {
+      const loc = line.trim();
+      if (/^https?:\/\//.test(loc)) {
+        result.urls.push({ loc, lastmod: null });
+      }
+    }
+    return result;
+  }
+
+  const $ = cheerio.load(text, { xmlMode: true });
+
+  $('sitemapindex > sitemap > loc').each((_, el) => {
+    const loc = $(el).text().trim();
+    if (loc) result.sitemaps.push(loc);
+  });
+
+  $('urlset > url').each((_, el) => {
+    const loc = $(el).children('loc').first().text().trim();
+    if (!loc) return;
+    const lastmodText = $(el).children('lastmod').first().text().trim();
+    const lastmod = lastmodText ? new Date(lastmodText) : null;
+    result.urls.push({ loc, lastmod: lastmod && !isNaN(lastmod) ? lastmod : null });
+  });
+
+  return result;
+}
+
+// Extract links from an llms.txt / llms-full.txt manifest. Markdown links are
+// preferred, bare URLs on their own are picked up as well.
+export function parseLlmsTxt(body, baseUrl) {
+  const urls = new Set();
+  const text = String(body || '');
+  const patterns = [
+    /\[[^\]]*\]\(([^)\s]+)(?:\s+"[^"]*")?\)/g,
+    /(?:^|\s)(https?:\/\/[^\s<>()]+)/g
+  ];
+
+  for (const pattern of patterns) {
+    for (const match of text.matchAll(pattern)) {
+      try {
+        urls.add(new URL(match[1], baseUrl).href);
+      } catch (error) {
+        // Invalid URL, skip
+      }
+    }
+  }
+
+  return [...urls];
+}
+
+// Turn a direct markdown URL into the page URL it is the source of
+export function pageUrlForMarkdown(mdUrl) {
+  const urlObj = new URL(mdUrl);
+  urlObj.pathname = urlObj.pathname
+    .replace(/\/index\.mdx?$/i, '/')
+    .replace(/\.mdx?$/i, '');
+  return urlObj.href;
+}
+
+export function decodeSitemapBody(data) {
+  const buffer = Buffer.isBuffer(data) ? data : Buffer.from(data);
+  // Gzip magic bytes, regardless of what the server claims the content type is
+  if (buffer[0] === 0x1f && buffer[1] === 0x8b) {
+    return zlib.gunzipSync(buffer).toString('utf-8');
+  }
+  return buffer.toString('utf-8');
+}
+
+export class SitemapDiscovery {
+  constructor(fetchBody) {
+    // fetchBody(url) resolves to a Buffer, or null when the resource is missing
+    this.fetchBody = fetchBody;
+  }
+
+  async collect(sitemapUrls) {
+    const pending = [...new Set(sitemapUrls)];
+    const seen = new Set();
+    const entries = new Map();
+
+    while (pending.length > 0 && seen.size < MAX_SITEMAPS) {
+      const sitemapUrl = pending.shift();
+      if (seen.has(sitemapUrl)) continue;
+      seen.add(sitemapUrl);
+
+      const data = await this.fetchBody(sitemapUrl);
+      if (!data) continue;
+
+      let parsed;
+      try {
+        parsed = parseSitemap(decodeSitemapBody(data));
+      } catch (error) {
+        continue;
+      }
+
+      pending.push(...parsed.sitemaps);
+      for (const entry of parsed.urls) {
+        entries.set(entry.loc, entry);
+      }
+    }
+
+    return [...entries.values()];
+  }
+
+  async collectLlmsTxt(baseUrl) {
+    // Look next to the start page first, then at the site root
+    const candidates = new Set();
+    for (const name of ['llms.txt', 'llms-full.txt']) {
+      candidates.add(new URL(name, baseUrl).href);
+      candidates.add(new URL('/' + name, baseUrl).href);
+    }
+
+    for (const manifestUrl of candidates) {
+      const data = await this.fetchBody(manifestUrl);
+      if (!data) continue;
+
+      const urls = parseLlmsTxt(decodeSitemapBody(data), manifestUrl);
+      if (urls.length > 0) {
+        return urls;
+      }
+    }
+    return [];
+  }
+}
@@ -0,0 +1,48 @@
+import { URL } from 'url';
+
+// What to do with a trailing slash on page URLs:
+//   keep  - fetch URLs as linked ("/guide" and "/guide/" are still one page)
+//   strip - always fetch "/guide"
+//   add   - always fetch "/guide/" (paths with a file extension are left alone)
+export const TRAILING_SLASH_POLICIES = ['keep', 'strip', 'add'];
+
+// Query parameters that only say where a visitor came from
+const TRACKING_PARAMS = new Set([
+  'gclid', 'gclsrc', 'dclid', 'fbclid', 'msclkid', 'yclid', 'twclid', 'igshid',
+  'ref', 'ref_src', 'ref_url', 'source', '_ga', '_gl', 'mkt_tok', 'trk', 'si'
+]);
+const TRACKING_PREFIXES = /^(utm_|mc_|pk_|hsa_|__hs|_hs|vero_|oly_)/i;
+
+const INDEX_FILE = /\/index\.(html?|php|aspx?)$/i;
+
+function isTrackingParam(name) {
+  return TRACKING_PARAMS.has(name.toLowerCase()) || TRACKING_PREFIXES.test(name);
+}
+
+// The URL to fetch and record for a link: no fragment or tracking parameters,
+// "/index.html" as its folder, and the trailing-slash policy applied
+export function normalizeUrl(url, { trailingSlash = 'keep' } = {}) {
+  const urlObj = new URL(url);
+  urlObj.hash = '';
+
+  if (urlObj.search) {
+    for (const name of [...urlObj.searchParams.keys()]) {
+      if (isTrackingParam(name)) urlObj.searchParams.delete(name);
+    }
+    urlObj.searchParams.sort();
+  }
+
+  let pathname = urlObj.pathname.replace(/\/{2,}/g, '/').replace(INDEX_FILE, '/');
+  if (trailingSlash === 'strip' && pathname.length > 1) {
+    pathname = pathname.replace(/\/+$/, '');
+  } else if (trailingSlash === 'add' && !pathname.endsWith('/') && !/\.[a-z0-9]+$/i.test(pathname)) {
+    pathname += '/';
+  }
+  urlObj.pathname = pathname;
+  return urlObj.href;
+}
+
+// Identity of a page for de-duplication: URLs with the same key are the same page
+export function urlKey(url) {
+  return normalizeUrl(url, { trailingSlash: 'strip' });
+}
@@ -0,0 +1,243 @@
+import { URL } from 'url';
+import { urlKey } from './url-normalizer.js';
+
+// Versioned (/v2/, /1.4/, /next/) and translated (/ja/, /zh-cn/) copies of a
+// docs site. A URL's version and language come from its path segments, or from
+// <link rel="alternate" hreflang> and <html lang>. Path segments that could just
+// as well be ordinary folders ("/dev/", "/ca/") only count once something backs
+// them up.
+
+// Version names that mean "the current release" on sites that also serve it unprefixed
+export const LATEST_ALIASES = ['latest', 'stable', 'current'];
+
+const VERSION_SEGMENT = /^(v\d+(\.(\d+|x))*|\d+\.(\d+|x)(\.(\d+|x))?|latest|stable|current|next|nightly|canary|dev|edge|beta|preview)$/i;
+// Version names that are also common folder names ("/docs/dev/tools"). They are
+// versions only when the same page exists under an unambiguous version too
+const AMBIGUOUS_VERSIONS = /^(next|nightly|canary|dev|edge|beta|preview)$/i;
+const LOCALE_SEGMENT = /^([a-z]{2})(?:[-_]([a-z]{2}|hans|hant))?$/i;
+
+// ISO 639-1 codes doc sites translate into; anything else ("js", "go", "ui") is a path
+const LANGUAGE_CODES = new Set([
+  'ar', 'bg', 'bn', 'ca', 'cs', 'da', 'de', 'el', 'en', 'es', 'et', 'fa', 'fi', 'fr', 'he', 'hi', 'hr', 'hu',
+  'id', 'it', 'ja', 'ko', 'lt', 'lv', 'ms', 'nb', 'nl', 'no', 'pl', 'pt', 'ro', 'ru', 'sk', 'sl', 'sr', 'sv',
+  'ta', 'th', 'tr', 'uk', 'ur', 'vi', 'zh'
+]);
+
+// Variant segments sit near the start of the path (/docs/v2/..., /ja/docs/...)
+const MAX_SEGMENT_INDEX = 3;
+
+export function normalizeLang(value) {
+  return value ? String(value).trim().toLowerCase().replace(/_/g, '-') : null;
+}
+
+// "--version v2,latest" style lists; null when the option wasn't given
+export function parseVariantList(value) {
+  if (value === undefined || value === null || value === '') return null;
+  return String(value).split(',').map(item => item.trim().toLowerCase()).filter(Boolean);
+}
+
+function safeDecode(segment) {
+  try {
+    return decodeURIComponent(segment);
+  } catch (error) {
+    return segment;
+  }
+}
+
+// The version and locale segments of a URL path as { index, value } or null;
+// versions that could be folder names are marked ambiguous.
+// The last segment is a page name, never a variant ("/changelog/1.2").
+export function findVariantSegments(pathname) {
+  const segments = pathname.split('/').filter(Boolean);
+  const folders = pathname.endsWith('/') ? segments : segments.slice(0, -1);
+  let version = null;
+  let lang = null;
+
+  folders.slice(0, MAX_SEGMENT_INDEX + 1).forEach((segment, index) => {
+    const decoded = safeDecode(segment);
+    if (!version && VERSION_SEGMENT.test(decoded)) {
+      version = { index, value: decoded.toLowerCase(), ...(AMBIGUOUS_VERSIONS.test(decoded) ? { ambiguous: true } : {}) };
+      return;
+    }
+    const locale = !lang && decoded.match(LOCALE_SEGMENT);
+    if (locale && LANGUAGE_CODES.has(locale[1].toLowerCase())) {
+      lang = { index, value: normalizeLang(decoded) };
+    }
+  });
+  return { version, lang };
+}
+
+// The path with one segment left out: pages that differ only in that segment share it
+function siblingKey(pathname, index) {
+  return pathname.split('/').filter(Boolean).map((segment, i) => i === index ? '*' : segment).join('/');
+}
+
+// The path up to and including a locale segment ("docs/ja")
+function langPrefix(pathname, index) {
+  return pathname.split('/').filter(Boolean).slice(0, index + 1).join('/');
+}
+
+function sameLanguage(a, b) {
+  return a === b || a.startsWith(`${b}-`) || b.startsWith(`${a}-`);
+}
+
+function langMatches(selected, lang) {
+  // "en" selects en-us and en-gb too; "zh-cn" only itself
+  return selected.some(code => code === lang || (lang && !code.includes('-') && lang.startsWith(`${code}-`)));
+}
+
+export class VariantSelector {
+  // versions / langs: lists from parseVariantList, ['all'], or null for no filtering
+  constructor({ versions = null, langs = null } = {}) {
+    this.versions = versions;
+    this.langs = langs;
+    // Variants get their own subtree only when the user picked them
+    this.split = { version: Boolean(versions), lang: Boolean(langs) };
+    // hreflang alternates seen on crawled pages: urlKey -> language
+    this.hreflang = new Map();
+    // <html lang> of fetched pages (null when not declared): urlKey -> language
+    this.pageLangs = new Map();
+    // Paths seen under an unambiguous version, with the version left out
+    this.versionedPaths = new Set();
+    // Locale folders a page or an hreflang alternate has confirmed
+    this.langPrefixes = new Set();
+    this.defaultLang = null;
+  }
+
+  reset() {
+    this.hreflang.clear();
+    this.pageLangs.clear();
+    this.versionedPaths.clear();
+    this.langPrefixes.clear();
+    this.defaultLang = null;
+  }
+
+  get filtering() {
+    return Boolean(this.versions || this.langs);
+  }
+
+  // Remember a URL under an unambiguous version, so that "/docs/next/intro"
+  // counts as a version once "/docs/v2/intro" has been seen
+  observe(url) {
+    try {
+      const { pathname } = new URL(url);
+      const { version } = findVariantSegments(pathname);
+      if (version && !version.ambiguous) this.versionedPaths.add(siblingKey(pathname, version.index));
+    } catch (error) {
+      // Not a URL
+    }
+  }
+
+  confirmLang(url, lang) {
+    const { pathname } = new URL(url);
+    const segment = findVariantSegments(pathname).lang;
+    if (lang && segment && sameLanguage(segment.value, lang)) this.langPrefixes.add(langPrefix(pathname, segment.index));
+  }
+
+  // Record what a fetched page says about languages and the versioned URLs it
+  // links to, and return its hreflang alternates
+  learn($, pageUrl, links = []) {
+    links.forEach(link => this.observe(link));
+    this.observe(pageUrl);
+
+    const alternates = [];
+    $('link[rel~="alternate"][hreflang]').each((_, el) => {
+      const lang = normalizeLang($(el).attr('hreflang'));
+      try {
+        const href = new URL($(el).attr('href'), pageUrl).href;
+        if (lang !== 'x-default') {
+          this.hreflang.set(urlKey(href), lang);
+          this.confirmLang(href, lang);
+        }
+        alternates.push(href);
+      } catch (error) {
+        // Broken alternate link
+      }
+    });
+
+    const declared = normalizeLang($('html').attr('lang'));
+    this.pageLangs.set(urlKey(pageUrl), declared);
+    this.confirmLang(pageUrl, declared);
+
+    if (!this.defaultLang && !findVariantSegments(new URL(pageUrl).pathname).lang) {
+      this.defaultLang = this.hreflang.get(urlKey(pageUrl)) || declared || null;
+    }
+    return alternates;
+  }
+
+  // { version, lang, segments } for a URL, with null where it can't be told.
+  // segments only holds the path segments that were taken as variants
+  variantOf(url) {
+    const { pathname } = new URL(url);
+    const found = findVariantSegments(pathname);
+    const key = urlKey(url);
+
+    const version = found.version && (!found.version.ambiguous || this.versionedPaths.has(siblingKey(pathname, found.version.index)))
+      ? found.version
+      : null;
+
+    // What the page declares beats a language code in its path, which is only
+    // trusted once the page is fetched or its folder is confirmed
+    let langSegment = found.lang;
+    let lang = this.hreflang.get(key) || this.pageLangs.get(key) || null;
+    if (lang) {
+      if (langSegment && !sameLanguage(langSegment.value, lang)) langSegment = null;
+    } else if (langSegment && (this.pageLangs.has(key) || this.langPrefixes.has(langPrefix(pathname, langSegment.index)))) {
+      lang = langSegment.value;
+    } else if (langSegment) {
+      langSegment = null;
+    } else {
+      lang = this.defaultLang;
+    }
+    return { version: version?.value || null, lang, segments: { version, lang: langSegment } };
+  }
+
+  acceptsVersion({ version }) {
+    if (!this.versions || this.versions.includes('all')) return true;
+    if (this.versions.includes('latest') && (!version || LATEST_ALIASES.includes(version))) return true;
+    return Boolean(version) && this.versions.includes(version);
+  }
+
+  acceptsLang({ lang }) {
+    if (!this.langs || this.langs.includes('all')) return true;
+    // Pages whose language can't be told yet are fetched, and checked again then
+    return !lang || langMatches(this.langs, lang);
+  }
+
+  accepts(url) {
+    if (!this.filtering) return true;
+    const variant = this.variantOf(url);
+    return this.acceptsVersion(variant) && this.acceptsLang(variant);
+  }
+
+  // Values written to front matter
+  describe(url) {
+    const { version, lang } = this.variantOf(url);
+    return {
+      version: version || (this.versions ? 'latest' : null),
+      lang
+    };
+  }
+
+  // Where a page goes when variants are split into subtrees: the folder
+  // ("v2/ja") and the URL with the variant segments taken out. null when
+  // nothing is split.
+  placement(url) {
+    if (!this.split.version && !this.split.lang) return null;
+    const { version, lang, segments } = this.variantOf(url);
+    const urlObj = new URL(url);
+    const drop = new Set();
+    const dirs = [];
+    if (this.split.version) {
+      dirs.push(version || 'latest');
+      if (segments.version) drop.add(segments.version.index);
+    }
+    if (this.split.lang) {
+      dirs.push(lang || 'default');
+      if (segments.lang) drop.add(segments.lang.index);
+    }
+    const parts = urlObj.pathname.split('/').filter(Boolean);
+    urlObj.pathname = '/' + parts.filter((_, index) => !drop.has(index)).join('/') + (urlObj.pathname.endsWith('/') && parts.length > drop.size ? '/' : '');
+    return { dir: dirs.join('/'), url: urlObj.href };
+  }
+}
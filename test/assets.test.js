@@ -0,0 +1,98 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import { AssetStore, collectAssetUrls, matchesMimeType } from '../src/assets.js';
+import { serveFixture } from './helpers/crawl-fixture.js';
+
+const page = { pageUrl: 'https://docs.example.com/guide/install', filePath: '/out/guide/install.md' };
+
+test('images are always collected, attachments only when asked for', () => {
+  const markdown = '![diagram](img/flow.png) [manual](/files/manual.pdf) [next](setup) ![remote](https://cdn.example.net/logo.svg)\n\n```\n![code](skip.png)\n```';
+  assert.deepEqual(collectAssetUrls(markdown, page, false), [
+    'https://docs.example.com/guide/img/flow.png',
+    'https://cdn.example.net/logo.svg'
+  ]);
+  assert.deepEqual(collectAssetUrls(markdown, page, true), [
+    'https://docs.example.com/guide/img/flow.png',
+    'https://docs.example.com/files/manual.pdf',
+    'https://cdn.example.net/logo.svg'
+  ]);
+});
+
+test('MIME types match exactly or by prefix', () => {
+  assert.ok(matchesMimeType('image/png; charset=binary', ['image/*']));
+  assert.ok(matchesMimeType('application/vnd.openxmlformats-officedocument.wordprocessingml.document', ['application/vnd.openxmlformats-officedocument.*']));
+  assert.ok(!matchesMimeType('text/html', ['image/*', 'application/pdf']));
+  assert.ok(!matchesMimeType('', ['image/*']));
+});
+
+async function withStore(files, options, fn) {
+  const siteDir = await fs.mkdtemp(path.join(os.tmpdir(), 'docs-downloader-assets-'));
+  const fetched = [];
+  const store = new AssetStore({
+    siteDir,
+    fetchAsset: async url => {
+      fetched.push(url);
+      if (!files[url]) throw new Error('Request failed with status code 404');
+      return files[url];
+    },
+    ...options
+  });
+  try {
+    await fn(store, fetched);
+  } finally {
+    await fs.remove(siteDir);
+  }
+}
+
+test('assets are fetched once and stored once per distinct content', () => withStore({
+  'https://docs.example.com/a.png': { data: Buffer.from('same'), contentType: 'image/png' },
+  'https://cdn.example.net/copy-of-a': { data: Buffer.from('same'), contentType: 'image/png' },
+  'https://docs.example.com/b.jpeg': { data: Buffer.from('other'), contentType: '' }
+}, {}, async (store, fetched) => {
+  const [first, again] = await Promise.all([store.localize('https://docs.example.com/a.png'), store.localize('https://docs.example.com/a.png')]);
+  assert.equal(first, again);
+  assert.equal(await store.localize('https://cdn.example.net/copy-of-a'), first);
+  assert.match(first, /_assets[/\\][0-9a-f]{16}\.png$/);
+  // Without a Content-Type the extension decides
+  assert.match(await store.localize('https://docs.example.com/b.jpeg'), /\.jpg$/);
+  assert.deepEqual(fetched, ['https://docs.example.com/a.png', 'https://cdn.example.net/copy-of-a', 'https://docs.example.com/b.jpeg']);
+  assert.equal((await fs.readdir(path.dirname(first))).length, 2);
+}));
+
+test('unwanted, oversized and missing assets are skipped with a reason', () => withStore({
+  'https://docs.example.com/page.html': { data: Buffer.from('<html>'), contentType: 'text/html' },
+  'https://docs.example.com/huge.png': { data: Buffer.alloc(2048), contentType: 'image/png' }
+}, { maxBytes: 1024 }, async store => {
+  assert.equal(await store.localize('https://docs.example.com/page.html'), null);
+  assert.equal(await store.localize('https://docs.example.com/huge.png'), null);
+  assert.equal(await store.localize('https://docs.example.com/gone.png'), null);
+  assert.deepEqual(Object.fromEntries(store.skipped), {
+    'https://docs.example.com/page.html': 'type text/html not allowed',
+    'https://docs.example.com/huge.png': 'larger than 1024 bytes',
+    'https://docs.example.com/gone.png': 'Request failed with status code 404'
+  });
+}));
+
+test('a crawl with assets downloads images and links them locally', async () => {
+  const site = await serveFixture('malformed-site', { copy: true });
+  try {
+    await fs.writeFile(path.join(site.root, 'docs/flow.png'), Buffer.from('89504e470d0a1a0a', 'hex'));
+    await fs.writeFile(path.join(site.root, 'docs/manual.pdf'), '%PDF-1.4');
+    const guidePath = path.join(site.root, 'docs/guide.html');
+    await fs.writeFile(guidePath, (await fs.readFile(guidePath, 'utf-8'))
+      .replace('</main>', '<p><img src="flow.png" alt="Flow"> <a href="manual.pdf">Manual</a></p>\n</main>'));
+
+    const images = await site.crawl('/docs/guide.html', { assets: 'images' });
+    const markdown = await fs.readFile(images.saved[0].filePath, 'utf-8');
+    assert.match(markdown, /!\[Flow\]\(\.\.\/_assets\/[0-9a-f]{16}\.png\)/);
+    assert.ok(markdown.includes(`[Manual](${site.url}/docs/manual.pdf)`), markdown);
+
+    const all = await site.crawl('/docs/guide.html', { assets: 'all' });
+    assert.match(await fs.readFile(all.saved[0].filePath, 'utf-8'), /\[Manual\]\(\.\.\/_assets\/[0-9a-f]{16}\.pdf\)/);
+  } finally {
+    await site.close();
+  }
+});
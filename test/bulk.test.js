@@ -0,0 +1,118 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import { loadBulkManifest, runBulk, siteFolder, startPageFailure } from '../src/bulk.js';
+import { ConfigError } from '../src/site-config.js';
+
+async function withManifest(name, content, fn) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'docs-downloader-bulk-'));
+  try {
+    const filePath = path.join(dir, name);
+    await fs.writeFile(filePath, content);
+    return await fn(filePath, dir);
+  } finally {
+    await fs.remove(dir);
+  }
+}
+
+const result = (url, failed = []) => ({ startUrl: url, interrupted: false, saved: [], failed });
+
+test('manifests: YAML with per-site options, URL lists and env.md', async () => {
+  await withManifest('sites.yaml', `
+sites:
+  - url: https://docs.example.com/
+    name: example
+    depth: 2
+    format: tree,single
+    config: configs/example.json
+  - https://www.other.dev/docs
+`, async (filePath, dir) => {
+    const [example, other] = await loadBulkManifest(filePath);
+    assert.deepEqual(example, {
+      url: 'https://docs.example.com/',
+      name: 'example',
+      depth: 2,
+      format: 'tree,single',
+      config: path.join(dir, 'configs', 'example.json')
+    });
+    assert.equal(other.url, 'https://www.other.dev/docs');
+    assert.equal(siteFolder(other), 'other_dev');
+  });
+
+  await withManifest('sites.txt', '# docs to mirror\nhttps://a.example.com/\n\nhttps://b.example.com/\n', async filePath => {
+    assert.deepEqual((await loadBulkManifest(filePath)).map(entry => entry.url), ['https://a.example.com/', 'https://b.example.com/']);
+  });
+
+  await withManifest('env.md', '# Tools\n- Docs: [A](https://a.example.com/docs)\n- Repo: https://github.com/a/a\n', async filePath => {
+    assert.deepEqual((await loadBulkManifest(filePath)).map(entry => entry.url), ['https://a.example.com/docs']);
+  });
+});
+
+test('manifests: every invalid entry is reported', async () => {
+  await withManifest('sites.json', JSON.stringify([
+    { url: 'ftp://example.com/' },
+    { url: 'https://a.example.com/', depth: -1 },
+    { url: 'https://a.example.com/', colour: 'blue' },
+    { url: 'https://b.example.com/' },
+    { url: 'https://b.example.com/guide' }
+  ]), async filePath => {
+    await assert.rejects(loadBulkManifest(filePath), error => {
+      assert.ok(error instanceof ConfigError);
+      assert.equal(error.issues.length, 4);
+      assert.match(error.issues[0], /sites\[0\] url/);
+      assert.match(error.issues[1], /sites\[1\] depth/);
+      assert.match(error.issues[2], /sites\[2\] has unknown keys: colour/);
+      assert.match(error.issues[3], /sites\[4\] would download into the same folder as sites\[3\]/);
+      return true;
+    });
+  });
+});
+
+test('sites run in parallel, but one at a time per host', async () => {
+  const entries = ['https://a.example.com/one', 'https://a.example.com/two', 'https://b.example.com/', 'https://a.example.com/three']
+    .map(url => ({ url }));
+  const running = new Map();
+  let maxRunning = 0;
+  let maxPerHost = 0;
+
+  const results = await runBulk(entries, {
+    parallel: 3,
+    download: async ({ url }) => {
+      const host = new URL(url).hostname;
+      running.set(host, (running.get(host) || 0) + 1);
+      maxPerHost = Math.max(maxPerHost, running.get(host));
+      maxRunning = Math.max(maxRunning, [...running.values()].reduce((sum, count) => sum + count, 0));
+      await new Promise(resolve => setTimeout(resolve, 20));
+      running.set(host, running.get(host) - 1);
+      return result(url);
+    }
+  });
+
+  assert.equal(maxPerHost, 1);
+  assert.equal(maxRunning, 2);
+  assert.deepEqual(results.map(({ entry, status }) => [entry.url, status]), entries.map(({ url }) => [url, 'ok']));
+});
+
+test('a site fails when its start page fails, and an interrupt stops the rest', async () => {
+  const entries = ['https://a.example.com/', 'https://b.example.com/', 'https://c.example.com/', 'https://d.example.com/']
+    .map(url => ({ url }));
+  const results = await runBulk(entries, {
+    parallel: 1,
+    download: async ({ url }) => {
+      if (url.startsWith('https://a.')) return result(url, [{ url, status: 404 }]);
+      if (url.startsWith('https://b.')) throw new Error('boom');
+      return { ...result(url), interrupted: true };
+    }
+  });
+  assert.deepEqual(results.map(({ status }) => status), ['failed', 'failed', 'interrupted', 'not-started']);
+  assert.equal(results[1].error.message, 'boom');
+});
+
+test('only a failed start page fails a download', () => {
+  const url = 'https://a.example.com/docs/';
+  assert.equal(startPageFailure(result(url, [{ url: 'https://a.example.com/docs/missing', status: 404 }])), undefined);
+  assert.deepEqual(startPageFailure(result(url, [{ url: 'https://a.example.com/docs', status: 503, reason: 'HTTP 503' }])),
+    { url: 'https://a.example.com/docs', status: 503, reason: 'HTTP 503' });
+});
@@ -0,0 +1,90 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import { parseFormats, titleFor, writeBundles } from '../src/bundles.js';
+
+let outputDir;
+let siteDir;
+let pages;
+
+before(async () => {
+  outputDir = await fs.mkdtemp(path.join(os.tmpdir(), 'docs-downloader-bundles-'));
+  siteDir = path.join(outputDir, 'docs_example_com');
+  const files = {
+    'index.md': [
+      '# Widgets',
+      '',
+      'Start with the [setup](guide.md#setup), look up the [API](https://docs.example.com/reference/the-100%-guide.html),',
+      'and see the ![logo](img/logo.png) and the [coverage notes](notes/100%.md).',
+      '',
+      'In code, `[links](guide.md)` stay as written.'
+    ].join('\n'),
+    'guide.md': '---\ntitle: "Guide"\n---\n\n# Guide\n\n## Setup\n\nInstall the package.\n',
+    'reference/the-100%-guide.md': 'Getting to full coverage, one widget at a time.\n'
+  };
+  for (const [file, content] of Object.entries(files)) {
+    await fs.outputFile(path.join(siteDir, file), content);
+  }
+  pages = [
+    { url: 'https://docs.example.com/', filePath: path.join(siteDir, 'index.md') },
+    { url: 'https://docs.example.com/guide', filePath: path.join(siteDir, 'guide.md') },
+    { url: 'https://docs.example.com/reference/the-100%-guide', filePath: path.join(siteDir, 'reference/the-100%-guide.md') }
+  ];
+});
+
+after(() => fs.remove(outputDir));
+
+const bundle = formats => writeBundles(formats, { pages, siteDir, outputDir, siteName: 'docs_example_com', startUrl: 'https://docs.example.com/' });
+
+test('formats are checked', () => {
+  assert.deepEqual(parseFormats('tree, single,jsonl'), ['tree', 'single', 'jsonl']);
+  assert.deepEqual(parseFormats(undefined), ['tree']);
+  assert.throws(() => parseFormats('tree,pdf'), /Unknown output format "pdf"/);
+});
+
+test('page titles come from the first heading, or the URL', () => {
+  assert.equal(titleFor('Intro\n\n# The [Guide](x.md) #', 'https://example.com/a'), 'The Guide');
+  assert.equal(titleFor('No heading', 'https://example.com/docs/getting_started.html'), 'getting started');
+  assert.equal(titleFor('No heading', 'https://example.com/docs/caf%C3%A9'), 'café');
+  assert.equal(titleFor('No heading', 'https://example.com/the-100%-guide'), 'the 100% guide');
+  assert.equal(titleFor('No heading', 'https://example.com/'), 'Home');
+});
+
+test('the single file has a table of contents, and links between pages become anchors', async () => {
+  const [filePath] = await bundle(['single']);
+  assert.equal(filePath, path.join(outputDir, 'docs_example_com.md'));
+  const single = await fs.readFile(filePath, 'utf-8');
+
+  assert.ok(single.includes('- [Widgets](#index)\n- [Guide](#guide)\n- [the 100% guide](#reference-the-100-guide)'));
+  assert.ok(single.includes('[setup](#guide)'));
+  assert.ok(single.includes('[API](#reference-the-100-guide)'));
+  // Other local files are linked relative to the bundle
+  assert.ok(single.includes('![logo](docs_example_com/img/logo.png)'));
+  assert.ok(single.includes('[coverage notes](docs_example_com/notes/100%25.md)'));
+  assert.ok(single.includes('`[links](guide.md)`'));
+  assert.ok(!single.includes('title: "Guide"'), 'front matter left in');
+});
+
+test('jsonl has one record per page, llms.txt an index by section', async () => {
+  const written = await bundle(['jsonl', 'llms-txt']);
+  assert.deepEqual(written, [
+    path.join(outputDir, 'docs_example_com.jsonl'),
+    path.join(siteDir, 'llms.txt'),
+    path.join(siteDir, 'llms-full.txt')
+  ]);
+
+  const records = (await fs.readFile(written[0], 'utf-8')).trim().split('\n').map(line => JSON.parse(line));
+  assert.deepEqual(records.map(record => [record.title, record.path]), [
+    ['Widgets', 'index.md'],
+    ['Guide', 'guide.md'],
+    ['the 100% guide', 'reference/the-100%-guide.md']
+  ]);
+  assert.equal(records[1].markdown, '# Guide\n\n## Setup\n\nInstall the package.');
+
+  const index = await fs.readFile(written[1], 'utf-8');
+  assert.match(index, /## Docs\n\n- \[Widgets\]\(https:\/\/docs\.example\.com\/\)\n- \[Guide\]\(https:\/\/docs\.example\.com\/guide\)/);
+  assert.match(index, /## reference\n\n- \[the 100% guide\]/);
+  assert.match(await fs.readFile(written[2], 'utf-8'), /^# Guide\n\nSource: https:\/\/docs\.example\.com\/guide\n/m);
+});
@@ -0,0 +1,93 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import * as cheerio from 'cheerio';
+import { scoreContent } from '../src/content-scorer.js';
+import { DocDownloader } from '../src/downloader.js';
+
+const FIXTURES = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures', 'extraction');
+
+// Saved pages of each framework: the node scoring should pick, a sentence from
+// the content, and text from the sidebar, footer and other chrome that must not
+// end up in the extracted content
+const CASES = [
+  {
+    name: 'docusaurus',
+    framework: 'docusaurus',
+    contentNode: '.theme-doc-markdown',
+    content: 'Widgets runs on Node.js 18 or later',
+    chrome: ['Deployment', 'Previous: Introduction', 'Copyright © 2024 Widgets, Inc.', 'Breadcrumbs', 'Blog']
+  },
+  {
+    name: 'mkdocs',
+    framework: 'mkdocs-material',
+    contentNode: 'article.md-content__inner',
+    content: 'Widgets reads its settings from a widgets.yml file',
+    chrome: ['Plugins</a>', 'Previous: Installation', 'Made with Material for MkDocs', 'Search']
+  },
+  {
+    name: 'sphinx',
+    framework: 'sphinx',
+    contentNode: 'div.document',
+    content: 'This guide walks through creating your first widget',
+    chrome: ['API reference', 'Changelog', 'Built with Sphinx', 'Permalink to this heading']
+  },
+  {
+    name: 'vitepress',
+    framework: 'vitepress',
+    contentNode: '.vp-doc',
+    content: 'Plugins extend Widgets with new components',
+    chrome: ['Deploying', 'Edit this page on GitHub', 'Released under the MIT License', 'Getting started']
+  },
+  {
+    name: 'gitbook',
+    framework: 'gitbook',
+    contentNode: '.page-body',
+    content: 'Widgets build into static files',
+    chrome: ['FAQ', 'Previous: Getting started', 'Powered by GitBook', 'Last updated 3 months ago']
+  },
+  {
+    name: 'generic',
+    framework: undefined,
+    contentNode: '#help-text',
+    content: 'If a widget does not render',
+    chrome: ['Billing', 'We use cookies', 'All rights reserved', 'Contact']
+  }
+];
+
+function loadFixture(name) {
+  return cheerio.load(fs.readFileSync(path.join(FIXTURES, `${name}.html`), 'utf-8'));
+}
+
+for (const { name, framework, contentNode, content, chrome } of CASES) {
+  test(`${name}: scoring picks the main content node`, () => {
+    const $ = loadFixture(name);
+    const [best] = scoreContent($);
+    assert.ok(best, 'no candidates scored');
+    assert.equal(best.element, $(contentNode).get(0), `picked ${best.description}`);
+  });
+
+  test(`${name}: extraction keeps the content and drops navigation and footer`, () => {
+    const downloader = new DocDownloader({ logger: 'silent' });
+    const $ = loadFixture(name);
+    assert.equal(downloader.detectFramework(loadFixture(name), 'docs.example.com')?.name, framework);
+
+    const html = downloader.extractContent($, 'https://docs.example.com/page');
+    assert.ok(html.includes(content), 'content missing');
+    for (const text of chrome) {
+      assert.ok(!html.includes(text), `"${text}" was not removed`);
+    }
+    assert.doesNotMatch(html, /<(nav|footer)\b/);
+  });
+}
+
+test('scoring prefers prose over a longer link list', () => {
+  const links = Array.from({ length: 40 }, (_, i) => `<li><a href="/p${i}">A fairly long navigation entry number ${i}</a></li>`).join('');
+  const $ = cheerio.load(`<body><div class="wrap"><div id="links"><ul>${links}</ul></div>
+    <div id="text"><p>Short, but real, prose about the page topic, with a comma or two, and some detail.</p>
+    <p>Another paragraph of text that explains the feature, its options, and its defaults.</p></div></div></body>`);
+  const [best] = scoreContent($);
+  assert.equal(best.element, $('#text').get(0));
+});
@@ -0,0 +1,65 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs-extra';
+import path from 'path';
+import { buildCrawlReport, checkQuality, renderReportMarkdown } from '../src/crawl-report.js';
+import { serveFixture } from './helpers/crawl-fixture.js';
+
+const flagsOf = (markdown, options) => checkQuality(markdown, options).map(issue => issue.flag);
+
+test('quality flags: near-empty, link-list and leftover HTML', () => {
+  assert.deepEqual(flagsOf('# Title\n\nToo short.'), ['near-empty']);
+
+  const links = Array.from({ length: 10 }, (_, i) => `- [Page ${i} of the guide with a longer title](/page-${i})`).join('\n');
+  assert.deepEqual(flagsOf(`# Contents\n\n${links}`), ['link-list']);
+
+  const prose = 'Widgets are small, reusable interface components that you configure once and mount anywhere on a page. '.repeat(3);
+  assert.deepEqual(flagsOf(`${prose}\n\n<div class="callout">Note</div>`, { source: 'html' }), ['leftover-html']);
+  // Tags written by the docs' authors, and tags in code, are fine
+  assert.deepEqual(flagsOf(`${prose}\n\n<div class="callout">Note</div>`, { source: 'markdown' }), []);
+  assert.deepEqual(flagsOf(`${prose}\n\n\`\`\`html\n<div></div>\n\`\`\``, { source: 'html' }), []);
+});
+
+test('the summary counts pages by status and reason', () => {
+  const report = buildCrawlReport({
+    siteName: 'example',
+    startUrl: 'https://example.com/',
+    interrupted: false,
+    timing: { finishedAt: '2024-01-01T00:00:00.000Z' },
+    pages: [
+      { url: 'https://example.com/', status: 'saved', source: 'html', quality: [] },
+      { url: 'https://example.com/a', status: 'saved', source: 'markdown', quality: [{ flag: 'near-empty', detail: '3 words' }] },
+      { url: 'https://example.com/v1/a', status: 'skipped', reason: 'variant' },
+      { url: 'https://example.com/b', status: 'failed', httpStatus: 404 }
+    ],
+    brokenLinks: [{ from: 'https://example.com/', to: 'https://example.com/b', status: 404 }],
+    redirects: []
+  });
+  assert.deepEqual(report.summary, {
+    saved: 2,
+    markdownSource: 1,
+    htmlConverted: 1,
+    skipped: { variant: 1 },
+    failed: { 404: 1 },
+    aliases: 0,
+    brokenLinks: 1,
+    redirects: 0,
+    quality: { 'near-empty': 1 }
+  });
+  assert.match(renderReportMarkdown(report), /\*\*Skipped\*\*: 1 \(variant: 1\)/);
+});
+
+let site;
+before(async () => { site = await serveFixture('variants-site'); });
+after(() => site.close());
+
+test('pages of unselected versions are reported as skipped with reason "variant"', async () => {
+  const result = await site.crawl('/docs/intro.html', { versions: ['latest'] });
+
+  const report = await fs.readJson(path.join(result.siteDir, '_report.json'));
+  assert.deepEqual(report.summary.skipped, { variant: 1 });
+  assert.equal(report.summary.saved, 3);
+  const variantPages = report.pages.filter(page => page.reason === 'variant');
+  assert.deepEqual(variantPages.map(page => [new URL(page.url).pathname, page.status]), [['/docs/v1/intro.html', 'skipped']]);
+  assert.ok(await fs.pathExists(path.join(result.siteDir, '_report.md')));
+});
@@ -0,0 +1,69 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs-extra';
+import path from 'path';
+import { STATE_FILE } from '../src/crawl-state.js';
+import { serveFixture, pathsOf } from './helpers/crawl-fixture.js';
+
+let site;
+before(async () => { site = await serveFixture('variants-site'); });
+after(() => site.close());
+
+const ALL_PAGES = ['/docs/ca/certs.html', '/docs/dev/tools.html', '/docs/intro.html', '/docs/v1/intro.html'];
+const pagesRequested = () => site.requests.filter(pathname => pathname.endsWith('.html')).sort();
+
+// Stops the crawl the way Ctrl-C does, once `pages` pages were saved
+function interruptAfter(downloader, pages) {
+  let saved = 0;
+  downloader.on('pageSaved', () => {
+    if (++saved === pages) {
+      downloader.stopping = true;
+      downloader.interrupted = true;
+    }
+  });
+  return downloader;
+}
+
+test('an interrupted crawl resumes without refetching finished pages', async () => {
+  const options = { concurrency: 1, force: false };
+  site.requests.length = 0;
+  const first = await interruptAfter(site.downloader(options), 2).download(`${site.url}/docs/intro.html`);
+  assert.equal(first.saved.length, 2);
+  const stateFile = path.join(first.siteDir, STATE_FILE);
+  const state = await fs.readJson(stateFile);
+  assert.equal(Object.values(state.status).filter(entry => entry.status === 'done').length, 2);
+  assert.ok(state.queue.length > 0);
+  const done = pagesRequested();
+
+  site.requests.length = 0;
+  const resumed = await site.downloader({ ...options, resume: true }).download(`${site.url}/docs/intro.html`);
+  assert.deepEqual(pagesRequested(), ALL_PAGES.filter(pathname => !done.includes(pathname)));
+  // Pages finished before the interrupt are still part of the result
+  assert.deepEqual(pathsOf(resumed.saved), ALL_PAGES);
+  assert.ok(!await fs.pathExists(stateFile), 'state file left behind after the crawl finished');
+  for (const page of first.saved) {
+    assert.ok(await fs.pathExists(page.filePath));
+  }
+});
+
+test('resuming needs state for the same start URL', async () => {
+  const first = await interruptAfter(site.downloader({ concurrency: 1 }), 1).download(`${site.url}/docs/intro.html`);
+  assert.ok(await fs.pathExists(path.join(first.siteDir, STATE_FILE)));
+
+  await assert.rejects(
+    site.downloader({ resume: true }).download(`${site.url}/docs/dev/tools.html`),
+    /Saved crawl state in .* is for .*\/docs\/intro\.html, not .*\/docs\/dev\/tools\.html/
+  );
+
+  // Without --resume the state is ignored, and a finished crawl removes it
+  site.requests.length = 0;
+  const fresh = await site.downloader({ concurrency: 1 }).download(`${site.url}/docs/intro.html`);
+  assert.deepEqual(pagesRequested(), ALL_PAGES);
+  assert.deepEqual(pathsOf(fresh.saved), ALL_PAGES);
+  assert.ok(!await fs.pathExists(path.join(first.siteDir, STATE_FILE)));
+
+  // Nothing to resume starts a fresh crawl
+  site.requests.length = 0;
+  await site.downloader({ concurrency: 1, resume: true }).download(`${site.url}/docs/intro.html`);
+  assert.deepEqual(pagesRequested(), ALL_PAGES);
+});
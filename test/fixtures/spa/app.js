@@ -0,0 +1,26 @@
+// Client-rendered docs: the server sends the same empty shell for every page,
+// and the content arrives as JSON after the script runs
+const pages = {
+  '/': 'home',
+  '/guide/intro': 'intro',
+  '/guide/setup': 'setup'
+};
+
+async function render() {
+  const app = document.getElementById('app');
+  const name = pages[location.pathname];
+  if (!name) {
+    app.innerHTML = '<main><h1>Not found</h1></main>';
+    return;
+  }
+
+  const page = await fetch(`/content/${name}.json`).then(response => response.json());
+  app.innerHTML = `
+    <nav class="sidebar"><a href="/">Home</a> <a href="/guide/intro">Introduction</a> <a href="/guide/setup">Setup</a></nav>
+    <main>
+      <h1>${page.title}</h1>
+      ${page.paragraphs.map(text => `<p>${text}</p>`).join('\n')}
+    </main>`;
+}
+
+render();
@@ -0,0 +1,67 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import * as cheerio from 'cheerio';
+import { FrameworkDetector, compileFrameworkDetector } from '../src/frameworks.js';
+import { DocDownloader } from '../src/downloader.js';
+
+const CUSTOM = {
+  name: 'acme-docs',
+  label: 'Acme Docs',
+  generator: 'acme',
+  signatures: ['.acme-page'],
+  contentSelectors: ['.acme-page .body'],
+  navSelectors: ['.acme-tree'],
+  noiseSelectors: ['.acme-rating']
+};
+
+const ACME_PAGE = `<html><head><title>Setup</title></head><body>
+  <div class="acme-tree"><a href="/a">Tree entry</a></div>
+  <div class="acme-page"><div class="body"><h1>Setup</h1><p>Install the Acme agent on every build machine before the first run.</p>
+  <div class="acme-rating">Was this page helpful?</div></div></div>
+  <div class="theme-doc-markdown">Looks like Docusaurus too</div>
+</body></html>`;
+
+test('generator meta tags win over DOM signatures', () => {
+  const detector = new FrameworkDetector();
+  const $ = cheerio.load('<html><head><meta name="generator" content="VitePress v1.0"></head><body><div class="theme-doc-markdown"></div></body></html>');
+  assert.equal(detector.detect($).name, 'vitepress');
+  assert.equal(detector.detect(cheerio.load('<div class="theme-doc-markdown"></div>')).name, 'docusaurus');
+  assert.equal(detector.detect(cheerio.load('<main><p>Plain page</p></main>')), null);
+});
+
+test('custom detectors come before the built-ins, and bad selectors never throw', () => {
+  const detector = new FrameworkDetector([CUSTOM, { name: 'broken', signatures: ['div[unclosed'] }]);
+  assert.equal(detector.detect(cheerio.load(ACME_PAGE)).name, 'acme-docs');
+  assert.equal(detector.detect(cheerio.load('<meta name="generator" content="Acme Publisher 3">')).label, 'Acme Docs');
+  assert.equal(detector.detect(cheerio.load('<p>Nothing</p>')), null);
+
+  assert.deepEqual(compileFrameworkDetector({ name: 'bare' }), {
+    name: 'bare', label: 'bare', generator: null, signatures: [], contentSelectors: [], navSelectors: [], noiseSelectors: []
+  });
+});
+
+test('site config detectors drive extraction, and framework forces one', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'docs-downloader-frameworks-'));
+  try {
+    const configFile = path.join(dir, 'config.json');
+    await fs.writeJson(configFile, {
+      'docs.acme.test': { frameworks: [CUSTOM] },
+      'forced.acme.test': { framework: 'docusaurus' }
+    });
+    const downloader = new DocDownloader({ logger: 'silent', configFile });
+
+    const html = downloader.extractContent(cheerio.load(ACME_PAGE), 'https://docs.acme.test/setup');
+    assert.ok(html.includes('Install the Acme agent'));
+    assert.ok(!html.includes('Tree entry'));
+    assert.ok(!html.includes('Was this page helpful?'));
+    assert.ok(!html.includes('Looks like Docusaurus'));
+
+    assert.equal(downloader.detectFramework(cheerio.load(ACME_PAGE), 'forced.acme.test').name, 'docusaurus');
+    assert.equal(downloader.detectFramework(cheerio.load(ACME_PAGE), 'other.test').name, 'docusaurus');
+  } finally {
+    await fs.remove(dir);
+  }
+});
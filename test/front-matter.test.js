@@ -0,0 +1,78 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import yaml from 'js-yaml';
+import * as cheerio from 'cheerio';
+import { buildFrontMatter, extractPageMetadata, parseMetadataFields, toYaml } from '../src/front-matter.js';
+
+// Strings that a careless YAML writer turns into dates, numbers, booleans or null
+const TRICKY = [
+  '2024-01-01', '2024-01-01T10:00:00Z', '.inf', '-.Inf', '.NaN', '0b101', '0x1F', '0o17', '1_000', '1e3', '012',
+  'true', 'No', 'on', 'null', '~', '', ' padded ', 'Setup: first steps', 'C# #tips', '- item', '[draft]', '{x}',
+  '@scope/pkg', '*bold*', '!tag', '| pipe', '> quote', '%TAG', '"quoted"', "it's", 'tab\there', 'line\nbreak', 'naïve café'
+];
+
+test('strings round-trip through the front matter unchanged', () => {
+  for (const value of TRICKY) {
+    const parsed = yaml.load(toYaml({ title: value, breadcrumb: ['Docs', value] }));
+    assert.deepEqual(parsed, { title: value, breadcrumb: ['Docs', value] }, JSON.stringify(value));
+  }
+});
+
+test('numbers stay numbers, and empty fields are left out', () => {
+  assert.deepEqual(yaml.load(toYaml({ word_count: 42, title: 'Guide', description: null, breadcrumb: [] })), { word_count: 42, title: 'Guide' });
+  assert.equal(toYaml({ title: null }), '');
+});
+
+test('front matter for a page, replacing the source\'s own', () => {
+  const markdown = '---\ntitle: Old title\nlast_updated: 2023-05-01\n---\n\n# Installing\n\nRun the installer twice.\n';
+  const { header, body } = buildFrontMatter(markdown, {
+    pageUrl: 'https://docs.example.com/install',
+    sourceUrl: 'https://docs.example.com/install.md',
+    meta: { title: '2024-01-01', breadcrumb: ['Docs', 'Setup: first steps'], language: 'en' },
+    downloadedAt: new Date('2024-02-03T04:05:06Z')
+  });
+  assert.equal(body.trim(), '# Installing\n\nRun the installer twice.');
+  assert.match(header, /^---\n[\s\S]*\n---\n\n$/);
+
+  const data = yaml.load(header.slice(4, -6));
+  assert.deepEqual(data, {
+    title: '2024-01-01',
+    source_url: 'https://docs.example.com/install',
+    markdown_url: 'https://docs.example.com/install.md',
+    breadcrumb: ['Docs', 'Setup: first steps'],
+    last_updated: '2023-05-01T00:00:00.000Z',
+    language: 'en',
+    content_hash: data.content_hash,
+    word_count: 5,
+    downloaded_at: '2024-02-03T04:05:06.000Z'
+  });
+  assert.match(data.content_hash, /^sha256:[0-9a-f]{64}$/);
+});
+
+test('selected fields only, in the given order', () => {
+  assert.deepEqual(parseMetadataFields('source_url, title'), ['source_url', 'title']);
+  assert.throws(() => parseMetadataFields('title,author'), /Unknown metadata field "author"/);
+
+  const { header } = buildFrontMatter('# Hi\n', { pageUrl: 'https://docs.example.com/', fields: ['source_url', 'title'] });
+  assert.equal(header, '---\nsource_url: https://docs.example.com/\ntitle: Hi\n---\n\n');
+});
+
+test('page metadata comes from the heading, meta tags, breadcrumbs and JSON-LD', () => {
+  const $ = cheerio.load(`<html lang="en-GB"><head>
+    <title>Setup | Widgets</title>
+    <meta name="description" content="How to  set up widgets">
+    <link rel="canonical" href="/docs/setup">
+    <script type="application/ld+json">{"@type": "BreadcrumbList", "itemListElement": [
+      {"position": 2, "name": "Guides"}, {"position": 1, "name": "Docs"}]}</script>
+    </head><body><main><h1>Setting up</h1>
+    <div class="theme-last-updated">Last updated on <time datetime="2024-03-01T12:00:00Z">Mar 1, 2024</time></div>
+    </main></body></html>`);
+  assert.deepEqual(extractPageMetadata($, 'https://docs.example.com/docs/setup?ref=nav'), {
+    title: 'Setting up',
+    description: 'How to set up widgets',
+    canonicalUrl: 'https://docs.example.com/docs/setup',
+    breadcrumb: ['Docs', 'Guides'],
+    lastUpdated: '2024-03-01T12:00:00.000Z',
+    language: 'en-GB'
+  });
+});
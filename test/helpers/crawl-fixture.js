@@ -0,0 +1,51 @@
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { DocDownloader } from '../../src/downloader.js';
+import { startStaticServer } from './static-server.js';
+
+export const FIXTURES = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'fixtures');
+
+// Crawls in tests are quiet, go as fast as the local server allows and don't retry
+export const TEST_CRAWL_OPTIONS = {
+  logger: 'silent',
+  force: true,
+  maxDepth: 2,
+  rateLimit: { requestsPerSecond: 1000, burst: 1000 },
+  retry: { retries: 0 }
+};
+
+// Serves test/fixtures/<site> on a local server, with a temporary output folder.
+// copy: serve a copy that the test can change. Other options go to
+// startStaticServer. Resolves to { url, root, outputDir, requests,
+// downloader(options), crawl(pathname, options), close() }
+export async function serveFixture(site, { copy = false, ...serverOptions } = {}) {
+  let root = path.join(FIXTURES, site);
+  if (copy) {
+    root = await fs.mkdtemp(path.join(os.tmpdir(), `docs-downloader-${site}-site-`));
+    await fs.copy(path.join(FIXTURES, site), root);
+  }
+  const outputDir = await fs.mkdtemp(path.join(os.tmpdir(), `docs-downloader-${site}-`));
+  const server = await startStaticServer(root, serverOptions);
+
+  const downloader = options => new DocDownloader({ outputDir, ...TEST_CRAWL_OPTIONS, ...options });
+  return {
+    url: server.url,
+    root,
+    outputDir,
+    requests: server.requests,
+    downloader,
+    crawl: (pathname, options) => downloader(options).download(`${server.url}${pathname}`),
+    close: async () => {
+      await server.close();
+      await fs.remove(outputDir);
+      if (copy) await fs.remove(root);
+    }
+  };
+}
+
+// Sorted paths of URLs, or of { url } results
+export function pathsOf(items) {
+  return items.map(item => new URL(typeof item === 'string' ? item : item.url).pathname).sort();
+}
@@ -0,0 +1,76 @@
+import http from 'http';
+import fs from 'fs-extra';
+import path from 'path';
+
+const TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.md': 'text/markdown; charset=utf-8',
+  '.mdx': 'text/markdown; charset=utf-8',
+  '.pdf': 'application/pdf',
+  '.png': 'image/png',
+  '.txt': 'text/plain; charset=utf-8',
+  '.xml': 'application/xml'
+};
+
+// Serves the files in root on a free localhost port, with ETag and
+// Last-Modified validators, and index.html for folders. fallback: file sent for
+// paths without an extension that don't exist (single-page apps). redirects:
+// { path: location } answered with a 301. Resolves to { url, close(), requests }
+// where requests lists every path asked for.
+export async function startStaticServer(root, { fallback, redirects = {} } = {}) {
+  const requests = [];
+  const server = http.createServer(async (req, res) => {
+    let pathname = new URL(req.url, 'http://localhost').pathname;
+    try {
+      pathname = decodeURIComponent(pathname);
+    } catch (error) {
+      // A stray "%" names a file with a "%" in it
+    }
+    requests.push(pathname);
+
+    let filePath = path.join(root, pathname);
+    if (!filePath.startsWith(root)) {
+      res.writeHead(403).end();
+      return;
+    }
+    if (redirects[pathname]) {
+      res.writeHead(301, { location: redirects[pathname] }).end();
+      return;
+    }
+
+    let stats = await fs.stat(filePath).catch(() => null);
+    if (stats?.isDirectory()) {
+      filePath = path.join(filePath, 'index.html');
+      stats = await fs.stat(filePath).catch(() => null);
+    }
+    if ((!stats || !stats.isFile()) && fallback && !path.extname(pathname)) {
+      filePath = path.join(root, fallback);
+      stats = await fs.stat(filePath).catch(() => null);
+    }
+    if (!stats || !stats.isFile()) {
+      res.writeHead(404, { 'content-type': 'text/plain' }).end('Not found');
+      return;
+    }
+
+    const etag = `"${stats.size.toString(16)}-${stats.mtimeMs.toString(16)}"`;
+    if (req.headers['if-none-match'] === etag) {
+      res.writeHead(304, { etag }).end();
+      return;
+    }
+    res.writeHead(200, {
+      'content-type': TYPES[path.extname(filePath)] || 'application/octet-stream',
+      etag,
+      'last-modified': stats.mtime.toUTCString()
+    });
+    res.end(req.method === 'HEAD' ? undefined : await fs.readFile(filePath));
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    requests,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
@@ -0,0 +1,158 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { HttpClient, DEFAULT_USER_AGENT, matchesNoProxy } from '../src/http-client.js';
+
+// Answers each request with the next of responses ({ status, headers }), repeating
+// the last one, and records the requests. Also works as a plain HTTP proxy, which
+// sees the absolute URL in req.url.
+async function startServer(responses = [{ status: 200 }]) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    requests.push({ url: req.url, headers: req.headers, at: Date.now() });
+    const { status, headers = {} } = responses[Math.min(requests.length, responses.length) - 1];
+    res.writeHead(status, { 'content-type': 'text/plain', ...headers }).end(String(status));
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    requests,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+async function withServer(responses, fn) {
+  const server = await startServer(responses);
+  try {
+    await fn(server);
+  } finally {
+    await server.close();
+  }
+}
+
+const FAST_RETRY = { retries: 3, minDelayMs: 5, maxDelayMs: 20 };
+
+test('retryable statuses are retried until one succeeds', () => withServer(
+  [{ status: 503 }, { status: 502 }, { status: 200 }],
+  async server => {
+    const warnings = [];
+    const client = new HttpClient({ retry: FAST_RETRY, env: {}, logger: { warn: (message, fields) => warnings.push(fields) } });
+    const response = await client.get(`${server.url}/page`);
+    assert.equal(response.status, 200);
+    assert.equal(server.requests.length, 3);
+    assert.deepEqual(warnings.map(fields => fields.attempt), [1, 2]);
+  }
+));
+
+test('giving up after the last retry, and never retrying a 404', async () => {
+  await withServer([{ status: 500 }], async server => {
+    const client = new HttpClient({ retry: { ...FAST_RETRY, retries: 2 }, env: {} });
+    await assert.rejects(client.get(`${server.url}/page`), error => error.response?.status === 500);
+    assert.equal(server.requests.length, 3);
+  });
+
+  await withServer([{ status: 404 }], async server => {
+    const client = new HttpClient({ retry: FAST_RETRY, env: {} });
+    await assert.rejects(client.get(`${server.url}/page`), error => error.response?.status === 404);
+    assert.equal(server.requests.length, 1);
+  });
+});
+
+test('retry: false and a per-host retry config mean a single attempt', async () => {
+  await withServer([{ status: 503 }], async server => {
+    const client = new HttpClient({ retry: FAST_RETRY, env: {} });
+    await assert.rejects(client.get(`${server.url}/page`, { retry: false }));
+    assert.equal(server.requests.length, 1);
+
+    const configured = new HttpClient({ retry: FAST_RETRY, env: {}, siteConfig: { '127.0.0.1': { retry: { retries: 0 } } } });
+    await assert.rejects(configured.get(`${server.url}/page`));
+    assert.equal(server.requests.length, 2);
+  });
+});
+
+test('backoff grows exponentially, with jitter, up to the maximum', () => {
+  const client = new HttpClient({ env: {} });
+  const settings = { retries: 5, minDelayMs: 1000, maxDelayMs: 5000 };
+  const error = { response: { status: 502, headers: {} } };
+  for (const [attempt, base] of [[1, 1000], [2, 2000], [3, 4000], [4, 5000], [5, 5000]]) {
+    const delay = client.backoff(attempt, settings, error);
+    assert.ok(delay >= base * 0.8 && delay <= base * 1.2, `attempt ${attempt}: ${delay}ms`);
+  }
+});
+
+test('Retry-After on 429 and 503 sets the delay, in seconds or as a date', () => {
+  const client = new HttpClient({ env: {} });
+  const settings = { retries: 3, minDelayMs: 1000, maxDelayMs: 5000 };
+  const after = (status, value) => client.backoff(1, settings, { response: { status, headers: { 'retry-after': value } } });
+
+  assert.equal(after(429, '7'), 7000);
+  assert.equal(after(503, '0'), 0);
+  const date = after(503, new Date(Date.now() + 10000).toUTCString());
+  assert.ok(date > 8000 && date <= 10000, `${date}ms`);
+  // Only 429 and 503 carry a meaningful Retry-After
+  assert.ok(after(500, '7') <= 1200);
+});
+
+test('a Retry-After is waited out, unless it is too long', async () => {
+  await withServer([{ status: 429, headers: { 'retry-after': '1' } }, { status: 200 }], async server => {
+    const client = new HttpClient({ retry: FAST_RETRY, env: {} });
+    const response = await client.get(`${server.url}/page`);
+    assert.equal(response.status, 200);
+    assert.ok(server.requests[1].at - server.requests[0].at >= 950, 'retried before Retry-After');
+  });
+
+  await withServer([{ status: 503, headers: { 'retry-after': '3600' } }], async server => {
+    const client = new HttpClient({ retry: FAST_RETRY, env: {} });
+    await assert.rejects(client.get(`${server.url}/page`), error => error.response?.status === 503);
+    assert.equal(server.requests.length, 1);
+  });
+});
+
+test('NO_PROXY entries match hosts, subdomains and ports', () => {
+  const noProxy = 'localhost, .internal.example.com,*.corp.test docs.example.org:8443';
+  assert.ok(matchesNoProxy('http://localhost:3000/', noProxy));
+  assert.ok(matchesNoProxy('https://internal.example.com/', noProxy));
+  assert.ok(matchesNoProxy('https://wiki.internal.example.com/', noProxy));
+  assert.ok(matchesNoProxy('https://a.b.corp.test/', noProxy));
+  assert.ok(matchesNoProxy('https://docs.example.org:8443/', noProxy));
+  assert.ok(!matchesNoProxy('https://docs.example.org/', noProxy));
+  assert.ok(!matchesNoProxy('https://notinternal.example.com/', noProxy));
+  assert.ok(!matchesNoProxy('https://example.com/', noProxy));
+  assert.ok(matchesNoProxy('https://anything.test/', '*'));
+  assert.ok(!matchesNoProxy('https://anything.test/', ''));
+});
+
+test('proxies come from the options or the environment, except for NO_PROXY hosts', () => {
+  const env = { HTTPS_PROXY: 'http://secure-proxy:8080', http_proxy: 'http://plain-proxy:8080', NO_PROXY: 'internal.test' };
+  const client = new HttpClient({ env });
+  assert.equal(client.proxyFor('https://docs.example.com/'), 'http://secure-proxy:8080');
+  assert.equal(client.proxyFor('http://docs.example.com/'), 'http://plain-proxy:8080');
+  assert.equal(client.proxyFor('https://wiki.internal.test/'), null);
+
+  const explicit = new HttpClient({ env, proxy: 'http://explicit:3128' });
+  assert.equal(explicit.proxyFor('http://docs.example.com/'), 'http://explicit:3128');
+  assert.equal(explicit.proxyFor('https://internal.test/'), null);
+  assert.equal(new HttpClient({ env: {} }).proxyFor('https://docs.example.com/'), null);
+});
+
+test('requests go through the proxy, with the User-Agent, and NO_PROXY hosts go direct', async () => {
+  const proxy = await startServer();
+  const target = await startServer();
+  try {
+    const client = new HttpClient({ env: { HTTP_PROXY: proxy.url, NO_PROXY: '127.0.0.1' }, userAgent: 'docs-bot/1.0' });
+
+    await client.get('http://docs.example.test/guide?page=2');
+    assert.deepEqual(proxy.requests.map(request => request.url), ['http://docs.example.test/guide?page=2']);
+    assert.equal(proxy.requests[0].headers['user-agent'], 'docs-bot/1.0');
+
+    await client.get(`${target.url}/direct`);
+    assert.deepEqual(target.requests.map(request => request.url), ['/direct']);
+    assert.equal(proxy.requests.length, 1);
+
+    await new HttpClient({ env: {} }).get(`${target.url}/default`);
+    assert.equal(target.requests[1].headers['user-agent'], DEFAULT_USER_AGENT);
+  } finally {
+    await proxy.close();
+    await target.close();
+  }
+});
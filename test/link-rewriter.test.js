@@ -0,0 +1,88 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs-extra';
+import { LinkRewriter, mapLinks, pageKey } from '../src/link-rewriter.js';
+import { serveFixture } from './helpers/crawl-fixture.js';
+
+const PAGES = [
+  { pageUrl: 'https://docs.example.com/guide/', filePath: '/out/docs/guide/index.md' },
+  { pageUrl: 'https://docs.example.com/guide/install.html', filePath: '/out/docs/guide/install.md' },
+  { pageUrl: 'https://docs.example.com/api/client', sourceUrl: 'https://docs.example.com/api/client.md', filePath: '/out/docs/api/client.md' },
+  { pageUrl: 'https://docs.example.com/guide/my page', filePath: '/out/docs/guide/my page.md' }
+];
+const [guide, install] = PAGES;
+
+test('page keys line up the spellings of one page', () => {
+  const key = pageKey('https://docs.example.com/guide');
+  for (const url of ['https://docs.example.com/guide/', 'https://docs.example.com/guide.html', 'https://docs.example.com/guide.md', 'https://docs.example.com/guide/index.md', 'https://docs.example.com/guide?tab=1#setup']) {
+    assert.equal(pageKey(url), key, url);
+  }
+  assert.notEqual(pageKey('https://docs.example.com/guides'), key);
+});
+
+test('links to downloaded pages become relative paths, keeping the anchor', () => {
+  const rewriter = new LinkRewriter(PAGES);
+  assert.equal(rewriter.rewriteTarget('install.html#linux', guide), 'install.md#linux');
+  assert.equal(rewriter.rewriteTarget('/api/client.md', install), '../api/client.md');
+  assert.equal(rewriter.rewriteTarget('https://docs.example.com/api/client', install), '../api/client.md');
+  assert.equal(rewriter.rewriteTarget('./', install), 'index.md');
+  assert.equal(rewriter.rewriteTarget('my%20page', install), 'my%20page.md');
+});
+
+test('other links point at the live site, and anchors and other schemes stay', () => {
+  const rewriter = new LinkRewriter(PAGES);
+  assert.equal(rewriter.rewriteTarget('../changelog', install), 'https://docs.example.com/changelog');
+  assert.equal(rewriter.rewriteTarget('#usage', install), '#usage');
+  assert.equal(rewriter.rewriteTarget('mailto:docs@example.com', install), 'mailto:docs@example.com');
+  // Images are never pages
+  assert.equal(rewriter.rewriteTarget('/guide/', install, { image: true }), 'https://docs.example.com/guide/');
+
+  const untouched = new LinkRewriter(PAGES, { rewritePages: false });
+  assert.equal(untouched.rewriteTarget('install.html', guide), 'install.html');
+});
+
+test('downloaded assets are linked locally', () => {
+  const rewriter = new LinkRewriter(PAGES, { assets: new Map([['https://docs.example.com/img/logo.png', '/out/docs/_assets/logo.png']]) });
+  assert.equal(rewriter.rewriteTarget('/img/logo.png', install, { image: true }), '../_assets/logo.png');
+});
+
+test('inline links, images, references and raw HTML are rewritten, code is not', () => {
+  const markdown = [
+    'See [install](install.html "Installing") and ![logo](</img/my logo.png>).',
+    '',
+    '[ref]: /api/client',
+    '',
+    '<a href="install.html">install</a>',
+    '',
+    '`[install](install.html)`',
+    '',
+    '```md',
+    '[install](install.html)',
+    '```'
+  ].join('\n');
+  const targets = [];
+  const rewritten = mapLinks(markdown, (target, { image }) => {
+    targets.push([target, image]);
+    return `X${target}`;
+  });
+  assert.deepEqual(targets, [['install.html', false], ['/img/my logo.png', true], ['/api/client', false], ['install.html', false]]);
+  assert.ok(rewritten.includes('[install](Xinstall.html "Installing")'));
+  assert.ok(rewritten.includes('![logo](<X/img/my logo.png>)'));
+  assert.ok(rewritten.includes('[ref]: X/api/client'));
+  assert.ok(rewritten.includes('<a href="Xinstall.html">'));
+  assert.ok(rewritten.includes('`[install](install.html)`'));
+  assert.ok(rewritten.includes('```md\n[install](install.html)\n```'));
+});
+
+test('saved pages link to each other locally, and to the live site otherwise', async () => {
+  const site = await serveFixture('malformed-site');
+  try {
+    const result = await site.crawl('/');
+    const home = result.saved.find(page => new URL(page.url).pathname === '/');
+    const markdown = await fs.readFile(home.filePath, 'utf-8');
+    assert.ok(markdown.includes('[Guide](docs/guide.html.md)'), markdown);
+    assert.ok(markdown.includes(`[Reaching 100% coverage](${site.url}/docs/100%/coverage.html)`), markdown);
+  } finally {
+    await site.close();
+  }
+});
@@ -0,0 +1,71 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { MarkdownConverter } from '../src/markdown-converter.js';
+
+const convert = html => new MarkdownConverter().convert(html).trim();
+
+test('tables: pipes escaped, line breaks kept, colspans and short rows padded, caption above', () => {
+  const markdown = convert(`<table><caption>Options</caption>
+    <thead><tr><th>Name</th><th>Type</th><th>Default</th></tr></thead>
+    <tbody>
+      <tr><td>mode</td><td>"a" | "b"</td><td><p>first</p><p>second</p></td></tr>
+      <tr><td colspan="2">spans two</td><td>x</td></tr>
+      <tr><td>short</td></tr>
+    </tbody></table>`);
+  assert.equal(markdown, [
+    '*Options*',
+    '',
+    '| Name | Type | Default |',
+    '| --- | --- | --- |',
+    '| mode | "a" \\| "b" | first<br>second |',
+    '| spans two | | x |',
+    '| short |  |  |'
+  ].join('\n'));
+});
+
+test('a table without a header row uses its first row', () => {
+  assert.equal(convert('<table><tr><td>a</td><td>b</td></tr><tr><td>c</td><td>d</td></tr></table>'),
+    '| a | b |\n| --- | --- |\n| c | d |');
+});
+
+test('admonitions from each framework become GFM alerts', () => {
+  assert.equal(convert('<div class="admonition warning"><p class="admonition-title">Warning</p><p>Back up first.</p></div>'),
+    '> [!WARNING]\n> Back up first.');
+  assert.equal(convert('<div class="theme-admonition theme-admonition-tip alert"><div class="admonitionHeading_x">Faster builds</div><div><p>Cache the output.</p></div></div>'),
+    '> [!TIP]\n> **Faster builds**\n>\n> Cache the output.');
+  assert.equal(convert('<div class="custom-block danger"><p class="custom-block-title">DANGER</p><p>Irreversible.</p></div>'),
+    '> [!CAUTION]\n> Irreversible.');
+  // Unknown types are left as they are
+  assert.equal(convert('<div class="callout"><p>Plain box</p></div>'), 'Plain box');
+});
+
+test('code blocks keep their language and title, without line numbers or copy buttons', () => {
+  assert.equal(convert(`<div class="codeBlockContainer"><div class="codeBlockTitle_x">widgets.config.js</div>
+    <pre class="language-js"><button>Copy</button><code><span class="token-line">export default {</span><span class="token-line">  debug: true</span><span class="token-line">}</span></code></pre></div>`),
+    '```js title="widgets.config.js"\nexport default {\n  debug: true\n}\n```');
+
+  assert.equal(convert('<div class="highlight-python notranslate"><div class="highlight"><table class="highlighttable"><tr><td class="linenos"><pre>1\n2</pre></td><td class="code"><pre>print(1)\nprint(2)</pre></td></tr></table></div></div>'),
+    '```python\nprint(1)\nprint(2)\n```');
+
+  // Fences grow past backticks in the code
+  assert.equal(convert('<pre><code class="language-md">```sh\nnpm test\n```</code></pre>'), '````md\n```sh\nnpm test\n```\n````');
+  assert.equal(convert('<pre class="nohighlight"><code>plain</code></pre>'), '```\nplain\n```');
+});
+
+test('code tabs become labelled fences, other tabs get a bold label', () => {
+  assert.equal(convert(`<div class="tabbed-set"><div class="tabbed-labels"><label>npm</label><label>yarn</label></div>
+    <div class="tabbed-content"><div class="tabbed-block"><pre><code class="language-sh">npm i widgets</code></pre></div>
+    <div class="tabbed-block"><pre><code class="language-sh">yarn add widgets</code></pre></div></div></div>`),
+    '```sh title="npm"\nnpm i widgets\n```\n\n```sh title="yarn"\nyarn add widgets\n```');
+
+  assert.equal(convert(`<div><div role="tablist"><button role="tab" aria-controls="p1">macOS</button><button role="tab" aria-controls="p2">Linux</button></div>
+    <div role="tabpanel" id="p1"><p>Use Homebrew.</p></div><div role="tabpanel" id="p2"><p>Use apt.</p></div></div>`),
+    '**macOS**\n\nUse Homebrew.\n\n**Linux**\n\nUse apt.');
+});
+
+test('math from KaTeX, MathJax and arithmatex becomes TeX', () => {
+  assert.equal(convert('<p>Energy <span class="katex"><math><semantics><mi>E</mi><annotation encoding="application/x-tex">E=mc^2</annotation></semantics></math></span>.</p>'),
+    'Energy $E=mc^2$.');
+  assert.equal(convert('<script type="math/tex; mode=display">\\sum_i x_i</script>'), '$$\n\\sum_i x_i\n$$');
+  assert.equal(convert('<div class="arithmatex">\\[a^2 + b^2\\]</div>'), '$$\na^2 + b^2\n$$');
+});
@@ -0,0 +1,78 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import fs from 'fs-extra';
+import * as cheerio from 'cheerio';
+import { HttpClient } from '../src/http-client.js';
+import { MarkdownSourceFinder } from '../src/markdown-sources.js';
+import { serveFixture } from './helpers/crawl-fixture.js';
+
+// A server answering every request with the status handle(req) returns, and
+// counting the requests
+async function statusServer(handle) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    requests.push(req.method);
+    res.writeHead(handle(req), { 'content-type': 'text/plain' });
+    res.end();
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    requests,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+function finder() {
+  const client = new HttpClient({ retry: { retries: 3, minDelayMs: 1, maxDelayMs: 1 } });
+  return new MarkdownSourceFinder({ http: client, getHostConfig: () => ({}) });
+}
+
+test('edit links to .md, .mdx and .markdown files become raw URLs', () => {
+  const $ = cheerio.load(`
+    <a href="https://github.com/acme/widgets/edit/main/docs/intro.mdx">Edit this page</a>
+    <a href="https://gitlab.com/acme/widgets/-/edit/main/docs/setup.markdown">Edit on GitLab</a>
+    <a href="https://github.com/acme/widgets/edit/main/docs/component.tsx">Edit this page</a>`);
+  assert.deepEqual(finder().editLinks($, 'https://docs.example.com/intro'), [
+    'https://raw.githubusercontent.com/acme/widgets/main/docs/intro.mdx',
+    'https://gitlab.com/acme/widgets/-/raw/main/docs/setup.markdown'
+  ]);
+});
+
+test('a failing probe is not retried', async () => {
+  const server = await statusServer(() => 503);
+  try {
+    assert.equal(await finder().check(`${server.url}/intro.md`), false);
+    assert.deepEqual(server.requests, ['HEAD']);
+  } finally {
+    await server.close();
+  }
+});
+
+test('a probe falls back to a single GET when HEAD is not allowed', async () => {
+  const server = await statusServer(req => req.method === 'HEAD' ? 405 : 503);
+  try {
+    assert.equal(await finder().check(`${server.url}/intro.md`), false);
+    assert.deepEqual(server.requests, ['HEAD', 'GET']);
+  } finally {
+    await server.close();
+  }
+});
+
+let site;
+before(async () => { site = await serveFixture('mdx-site'); });
+after(() => site.close());
+
+test('an MDX source is saved without imports and components', async () => {
+  const result = await site.crawl('/guide.html', { maxDepth: 0 });
+  assert.equal(result.saved.length, 1);
+
+  const markdown = await fs.readFile(result.saved[0].filePath, 'utf-8');
+  assert.match(markdown, /^# Guide/m);
+  assert.ok(markdown.includes('Widgets are configured once and mounted anywhere.'));
+  assert.ok(markdown.includes('npm install widgets'));
+  assert.doesNotMatch(markdown, /^import /m);
+  assert.doesNotMatch(markdown, /<(Setup|Tabs|TabItem)\b/);
+  assert.ok(!markdown.includes('The HTML version of the guide.'));
+});
@@ -0,0 +1,90 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs-extra';
+import path from 'path';
+import * as cheerio from 'cheerio';
+import { NavTree, parseNav } from '../src/nav-layout.js';
+import { serveFixture } from './helpers/crawl-fixture.js';
+
+const SIDEBAR = `<aside><nav><ul>
+  <li><a href="/">Home</a></li>
+  <li><button>Guides</button><ul>
+    <li><a href="/guides/setup">Setup</a></li>
+    <li><a href="#">Advanced</a><ul><li><a href="/guides/advanced/themes">Themes</a></li></ul></li>
+  </ul></li>
+</ul></nav></aside>`;
+
+test('the sidebar is parsed into a tree, with sections that have no page of their own', () => {
+  const items = parseNav(cheerio.load(SIDEBAR), 'https://docs.example.com/guides/setup');
+  assert.deepEqual(items, [
+    { title: 'Home', url: 'https://docs.example.com/', children: [] },
+    {
+      title: 'Guides',
+      url: null,
+      children: [
+        { title: 'Setup', url: 'https://docs.example.com/guides/setup', children: [] },
+        { title: 'Advanced', url: null, children: [{ title: 'Themes', url: 'https://docs.example.com/guides/advanced/themes', children: [] }] }
+      ]
+    }
+  ]);
+});
+
+test('sidebars that only expand the current section are merged', () => {
+  const tree = new NavTree();
+  const page = (url, children) => [
+    { title: 'Intro', url: 'https://docs.example.com/intro', children: [] },
+    { title: 'Guides', url: 'https://docs.example.com/guides/', children },
+    { title: 'FAQ', url: 'https://docs.example.com/faq', children: [] }
+  ];
+  tree.add(page('https://docs.example.com/intro', []));
+  tree.add(page('https://docs.example.com/guides/setup', [
+    { title: 'Setup', url: 'https://docs.example.com/guides/setup', children: [] },
+    { title: 'Deploy', url: 'https://docs.example.com/guides/deploy', children: [] }
+  ]));
+  assert.deepEqual(tree.urls(), [
+    'https://docs.example.com/intro',
+    'https://docs.example.com/guides/',
+    'https://docs.example.com/guides/setup',
+    'https://docs.example.com/guides/deploy',
+    'https://docs.example.com/faq'
+  ]);
+});
+
+let site;
+before(async () => { site = await serveFixture('nav-site'); });
+after(() => site.close());
+
+const filesOf = result => Object.fromEntries(result.saved.map(page => [new URL(page.url).pathname, path.relative(result.siteDir, page.filePath).split(path.sep).join('/')]));
+const read = (result, file) => fs.readFile(path.join(result.siteDir, file), 'utf-8');
+
+test('--layout nav arranges files like the sidebar, with a SUMMARY.md per folder', async () => {
+  const result = await site.crawl('/', { layout: 'nav' });
+  assert.deepEqual(filesOf(result), {
+    '/': 'index.md',
+    '/docs/getting-started.html': 'getting-started/index.md',
+    '/docs/installation.html': 'getting-started/installation.md',
+    '/docs/configuration.html': 'getting-started/configuration.md',
+    '/reference/api.html': 'reference/api.md',
+    // A stray "%" in the URL is kept, and slugified away
+    '/reference/100%-coverage.html': 'reference/100-coverage.md',
+    // Not in the sidebar: the path from the url layout
+    '/docs/faq.html': 'docs/faq.html.md'
+  });
+
+  assert.match(await read(result, 'SUMMARY.md'), /- \[Home\]\(index\.md\)\n- \[Getting started\]\(getting-started\/SUMMARY\.md\)\n- \[Reference\]\(reference\/SUMMARY\.md\)/);
+  assert.equal(await read(result, 'reference/SUMMARY.md'),
+    '# Reference\n\n- [API](api.md)\n- [Coverage](100-coverage.md)\n- [Source code](https://github.com/acme/widgets)\n');
+  assert.ok((await read(result, 'getting-started/installation.md')).includes('[the API](../reference/api.md)'));
+  assert.ok(await fs.pathExists(path.join(result.siteDir, '_layout.json')));
+});
+
+test('--nav-order prefix numbers the names, and moves files from an earlier layout', async () => {
+  // Nothing is downloaded again: the files saved by the previous test are moved
+  const result = await site.crawl('/', { layout: 'nav', navOrder: 'prefix', force: false });
+  assert.deepEqual(result.saved, []);
+  for (const file of ['01-index.md', '02-getting-started/index.md', '02-getting-started/01-installation.md', '03-reference/02-100-coverage.md']) {
+    assert.ok(await fs.pathExists(path.join(result.siteDir, file)), `${file} missing`);
+  }
+  assert.ok((await read(result, '02-getting-started/01-installation.md')).includes('[the API](../03-reference/01-api.md)'));
+  assert.ok(!await fs.pathExists(path.join(result.siteDir, 'getting-started')), 'old folder left behind');
+});
@@ -0,0 +1,63 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { RateLimiter, TokenBucket } from '../src/rate-limiter.js';
+import { serveFixture } from './helpers/crawl-fixture.js';
+
+// Milliseconds after start at which each of count takes resolved
+async function takeTimes(take, count) {
+  const start = Date.now();
+  return Promise.all(Array.from({ length: count }, () => take().then(() => Date.now() - start)));
+}
+
+test('a bucket lets a burst through, then one request per interval', async () => {
+  const bucket = new TokenBucket({ requestsPerSecond: 20, burst: 2 });
+  const times = await takeTimes(() => bucket.take(), 5);
+  assert.ok(times[1] < 40, `burst: ${times}`);
+  for (let i = 2; i < times.length; i++) {
+    assert.ok(times[i] - times[i - 1] >= 40, `interval ${i}: ${times}`);
+  }
+  // Served in the order asked
+  assert.deepEqual([...times].sort((a, b) => a - b), times);
+});
+
+test('a rate of 0 is unlimited', async () => {
+  const times = await takeTimes(() => new TokenBucket({ requestsPerSecond: 0 }).take(), 20);
+  assert.ok(Math.max(...times) < 40);
+});
+
+test('hosts have their own buckets, with limits from the site config', async () => {
+  const limiter = new RateLimiter({ requestsPerSecond: 10, burst: 1 }, {
+    'slow.example.com': { rateLimit: { requestsPerSecond: 1 } }
+  });
+  assert.equal(limiter.bucketFor('docs.example.com').rate, 10);
+  assert.equal(limiter.bucketFor('eu.slow.example.com').rate, 1);
+
+  // A busy host doesn't hold up another one
+  await limiter.acquire('https://docs.example.com/a');
+  const start = Date.now();
+  await limiter.acquire('https://api.example.com/a');
+  assert.ok(Date.now() - start < 40);
+});
+
+test('a crawl delay only ever slows a host down', () => {
+  const limiter = new RateLimiter({ requestsPerSecond: 10, burst: 5 });
+  limiter.setCrawlDelay('docs.example.com', 2);
+  assert.equal(limiter.bucketFor('docs.example.com').rate, 0.5);
+  assert.equal(limiter.bucketFor('docs.example.com').capacity, 1);
+
+  limiter.setCrawlDelay('docs.example.com', 0.01);
+  assert.equal(limiter.bucketFor('docs.example.com').rate, 0.5);
+});
+
+test('a concurrent crawl keeps to the host\'s rate limit', async () => {
+  const site = await serveFixture('variants-site');
+  try {
+    const start = Date.now();
+    const result = await site.crawl('/docs/intro.html', { concurrency: 4, rateLimit: { requestsPerSecond: 50, burst: 1 } });
+    const elapsed = Date.now() - start;
+    assert.equal(result.saved.length, 4);
+    assert.ok(elapsed >= (site.requests.length - 1) * 20 * 0.9, `${site.requests.length} requests in ${elapsed}ms`);
+  } finally {
+    await site.close();
+  }
+});
@@ -0,0 +1,48 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs-extra';
+import { PageRenderer } from '../src/renderer.js';
+import { serveFixture, pathsOf } from './helpers/crawl-fixture.js';
+
+async function browserAvailable() {
+  const renderer = new PageRenderer();
+  try {
+    await renderer.ensureBrowser();
+    return true;
+  } catch (error) {
+    return false;
+  } finally {
+    await renderer.close();
+  }
+}
+
+const skip = await browserAvailable() ? false : 'Playwright or Puppeteer with a Chromium build is not installed';
+
+let site;
+before(async () => { site = await serveFixture('spa', { fallback: 'index.html' }); });
+after(() => site.close());
+
+test('without --render the fixture is an empty shell', async () => {
+  const result = await site.crawl('/guide/intro', { maxDepth: 0 });
+  const saved = await fs.readFile(result.saved[0].filePath, 'utf-8');
+  assert.ok(!saved.includes('reusable interface components'));
+});
+
+test('--render extracts client-rendered content and follows rendered links', { skip }, async () => {
+  const result = await site.crawl('/', { render: true });
+
+  assert.deepEqual(pathsOf(result.saved), ['/', '/guide/intro', '/guide/setup']);
+
+  const intro = result.saved.find(page => page.url.endsWith('/guide/intro'));
+  const markdown = await fs.readFile(intro.filePath, 'utf-8');
+  assert.match(markdown, /^# Introduction/m);
+  assert.ok(markdown.includes('reusable interface components'));
+  // The rendered sidebar is page chrome, not content
+  assert.ok(!markdown.includes('[Setup]'));
+});
+
+test('--render waits for a selector', { skip }, async () => {
+  const result = await site.crawl('/guide/setup', { render: true, maxDepth: 0, renderWaitFor: 'main p' });
+  const markdown = await fs.readFile(result.saved[0].filePath, 'utf-8');
+  assert.ok(markdown.includes('call widgets.mount'));
+});
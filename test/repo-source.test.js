@@ -0,0 +1,126 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFileSync } from 'child_process';
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import { RepoSource, publishedPath, rawBaseUrl } from '../src/repo-source.js';
+import { DocDownloader } from '../src/downloader.js';
+import { createLogger } from '../src/logger.js';
+
+test('file paths map to published paths in each URL style', () => {
+  assert.equal(publishedPath('guide/setup.md'), 'guide/setup');
+  assert.equal(publishedPath('guide/index.mdx'), 'guide');
+  assert.equal(publishedPath('guide/README.md', {}, 'slash'), 'guide/');
+  assert.equal(publishedPath('guide/setup.md', {}, 'html'), 'guide/setup.html');
+  assert.equal(publishedPath('index.md', {}, 'html'), 'index.html');
+  assert.equal(publishedPath('my guide.md'), 'my%20guide');
+
+  // Docusaurus ids and slugs
+  assert.equal(publishedPath('guide/01-setup.md', { id: 'setup' }), 'guide/setup');
+  assert.equal(publishedPath('guide/setup.md', { slug: 'install' }), 'guide/install');
+  assert.equal(publishedPath('guide/setup.md', { slug: '/start/here' }), 'start/here');
+  assert.equal(publishedPath('guide/setup.md', { slug: '/' }), '');
+});
+
+test('raw file URLs for GitHub and GitLab remotes only', () => {
+  assert.equal(rawBaseUrl('https://github.com/acme/widgets.git', 'abc123'), 'https://raw.githubusercontent.com/acme/widgets/abc123/');
+  assert.equal(rawBaseUrl('git@github.com:acme/widgets.git', 'abc123'), 'https://raw.githubusercontent.com/acme/widgets/abc123/');
+  assert.equal(rawBaseUrl('https://gitlab.com/acme/tools/widgets', 'abc123'), 'https://gitlab.com/acme/tools/widgets/-/raw/abc123/');
+  assert.equal(rawBaseUrl('https://git.example.com/acme/widgets.git', 'abc123'), null);
+});
+
+const FILES = {
+  'LICENSE': 'MIT',
+  'docs/index.md': '---\ntitle: Widgets\n---\n\nStart with [setup](guide/setup.md#requirements) or the [FAQ](faq.mdx).\n\n![Flow](img/flow.png)',
+  'docs/guide/setup.md': '# Setup\n\n--8<-- "_requirements.md"\n\nBack to the [overview](../index.md) or the [license](../../LICENSE).',
+  'docs/guide/_requirements.md': 'Node.js 18 or later.',
+  'docs/faq.mdx': "import Note from './_note.mdx';\n\n# FAQ\n\n<Note />",
+  'docs/_note.mdx': 'Widgets are free.',
+  'docs/draft.md': '---\ndraft: true\n---\n\n# Not yet',
+  'docs/img/flow.png': 'png'
+};
+
+let repo;
+let commit;
+const gitIn = (...args) => execFileSync('git', ['-c', 'user.name=Docs', '-c', 'user.email=docs@example.com', ...args], { cwd: repo, encoding: 'utf-8' }).trim();
+
+before(async () => {
+  repo = await fs.mkdtemp(path.join(os.tmpdir(), 'docs-downloader-repo-test-'));
+  for (const [file, content] of Object.entries(FILES)) {
+    await fs.outputFile(path.join(repo, file), content);
+  }
+  gitIn('init', '-q');
+  gitIn('add', '-A');
+  gitIn('commit', '-q', '-m', 'Docs');
+  gitIn('remote', 'add', 'origin', 'https://github.com/acme/widgets.git');
+  commit = gitIn('rev-parse', 'HEAD');
+});
+after(() => fs.remove(repo));
+
+const logger = createLogger('silent');
+
+test('documents are the published pages, with includes expanded and links rewritten', async () => {
+  const source = new RepoSource({ repo, baseUrl: 'https://widgets.example.com/docs', logger });
+  await source.open();
+  try {
+    const documents = await source.documents();
+    assert.deepEqual(documents.map(doc => [doc.relPath, doc.url]), [
+      ['faq.mdx', 'https://widgets.example.com/docs/faq'],
+      ['guide/setup.md', 'https://widgets.example.com/docs/guide/setup'],
+      ['index.md', 'https://widgets.example.com/docs/']
+    ]);
+
+    const [faq, setup, index] = documents.map(doc => doc.markdown);
+    assert.ok(faq.includes('Widgets are free.'));
+    assert.ok(!faq.includes('import'));
+    assert.ok(setup.includes('Node.js 18 or later.'));
+    assert.ok(setup.includes('[overview](https://widgets.example.com/docs/)'));
+    assert.ok(setup.includes(`[license](https://raw.githubusercontent.com/acme/widgets/${commit}/LICENSE)`));
+    assert.ok(index.startsWith('# Widgets\n'));
+    assert.ok(index.includes('[setup](https://widgets.example.com/docs/guide/setup#requirements)'));
+    assert.ok(index.includes('[FAQ](https://widgets.example.com/docs/faq)'));
+    assert.ok(index.includes(`![Flow](https://raw.githubusercontent.com/acme/widgets/${commit}/docs/img/flow.png)`));
+  } finally {
+    await source.close();
+  }
+});
+
+test('a ref is fetched into a temporary clone that is removed afterwards', async () => {
+  gitIn('checkout', '-q', '-b', 'next');
+  await fs.outputFile(path.join(repo, 'docs/changelog.md'), '# Changelog');
+  gitIn('add', '-A');
+  gitIn('commit', '-q', '-m', 'Changelog');
+  gitIn('checkout', '-q', '-');
+
+  const source = new RepoSource({ repo, ref: 'next', baseUrl: 'https://widgets.example.com/docs/', urlStyle: 'html', logger });
+  await source.open();
+  const clone = source.root;
+  assert.notEqual(clone, repo);
+  const documents = await source.documents();
+  assert.ok(documents.some(doc => doc.url === 'https://widgets.example.com/docs/changelog.html'));
+  await source.close();
+  assert.ok(!await fs.pathExists(clone));
+
+  await assert.rejects(new RepoSource({ repo, ref: 'no-such-branch', baseUrl: 'https://widgets.example.com/', logger }).open(),
+    /Could not fetch no-such-branch of/);
+  await assert.rejects(new RepoSource({ repo, docsDir: 'website/docs', baseUrl: 'https://widgets.example.com/', logger }).open(),
+    /Docs directory "website\/docs" not found/);
+});
+
+test('a repo import saves every page under the site folder', async () => {
+  const outputDir = await fs.mkdtemp(path.join(os.tmpdir(), 'docs-downloader-repo-out-'));
+  try {
+    const result = await new DocDownloader({ outputDir, logger: 'silent' })
+      .downloadRepo({ repo, baseUrl: 'https://widgets.example.com/docs/' });
+    assert.deepEqual(result.saved.map(page => page.url).sort(), [
+      'https://widgets.example.com/docs/',
+      'https://widgets.example.com/docs/faq',
+      'https://widgets.example.com/docs/guide/setup'
+    ]);
+    const setup = await fs.readFile(result.saved.find(page => page.url.endsWith('/setup')).filePath, 'utf-8');
+    assert.ok(setup.includes('Node.js 18 or later.'));
+  } finally {
+    await fs.remove(outputDir);
+  }
+});
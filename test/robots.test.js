@@ -0,0 +1,89 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs-extra';
+import path from 'path';
+import { RobotsTxt } from '../src/robots.js';
+import { serveFixture, pathsOf } from './helpers/crawl-fixture.js';
+
+const ROBOTS = `
+# Everyone
+User-agent: *
+Disallow: /private/
+Disallow: /*.pdf$
+Allow: /private/open
+Crawl-delay: 2
+
+User-agent: docs-downloader
+User-agent: other-bot
+Disallow: /drafts
+Crawl-delay: 0.5
+
+User-agent: docs-downloader
+Disallow: /tmp
+Crawl-delay: 1
+
+Sitemap: https://example.com/sitemap.xml
+`;
+
+test('the most specific matching group applies, merged across repeats', () => {
+  const robots = RobotsTxt.parse(ROBOTS);
+  assert.deepEqual(robots.sitemaps, ['https://example.com/sitemap.xml']);
+
+  const ua = 'Mozilla/5.0 (compatible; docs-downloader/1.0)';
+  assert.equal(robots.isAllowed('https://example.com/drafts/x', ua), false);
+  assert.equal(robots.isAllowed('https://example.com/tmp/x', ua), false);
+  // The "*" group doesn't apply to an agent with its own group
+  assert.equal(robots.isAllowed('https://example.com/private/x', ua), true);
+  assert.equal(robots.getCrawlDelay(ua), 1);
+
+  assert.equal(robots.isAllowed('https://example.com/drafts/x', 'other-bot'), false);
+  assert.equal(robots.isAllowed('https://example.com/tmp/x', 'other-bot'), true);
+  assert.equal(robots.getCrawlDelay('some-crawler'), 2);
+});
+
+test('longest pattern wins, Allow wins ties, and * and $ are wildcards', () => {
+  const robots = RobotsTxt.parse(ROBOTS);
+  const allowed = url => robots.isAllowed(`https://example.com${url}`, 'some-crawler');
+  assert.equal(allowed('/private/secret.html'), false);
+  assert.equal(allowed('/private/open/page.html'), true);
+  assert.equal(allowed('/guide/manual.pdf'), false);
+  assert.equal(allowed('/guide/manual.pdf?download=1'), true);
+  assert.equal(allowed('/guide/'), true);
+
+  const tie = RobotsTxt.parse('User-agent: *\nDisallow: /docs\nAllow: /docs');
+  assert.equal(tie.isAllowed('https://example.com/docs/a', 'bot'), true);
+  // Percent-encoded paths match decoded patterns
+  const encoded = RobotsTxt.parse('User-agent: *\nDisallow: /docs/café');
+  assert.equal(encoded.isAllowed('https://example.com/docs/caf%C3%A9/intro', 'bot'), false);
+});
+
+test('an empty Disallow and a missing robots.txt allow everything', () => {
+  assert.equal(RobotsTxt.parse('User-agent: *\nDisallow:').isAllowed('https://example.com/any', 'bot'), true);
+  assert.equal(RobotsTxt.parse('').isAllowed('https://example.com/any', 'bot'), true);
+  assert.equal(RobotsTxt.disallowAll().isAllowed('https://example.com/any', 'bot'), false);
+});
+
+let site;
+before(async () => { site = await serveFixture('variants-site', { copy: true }); });
+after(() => site.close());
+
+test('crawls skip disallowed pages and slow down to the crawl delay', async () => {
+  await fs.writeFile(path.join(site.root, 'robots.txt'), 'User-agent: docs-downloader\nDisallow: /docs/ca/\nCrawl-delay: 0.05\n');
+  const downloader = site.downloader({ concurrency: 1 });
+  const result = await downloader.download(`${site.url}/docs/intro.html`);
+  assert.deepEqual(pathsOf(result.saved), ['/docs/dev/tools.html', '/docs/intro.html', '/docs/v1/intro.html']);
+  assert.deepEqual(pathsOf(result.skipped.filter(page => page.reason === 'robots')), ['/docs/ca/certs.html']);
+  assert.ok(!site.requests.includes('/docs/ca/certs.html'));
+  assert.equal(downloader.rateLimiter.bucketFor('127.0.0.1').rate, 20);
+
+  const ignored = await site.crawl('/docs/intro.html', { ignoreRobots: true });
+  assert.equal(ignored.saved.length, 4);
+});
+
+test('a disallowed start page saves nothing', async () => {
+  await fs.writeFile(path.join(site.root, 'robots.txt'), 'User-agent: *\nDisallow: /\n');
+  const result = await site.crawl('/docs/intro.html');
+  assert.deepEqual(result.saved, []);
+  assert.deepEqual(pathsOf(result.skipped), ['/docs/intro.html']);
+  await fs.remove(path.join(site.root, 'robots.txt'));
+});
@@ -0,0 +1,82 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs-extra';
+import path from 'path';
+import { ConfigError, compileUrlPattern, getHostConfig, validateSiteConfig } from '../src/site-config.js';
+import { serveFixture, pathsOf } from './helpers/crawl-fixture.js';
+
+const matches = (pattern, url) => compileUrlPattern(pattern)(new URL(url, 'https://docs.example.com'));
+
+test('skip patterns: regular expressions, globs and substrings', () => {
+  assert.ok(matches('/\\/v\\d+\\//', '/docs/v2/intro'));
+  assert.ok(matches('/changelog/i', '/docs/CHANGELOG'));
+  assert.ok(!matches('/\\/v\\d+\\//', '/docs/latest/intro'));
+
+  assert.ok(matches('/blog/**', '/blog/2024/01/post'));
+  assert.ok(matches('/docs/*/internal', '/docs/api/internal'));
+  assert.ok(!matches('/docs/*/internal', '/docs/api/v2/internal'));
+
+  // A plain path is a substring of path and query
+  assert.ok(matches('/changelog', '/docs/changelog/2024'));
+  assert.ok(matches('print=1', '/docs/intro?print=1'));
+  assert.ok(!matches('/changelog', '/docs/intro'));
+});
+
+test('host options fall back to their parent domains', () => {
+  const config = { 'example.com': { maxDepth: 1 }, 'docs.example.com': { maxDepth: 4 } };
+  assert.equal(getHostConfig(config, 'docs.example.com').maxDepth, 4);
+  assert.equal(getHostConfig(config, 'eu.docs.example.com').maxDepth, 4);
+  assert.equal(getHostConfig(config, 'blog.example.com').maxDepth, 1);
+  assert.deepEqual(getHostConfig(config, 'example.org'), {});
+});
+
+test('every invalid option is reported at once', () => {
+  assert.throws(() => validateSiteConfig({
+    'docs.example.com': {
+      maxDepth: -1,
+      skipPatterns: ['/(unclosed/'],
+      includePaths: ['docs'],
+      allowedHosts: ['https://cdn.example.com'],
+      colour: 'blue'
+    },
+    'wiki.example.com': 'fast'
+  }), error => {
+    assert.ok(error instanceof ConfigError);
+    assert.deepEqual(error.issues.map(issue => issue.split(':')[0]), [
+      'docs.example.com.maxDepth',
+      'docs.example.com.skipPatterns',
+      'docs.example.com.includePaths',
+      'docs.example.com.allowedHosts',
+      'docs.example.com.colour',
+      'wiki.example.com'
+    ]);
+    return true;
+  });
+
+  const valid = { 'docs.example.com': { maxDepth: 2, skipPatterns: ['/blog/**'], includePaths: ['/docs/', 'cdn.example.com/docs/'] } };
+  assert.deepEqual(validateSiteConfig(valid), valid);
+});
+
+let site;
+before(async () => { site = await serveFixture('variants-site'); });
+after(() => site.close());
+
+async function crawlWithConfig(hostConfig, options) {
+  const configFile = path.join(site.outputDir, 'config.json');
+  await fs.writeJson(configFile, { '127.0.0.1': hostConfig });
+  return site.crawl('/docs/intro.html', { configFile, maxDepth: undefined, ...options });
+}
+
+test('crawls follow the config\'s skipPatterns, maxDepth and includePaths', async () => {
+  const skipped = await crawlWithConfig({ skipPatterns: ['/docs/ca/**', '/\\/v\\d+\\//'] });
+  assert.deepEqual(pathsOf(skipped.saved), ['/docs/dev/tools.html', '/docs/intro.html']);
+
+  const shallow = await crawlWithConfig({ maxDepth: 0 });
+  assert.deepEqual(pathsOf(shallow.saved), ['/docs/intro.html']);
+  // The command line wins over the config
+  const deeper = await crawlWithConfig({ maxDepth: 0 }, { maxDepth: 1 });
+  assert.equal(deeper.saved.length, 4);
+
+  const included = await crawlWithConfig({ includePaths: ['/docs/dev/', '/docs/intro'] });
+  assert.deepEqual(pathsOf(included.saved), ['/docs/dev/tools.html', '/docs/intro.html']);
+});
@@ -0,0 +1,38 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs-extra';
+import path from 'path';
+import { serveFixture } from './helpers/crawl-fixture.js';
+
+let site;
+// A copy of variants-site with a hub page only the sitemap knows about, linking to a deep page
+before(async () => {
+  site = await serveFixture('variants-site', { copy: true });
+  const page = await fs.readFile(path.join(site.root, 'docs/dev/tools.html'), 'utf-8');
+  await fs.writeFile(path.join(site.root, 'docs/hub.html'), page
+    .replace(/Developer tools/g, 'Hub')
+    .replace(/<nav>.*<\/nav>/, '<nav><a href="/docs/deep.html">Deep page</a></nav>'));
+  await fs.writeFile(path.join(site.root, 'docs/deep.html'), page
+    .replace(/Developer tools/g, 'Deep page')
+    .replace(/<nav>.*<\/nav>/, ''));
+  await fs.writeFile(path.join(site.root, 'sitemap.xml'), [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+    `<url><loc>${site.url}/docs/hub.html</loc><lastmod>2020-01-01</lastmod></url>`,
+    '</urlset>'
+  ].join('\n'));
+});
+after(() => site.close());
+
+const crawl = options => site.crawl('/docs/intro.html', { discovery: 'both', concurrency: 1, ...options });
+
+test('pages skipped for an old sitemap lastmod still lead to the pages they link to', async () => {
+  const first = await crawl();
+  assert.ok(first.saved.some(page => page.url.endsWith('/docs/deep.html')));
+
+  site.requests.length = 0;
+  const second = await crawl({ force: false });
+  assert.deepEqual(second.skipped.filter(page => page.reason === 'lastmod').map(page => new URL(page.url).pathname), ['/docs/hub.html']);
+  assert.ok(!site.requests.includes('/docs/hub.html'), 'hub page was fetched');
+  assert.ok(site.requests.includes('/docs/deep.html'), 'deep page was not reached');
+});
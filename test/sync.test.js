@@ -0,0 +1,55 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs-extra';
+import path from 'path';
+import { serveFixture, pathsOf } from './helpers/crawl-fixture.js';
+
+let site;
+// A copy of the site that the tests change between runs
+before(async () => { site = await serveFixture('variants-site', { copy: true }); });
+after(() => site.close());
+
+const crawl = options => site.crawl('/docs/intro.html', { force: false, concurrency: 1, ...options });
+
+async function editSite(file, edit) {
+  const filePath = path.join(site.root, file);
+  await fs.writeFile(filePath, edit(await fs.readFile(filePath, 'utf-8')));
+}
+
+test('sync re-fetches with validators and reports added, changed, removed and unchanged pages', async () => {
+  const first = await crawl();
+  assert.equal(first.saved.length, 4);
+  const certsFile = first.saved.find(page => page.url.endsWith('/docs/ca/certs.html')).filePath;
+
+  const unchanged = await crawl({ sync: true });
+  assert.deepEqual(unchanged.sync.added, []);
+  assert.deepEqual(unchanged.sync.changed, []);
+  assert.equal(unchanged.sync.unchanged.length, 4);
+  assert.deepEqual(unchanged.skipped.map(page => page.reason), ['not-modified', 'not-modified', 'not-modified', 'not-modified']);
+
+  await editSite('docs/intro.html', html => html
+    .replace('mount anywhere on a page', 'mount anywhere on a page or in a dialog')
+    .replace('</nav>', ' <a href="/docs/themes.html">Themes</a></nav>'));
+  await fs.writeFile(path.join(site.root, 'docs/themes.html'),
+    (await fs.readFile(path.join(site.root, 'docs/dev/tools.html'), 'utf-8')).replace(/Developer tools/g, 'Themes'));
+  await fs.remove(path.join(site.root, 'docs/ca/certs.html'));
+
+  const synced = await crawl({ sync: true });
+  assert.deepEqual(pathsOf(synced.sync.added), ['/docs/themes.html']);
+  assert.deepEqual(pathsOf(synced.sync.changed), ['/docs/intro.html']);
+  assert.deepEqual(pathsOf(synced.sync.removed), ['/docs/ca/certs.html']);
+  assert.deepEqual(pathsOf(synced.sync.unchanged), ['/docs/dev/tools.html', '/docs/v1/intro.html']);
+
+  const intro = await fs.readFile(synced.saved.find(page => page.url.endsWith('/docs/intro.html')).filePath, 'utf-8');
+  assert.ok(intro.includes('or in a dialog'));
+  // Without --prune the removed page's file stays
+  assert.ok(await fs.pathExists(certsFile));
+
+  const pruned = await crawl({ sync: true, prune: true });
+  assert.deepEqual(pathsOf(pruned.sync.removed), ['/docs/ca/certs.html']);
+  assert.ok(!await fs.pathExists(certsFile));
+  assert.ok(!await fs.pathExists(path.dirname(certsFile)), 'empty folder left behind');
+
+  const again = await crawl({ sync: true });
+  assert.deepEqual(again.sync.removed, [], 'pruned pages are dropped from the manifest');
+});
@@ -0,0 +1,60 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import { normalizeUrl, urlKey } from '../src/url-normalizer.js';
+import { serveFixture } from './helpers/crawl-fixture.js';
+
+test('fragments, tracking parameters and index files are dropped', () => {
+  assert.equal(normalizeUrl('https://example.com/guide/#setup'), 'https://example.com/guide/');
+  assert.equal(normalizeUrl('https://example.com/guide/index.html'), 'https://example.com/guide/');
+  assert.equal(normalizeUrl('https://example.com//guide//setup'), 'https://example.com/guide/setup');
+  assert.equal(
+    normalizeUrl('https://example.com/search?utm_source=news&q=widgets&fbclid=abc&page=2&ref=nav'),
+    'https://example.com/search?page=2&q=widgets'
+  );
+});
+
+test('trailing slash policies', () => {
+  assert.equal(normalizeUrl('https://example.com/guide'), 'https://example.com/guide');
+  assert.equal(normalizeUrl('https://example.com/guide/'), 'https://example.com/guide/');
+  assert.equal(normalizeUrl('https://example.com/guide/', { trailingSlash: 'strip' }), 'https://example.com/guide');
+  assert.equal(normalizeUrl('https://example.com/', { trailingSlash: 'strip' }), 'https://example.com/');
+  assert.equal(normalizeUrl('https://example.com/guide', { trailingSlash: 'add' }), 'https://example.com/guide/');
+  assert.equal(normalizeUrl('https://example.com/guide.html', { trailingSlash: 'add' }), 'https://example.com/guide.html');
+});
+
+test('URLs of the same page share a key', () => {
+  const key = urlKey('https://example.com/guide');
+  for (const url of [
+    'https://example.com/guide/',
+    'https://example.com/guide/index.html',
+    'https://example.com/guide?utm_campaign=launch',
+    'https://example.com/guide/#setup'
+  ]) {
+    assert.equal(urlKey(url), key, url);
+  }
+  assert.notEqual(urlKey('https://example.com/guide?page=2'), key);
+});
+
+let site;
+before(async () => { site = await serveFixture('dedupe-site', { redirects: { '/old-guide': '/guide/' } }); });
+after(() => site.close());
+
+test('a page reached by several URLs is fetched and saved once, and the rest are aliases', async () => {
+  const result = await site.crawl('/', { concurrency: 1 });
+  const pathOf = url => new URL(url).pathname;
+
+  assert.deepEqual(result.saved.map(page => path.relative(result.siteDir, page.filePath)).sort(), ['guide.md', 'index.md', 'reference.md']);
+  assert.deepEqual(
+    result.aliases.map(alias => [pathOf(alias.url), pathOf(alias.aliasOf), alias.reason]).sort(),
+    [
+      ['/copy.html', '/guide/', 'duplicate-content'],
+      ['/old-guide', '/guide/', 'redirect'],
+      ['/print/guide.html', '/guide/', 'canonical']
+    ]
+  );
+  // "/guide", "/guide/index.html", "?utm_source=" and "#setup" were never requested;
+  // the second request is the redirect from /old-guide
+  const guidePages = site.requests.filter(pathname => pathname.startsWith('/guide') && !pathname.endsWith('.md'));
+  assert.deepEqual(guidePages, ['/guide/', '/guide/']);
+});
@@ -0,0 +1,116 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import * as cheerio from 'cheerio';
+import { VariantSelector, findVariantSegments, parseVariantList } from '../src/variants.js';
+import { serveFixture, pathsOf } from './helpers/crawl-fixture.js';
+
+test('version and locale segments are read from the folders of a path', () => {
+  assert.deepEqual(findVariantSegments('/docs/v2/ja/intro'), {
+    version: { index: 1, value: 'v2' },
+    lang: { index: 2, value: 'ja' }
+  });
+  assert.deepEqual(findVariantSegments('/zh_CN/guide/'), { version: null, lang: { index: 0, value: 'zh-cn' } });
+  // The page name is never a variant, and "js" is not a language
+  assert.deepEqual(findVariantSegments('/changelog/1.2'), { version: null, lang: null });
+  assert.deepEqual(findVariantSegments('/docs/js/api'), { version: null, lang: null });
+  assert.deepEqual(findVariantSegments('/docs/dev/tools'), { version: { index: 1, value: 'dev', ambiguous: true }, lang: null });
+  // A stray "%" is read as-is instead of throwing
+  assert.deepEqual(findVariantSegments('/docs/100%/coverage.html'), { version: null, lang: null });
+});
+
+test('without --version or --lang every URL is accepted', () => {
+  const selector = new VariantSelector();
+  selector.reset();
+  for (const url of [
+    'https://example.com/docs/intro',
+    'https://example.com/docs/dev/tools',
+    'https://example.com/docs/ca/certs',
+    'https://example.com/guides/edge/functions',
+    'https://example.com/docs/beta/features',
+    'https://example.com/docs/v1/intro',
+    'https://example.com/ja/docs/intro'
+  ]) {
+    assert.ok(selector.accepts(url), url);
+  }
+  assert.equal(selector.placement('https://example.com/docs/v1/intro'), null);
+});
+
+test('--version latest keeps unversioned and /latest/ pages only', () => {
+  const selector = new VariantSelector({ versions: parseVariantList('latest') });
+  selector.reset();
+  assert.ok(selector.accepts('https://example.com/docs/intro'));
+  assert.ok(selector.accepts('https://example.com/docs/stable/intro'));
+  assert.ok(!selector.accepts('https://example.com/docs/v1/intro'));
+  assert.deepEqual(selector.placement('https://example.com/docs/stable/intro'), { dir: 'stable', url: 'https://example.com/docs/intro' });
+});
+
+test('names like "dev" or "next" are versions only when the page also exists under a version', () => {
+  const selector = new VariantSelector({ versions: parseVariantList('latest') });
+  selector.reset();
+  assert.ok(selector.accepts('https://example.com/docs/dev/tools'));
+  assert.ok(selector.accepts('https://example.com/docs/next/intro'));
+
+  const $ = cheerio.load('<html><body></body></html>');
+  selector.learn($, 'https://example.com/docs/intro', ['https://example.com/docs/v2/intro']);
+  assert.ok(!selector.accepts('https://example.com/docs/next/intro'));
+  assert.ok(selector.accepts('https://example.com/docs/dev/tools'));
+  assert.deepEqual(selector.describe('https://example.com/docs/next/intro'), { version: 'next', lang: null });
+});
+
+test('--lang matches regional variants of a language', () => {
+  const selector = new VariantSelector({ langs: parseVariantList('en,ja') });
+  selector.reset();
+  selector.learn(cheerio.load('<html lang="en-US"><head><link rel="alternate" hreflang="de" href="/de/docs/intro"></head></html>'), 'https://example.com/en-us/docs/intro');
+  assert.ok(selector.accepts('https://example.com/en-us/docs/intro'));
+  assert.ok(!selector.accepts('https://example.com/de/docs/intro'));
+  assert.ok(!selector.accepts('https://example.com/de/docs/setup'), 'the hreflang alternate confirms the /de/ folder');
+  assert.ok(selector.accepts('https://example.com/docs/intro'), 'unprefixed pages of an undeclared language are kept');
+});
+
+test('a page\'s declared language beats a language code in its path', () => {
+  const selector = new VariantSelector({ langs: parseVariantList('en') });
+  selector.reset();
+  // Not fetched yet: "ca" may be Catalan or a folder
+  assert.ok(selector.accepts('https://example.com/docs/ca/certs'));
+
+  selector.learn(cheerio.load('<html lang="en"></html>'), 'https://example.com/docs/ca/certs');
+  assert.ok(selector.accepts('https://example.com/docs/ca/certs'));
+  assert.deepEqual(selector.placement('https://example.com/docs/ca/certs'), { dir: 'en', url: 'https://example.com/docs/ca/certs' });
+
+  selector.learn(cheerio.load('<html lang="fr"></html>'), 'https://example.com/fr/guide/');
+  assert.ok(!selector.accepts('https://example.com/fr/guide/'));
+  assert.ok(!selector.accepts('https://example.com/fr/reference/'), 'the fetched page confirms the /fr/ folder');
+});
+
+let site;
+before(async () => { site = await serveFixture('variants-site'); });
+after(() => site.close());
+
+test('a crawl without --version saves every variant-looking path', async () => {
+  const result = await site.crawl('/docs/intro.html');
+  assert.deepEqual(pathsOf(result.saved), ['/docs/ca/certs.html', '/docs/dev/tools.html', '/docs/intro.html', '/docs/v1/intro.html']);
+  assert.deepEqual(result.skipped.filter(page => page.reason === 'variant'), []);
+});
+
+test('pages of unselected versions are skipped with reason "variant"', async () => {
+  const result = await site.crawl('/docs/intro.html', { versions: ['latest'] });
+  assert.deepEqual(pathsOf(result.saved), ['/docs/ca/certs.html', '/docs/dev/tools.html', '/docs/intro.html']);
+  assert.deepEqual(pathsOf(result.skipped.filter(page => page.reason === 'variant')), ['/docs/v1/intro.html']);
+});
+
+test('a folder named like a language code is kept when its pages declare the selected language', async () => {
+  const result = await site.crawl('/docs/intro.html', { langs: ['en'] });
+  assert.deepEqual(pathsOf(result.saved), ['/docs/ca/certs.html', '/docs/dev/tools.html', '/docs/intro.html', '/docs/v1/intro.html']);
+});
+
+test('a link with a stray "%" does not end the crawl', async () => {
+  const malformed = await serveFixture('malformed-site');
+  try {
+    for (const options of [{}, { versions: ['latest'] }]) {
+      const result = await malformed.crawl('/', options);
+      assert.deepEqual(pathsOf(result.saved), ['/', '/docs/guide.html']);
+    }
+  } finally {
+    await malformed.close();
+  }
+});